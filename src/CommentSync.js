@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const Logger = require('./Logger');
+
+// State-change notes written before sync comments carried a marker
+const LEGACY_NOTE_PREFIXES = [
+    'Issue state updated to "',
+    'This issue is being deleted because the corresponding bug was removed from Notion'
+];
+
+/**
+ * CommentSync mirrors human comments between a GitHub issue and its Notion page
+ *
+ * Mirrored pairs are kept in the link store so each comment is copied once. Comments the
+ * sync writes are recognisable on both sides (a hidden marker on GitHub, the integration
+ * as author in Notion) and are never mirrored back. The Notion API can only list and
+ * create comments, so edits and deletions only propagate from Notion to GitHub.
+ */
+class CommentSync {
+    constructor(notionClient, githubClient, linkStore) {
+        this.notion = notionClient;
+        this.github = githubClient;
+        this.links = linkStore;
+        this.logger = new Logger('CommentSync');
+    }
+
+    /**
+     * Mirror comments between a Notion item and its GitHub issue
+     * @param {Object} item - Notion item object
+     * @param {Object} issue - GitHub issue object
+     * @returns {Object} Counts of mirrored, updated and deleted comments
+     */
+    async syncItemComments(item, issue) {
+        const summary = { mirrored: 0, updated: 0, deleted: 0 };
+
+        const [githubComments, notionComments, botUserId] = await Promise.all([
+            this.github.listIssueComments(issue.repository, issue.githubId),
+            this.notion.listComments(item.notionId),
+            this.notion.getBotUserId()
+        ]);
+
+        await this.mirrorGitHubComments(item, issue, githubComments, summary);
+        await this.mirrorNotionComments(item, issue, notionComments, botUserId, summary);
+
+        if (summary.mirrored || summary.updated || summary.deleted) {
+            this.logger.info(`Comments for ${item.id}: ${summary.mirrored} mirrored, ${summary.updated} updated, ${summary.deleted} deleted`);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Copy new human GitHub comments to the Notion page
+     * @param {Object} item - Notion item object
+     * @param {Object} issue - GitHub issue object
+     * @param {Array} comments - Raw GitHub comment objects
+     * @param {Object} summary - Counters to update
+     */
+    async mirrorGitHubComments(item, issue, comments, summary) {
+        const mirrors = this.links.getCommentMirrors(item.notionId).filter(mirror => mirror.origin === 'github');
+
+        for (const comment of comments) {
+            if (this.isSyncComment(comment.body)) {
+                continue;
+            }
+
+            const hash = this.hashText(comment.body);
+            const mirror = mirrors.find(existing => existing.githubCommentId === comment.id);
+
+            if (!mirror) {
+                const created = await this.notion.createComment(item.notionId, this.formatNotionComment(comment));
+                this.links.recordCommentMirror(item.notionId, item.id, {
+                    origin: 'github',
+                    githubCommentId: comment.id,
+                    notionCommentId: created.id,
+                    hash
+                });
+                summary.mirrored++;
+            } else if (mirror.hash !== hash) {
+                this.logger.info(`GitHub comment ${comment.id} on ${issue.repository}#${issue.githubId} was edited; Notion comments can't be edited through the API`);
+                this.links.recordCommentMirror(item.notionId, item.id, { ...mirror, hash });
+            }
+        }
+
+        for (const mirror of mirrors) {
+            if (!comments.some(comment => comment.id === mirror.githubCommentId)) {
+                this.logger.info(`GitHub comment ${mirror.githubCommentId} on ${issue.repository}#${issue.githubId} was deleted; Notion comments can't be deleted through the API`);
+                this.links.removeCommentMirror(item.notionId, item.id, mirror);
+            }
+        }
+    }
+
+    /**
+     * Copy new, edited and removed Notion comments to the GitHub issue
+     * @param {Object} item - Notion item object
+     * @param {Object} issue - GitHub issue object
+     * @param {Array} comments - Raw open Notion comment objects
+     * @param {string} botUserId - User ID of this integration
+     * @param {Object} summary - Counters to update
+     */
+    async mirrorNotionComments(item, issue, comments, botUserId, summary) {
+        const mirrors = this.links.getCommentMirrors(item.notionId).filter(mirror => mirror.origin === 'notion');
+
+        for (const comment of comments) {
+            // Comments written by the integration are GitHub comments mirrored here
+            if (comment.created_by?.id === botUserId) {
+                continue;
+            }
+
+            const text = comment.rich_text.map(part => part.plain_text).join('');
+            const hash = this.hashText(text);
+            const mirror = mirrors.find(existing => existing.notionCommentId === comment.id);
+
+            if (mirror && mirror.hash === hash) {
+                continue;
+            }
+
+            const author = await this.notion.getUserName(comment.created_by?.id);
+            const body = this.formatGitHubComment(comment.id, author, text, item.url);
+
+            if (!mirror) {
+                const created = await this.github.addComment(issue.repository, issue.githubId, body);
+                this.links.recordCommentMirror(item.notionId, item.id, {
+                    origin: 'notion',
+                    githubCommentId: created.id,
+                    notionCommentId: comment.id,
+                    hash
+                });
+                summary.mirrored++;
+            } else {
+                await this.github.updateComment(issue.repository, mirror.githubCommentId, body);
+                this.links.recordCommentMirror(item.notionId, item.id, { ...mirror, hash });
+                summary.updated++;
+            }
+        }
+
+        // The API only lists unresolved comments, so resolved discussions are removed as well
+        for (const mirror of mirrors) {
+            if (!comments.some(comment => comment.id === mirror.notionCommentId)) {
+                await this.github.deleteComment(issue.repository, mirror.githubCommentId);
+                this.links.removeCommentMirror(item.notionId, item.id, mirror);
+                summary.deleted++;
+            }
+        }
+    }
+
+    /**
+     * Check whether a GitHub comment was written by the sync rather than a person
+     * @param {string} body - Comment body
+     * @returns {boolean} True if the comment must not be mirrored
+     */
+    isSyncComment(body) {
+        return this.github.isSyncComment(body) ||
+            LEGACY_NOTE_PREFIXES.some(prefix => (body || '').startsWith(prefix));
+    }
+
+    /**
+     * Format a GitHub comment as Notion rich text with author attribution
+     * @param {Object} comment - Raw GitHub comment object
+     * @returns {Array} Notion rich text objects
+     */
+    formatNotionComment(comment) {
+        return [
+            {
+                type: 'text',
+                text: { content: `${comment.user?.login || 'unknown'} on GitHub: ` },
+                annotations: { bold: true }
+            },
+            ...this.notion.toRichText(comment.body).slice(0, 98),
+            {
+                type: 'text',
+                text: { content: ' ↗', link: { url: comment.html_url } }
+            }
+        ];
+    }
+
+    /**
+     * Format a Notion comment as a GitHub comment body with attribution and a hidden marker
+     * @param {string} commentId - Notion comment ID
+     * @param {string} author - Notion author name
+     * @param {string} text - Comment text
+     * @param {string} pageUrl - Notion page URL
+     * @returns {string} GitHub comment body
+     */
+    formatGitHubComment(commentId, author, text, pageUrl) {
+        const source = pageUrl ? `[Notion](${pageUrl})` : 'Notion';
+        return `<!-- notion-sync:comment notion=${commentId} -->\n**${author}** commented in ${source}:\n\n${text}`;
+    }
+
+    /**
+     * Hash comment text to detect edits
+     * @param {string} text - Comment text
+     * @returns {string} Short content hash
+     */
+    hashText(text) {
+        return crypto.createHash('sha256').update(text || '').digest('hex').slice(0, 16);
+    }
+}
+
+module.exports = CommentSync;
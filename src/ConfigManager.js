@@ -1,6 +1,21 @@
 const Logger = require('./Logger');
+const IdParser = require('./IdParser');
+const IssueTemplate = require('./IssueTemplate');
+const SyncRules = require('./SyncRules');
 const fs = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
+
+// What a Notion database can take part in: GitHub issue sync, PR property sync, branch/PR buttons
+const DATABASE_CAPABILITIES = ['issues', 'pullRequests', 'branches'];
+
+// What happens to a GitHub issue whose Notion item is gone ("transfer:owner/repo" moves it instead)
+const ORPHAN_POLICIES = ['close-lock', 'close', 'label-only', 'ignore'];
+
+// How Notion parent/child relations are mirrored in GitHub
+const SUB_ISSUE_MODES = ['native', 'tasklist'];
+
+const DEFAULT_ORPHAN_COMMENT = 'The Notion item {id} linked to this issue was {event}. {outcome}';
 
 class ConfigManager {
     constructor() {
@@ -15,10 +30,14 @@ class ConfigManager {
         const requiredVars = [
             'NOTION_TOKEN',
             'GITHUB_TOKEN',
-            'BUG_DATABASE_ID',
             'MODULE_MAPPING'
         ];
 
+        // NOTION_DATABASES replaces the single bug/task database variables
+        if (!process.env.NOTION_DATABASES) {
+            requiredVars.push('BUG_DATABASE_ID');
+        }
+
         const missingVars = requiredVars.filter(varName => !process.env[varName]);
 
         if (missingVars.length > 0) {
@@ -27,7 +46,9 @@ class ConfigManager {
         }
 
         // Check for optional Tasks database
-        if (process.env.TASK_DATABASE_ID) {
+        if (process.env.NOTION_DATABASES) {
+            this.logger.info('Notion databases configured through NOTION_DATABASES');
+        } else if (process.env.TASK_DATABASE_ID) {
             this.logger.info('Tasks database configuration found');
         } else {
             this.logger.warn('TASK_DATABASE_ID not configured - Tasks table sync disabled');
@@ -53,27 +74,133 @@ class ConfigManager {
     }
 
     /**
-     * Get Bug database ID
-     * @returns {string} Database ID
+     * Get the Notion databases to sync
+     * Read from NOTION_DATABASES, or built from BUG_DATABASE_ID/TASK_DATABASE_ID, ID_PREFIXES and NOTION_SCHEMA
+     * @returns {Array} Database definitions: { itemType, name, databaseId, idPrefixes, capabilities, schema, issueTemplate }
      */
-    getBugDatabaseId() {
-        return process.env.BUG_DATABASE_ID;
+    getNotionDatabases() {
+        if (!this.databases) {
+            this.databases = process.env.NOTION_DATABASES ? this.parseNotionDatabases() : this.getLegacyNotionDatabases();
+        }
+        return this.databases;
     }
 
     /**
-     * Get Task database ID
-     * @returns {string|null} Database ID or null if not configured
+     * Parse and validate NOTION_DATABASES
+     * Shape: [{ "itemType": "firmware-bug", "name": "Firmware Bugs", "databaseId": "...", "idPrefix": "FW",
+     *           "capabilities": ["issues", "pullRequests", "branches"], "schema": { "title": "Name" },
+     *           "issueTemplate": "bug" }]
+     * @returns {Array} Normalized database definitions
      */
-    getTaskDatabaseId() {
-        return process.env.TASK_DATABASE_ID || null;
+    parseNotionDatabases() {
+        let raw;
+        try {
+            raw = JSON.parse(process.env.NOTION_DATABASES);
+        } catch (error) {
+            this.logger.error('Error parsing NOTION_DATABASES:', error);
+            throw new Error('Invalid NOTION_DATABASES format in environment variables');
+        }
+
+        if (!Array.isArray(raw) || raw.length === 0) {
+            throw new Error('NOTION_DATABASES must be a non-empty array of database definitions');
+        }
+
+        const seenTypes = new Set();
+        const seenPrefixes = new Set();
+
+        return raw.map((entry, index) => {
+            const label = entry?.itemType || `entry ${index}`;
+
+            if (!entry?.itemType || !entry.databaseId) {
+                throw new Error(`NOTION_DATABASES ${label} needs an itemType and a databaseId`);
+            }
+            if (seenTypes.has(entry.itemType)) {
+                throw new Error(`NOTION_DATABASES itemType "${entry.itemType}" is used more than once`);
+            }
+            seenTypes.add(entry.itemType);
+
+            const idPrefixes = [].concat(entry.idPrefix || entry.idPrefixes || []);
+            if (idPrefixes.length === 0) {
+                throw new Error(`NOTION_DATABASES ${label} needs an idPrefix`);
+            }
+            for (const prefix of idPrefixes) {
+                if (seenPrefixes.has(prefix)) {
+                    throw new Error(`NOTION_DATABASES ID prefix "${prefix}" is used by more than one database`);
+                }
+                seenPrefixes.add(prefix);
+            }
+
+            const capabilities = entry.capabilities || DATABASE_CAPABILITIES;
+            const unknown = capabilities.filter(capability => !DATABASE_CAPABILITIES.includes(capability));
+            if (unknown.length > 0) {
+                throw new Error(`NOTION_DATABASES ${label} has unknown capabilities: ${unknown.join(', ')} (known: ${DATABASE_CAPABILITIES.join(', ')})`);
+            }
+
+            return {
+                itemType: entry.itemType,
+                name: entry.name || entry.itemType,
+                databaseId: entry.databaseId,
+                idPrefixes,
+                capabilities,
+                schema: entry.schema || {},
+                issueTemplate: entry.issueTemplate || 'bug'
+            };
+        });
+    }
+
+    /**
+     * Build database definitions from the original bug and task database variables
+     * Bugs sync issues, pull requests and branch buttons; tasks only pull requests and branch
+     * buttons unless TASK_ISSUE_SYNC opts them into issues
+     * @returns {Array} Database definitions
+     */
+    getLegacyNotionDatabases() {
+        const prefixes = new IdParser(this.getIdPrefixes()).getPrefixes();
+        const schema = this.getNotionSchema() || {};
+        const prefixesFor = itemType => Object.keys(prefixes).filter(prefix => prefixes[prefix] === itemType);
+
+        const databases = [{
+            itemType: 'bug',
+            name: 'Bugs',
+            databaseId: process.env.BUG_DATABASE_ID,
+            idPrefixes: prefixesFor('bug'),
+            capabilities: ['issues', 'pullRequests', 'branches'],
+            schema: schema.bug || {},
+            issueTemplate: 'bug'
+        }];
+
+        if (process.env.TASK_DATABASE_ID) {
+            databases.push({
+                itemType: 'task',
+                name: 'Tasks',
+                databaseId: process.env.TASK_DATABASE_ID,
+                idPrefixes: prefixesFor('task'),
+                capabilities: process.env.TASK_ISSUE_SYNC === 'true'
+                    ? ['issues', 'pullRequests', 'branches']
+                    : ['pullRequests', 'branches'],
+                schema: schema.task || {},
+                issueTemplate: 'task'
+            });
+        }
+
+        return databases;
     }
 
     /**
-     * Check if Tasks table is configured
-     * @returns {boolean} True if Tasks table is configured
+     * Get the issue template of each database
+     * @returns {Map} Item type to IssueTemplate
      */
-    hasTasksDatabase() {
-        return !!process.env.TASK_DATABASE_ID;
+    getIssueTemplates() {
+        if (!this.issueTemplates) {
+            this.issueTemplates = new Map(this.getNotionDatabases().map(database => {
+                try {
+                    return [database.itemType, new IssueTemplate(database.issueTemplate)];
+                } catch (error) {
+                    throw new Error(`Invalid issueTemplate for ${database.itemType}: ${error.message}`);
+                }
+            }));
+        }
+        return this.issueTemplates;
     }
 
     /**
@@ -89,6 +216,143 @@ class ConfigManager {
         }
     }
 
+    /**
+     * Get the Notion user to GitHub login mapping
+     * Keys are Notion user IDs or emails, values are GitHub logins
+     * @returns {Object} User mapping object (empty if not configured)
+     */
+    getUserMapping() {
+        if (!process.env.USER_MAPPING) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(process.env.USER_MAPPING);
+        } catch (error) {
+            this.logger.error('Error parsing USER_MAPPING:', error);
+            throw new Error('Invalid USER_MAPPING format in environment variables');
+        }
+    }
+
+    /**
+     * Get the managed label configuration
+     * Shape: { type: { NotionType: label }, status: { NotionStatus: label }, colors: { label: "hex" } }
+     * @returns {Object|null} Label configuration or null to use the defaults
+     */
+    getLabelConfig() {
+        if (!process.env.LABEL_CONFIG) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(process.env.LABEL_CONFIG);
+        } catch (error) {
+            this.logger.error('Error parsing LABEL_CONFIG:', error);
+            throw new Error('Invalid LABEL_CONFIG format in environment variables');
+        }
+    }
+
+    /**
+     * Get the Notion status to GitHub state mapping
+     * Each status maps to "open", "closed" or { "state": "open"|"closed", "reason": "completed"|"not_planned"|"reopened" }
+     * @returns {Object|null} Status to { state, reason }, or null to use the defaults
+     */
+    getStatusMapping() {
+        if (!process.env.STATUS_MAPPING) {
+            return null;
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(process.env.STATUS_MAPPING);
+        } catch (error) {
+            this.logger.error('Error parsing STATUS_MAPPING:', error);
+            throw new Error('Invalid STATUS_MAPPING format in environment variables');
+        }
+
+        const mapping = {};
+        for (const [status, value] of Object.entries(raw)) {
+            const entry = typeof value === 'string' ? { state: value, reason: null } : { state: value?.state, reason: value?.reason || null };
+
+            if (!['open', 'closed'].includes(entry.state)) {
+                throw new Error(`STATUS_MAPPING state for "${status}" must be "open" or "closed"`);
+            }
+            if (entry.reason && !['completed', 'not_planned', 'reopened'].includes(entry.reason)) {
+                throw new Error(`STATUS_MAPPING reason for "${status}" must be "completed", "not_planned" or "reopened"`);
+            }
+
+            mapping[status] = entry;
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Get the Notion ID prefixes and the database each belongs to (without NOTION_DATABASES)
+     * @returns {Object|null} Prefix to 'bug' or 'task', or null to use the defaults (CBUG, TSK)
+     */
+    getIdPrefixes() {
+        if (!process.env.ID_PREFIXES) {
+            return null;
+        }
+
+        let prefixes;
+        try {
+            prefixes = JSON.parse(process.env.ID_PREFIXES);
+        } catch (error) {
+            this.logger.error('Error parsing ID_PREFIXES:', error);
+            throw new Error('Invalid ID_PREFIXES format in environment variables');
+        }
+
+        const invalid = Object.entries(prefixes).filter(([, type]) => !['bug', 'task'].includes(type));
+        if (invalid.length > 0) {
+            throw new Error(`ID_PREFIXES values must be "bug" or "task": ${invalid.map(([prefix]) => prefix).join(', ')}`);
+        }
+
+        return prefixes;
+    }
+
+    /**
+     * Get the ID parser shared by every component using this configuration
+     * @returns {IdParser} ID parser for the configured prefixes
+     */
+    getIdParser() {
+        if (!this.idParser) {
+            const prefixes = {};
+            for (const database of this.getNotionDatabases()) {
+                database.idPrefixes.forEach(prefix => { prefixes[prefix] = database.itemType; });
+            }
+            this.idParser = new IdParser(prefixes);
+        }
+        return this.idParser;
+    }
+
+    /**
+     * Get the Notion property names overriding the default schema (without NOTION_DATABASES)
+     * Shape: { "bug": { "title": "Name", "issueLink": "GitHub Issue" }, "task": { ... } }
+     * @returns {Object|null} Overrides per database or null to use the defaults
+     */
+    getNotionSchema() {
+        if (!process.env.NOTION_SCHEMA) {
+            return null;
+        }
+
+        let schema;
+        try {
+            schema = JSON.parse(process.env.NOTION_SCHEMA);
+        } catch (error) {
+            this.logger.error('Error parsing NOTION_SCHEMA:', error);
+            throw new Error('Invalid NOTION_SCHEMA format in environment variables');
+        }
+
+        const invalid = Object.keys(schema).filter(itemType => !['bug', 'task'].includes(itemType));
+        if (invalid.length > 0) {
+            throw new Error(`NOTION_SCHEMA keys must be "bug" or "task": ${invalid.join(', ')}`);
+        }
+
+        return schema;
+    }
+
     /**
      * Get repository for a given module
      * @param {string} module - Module name
@@ -114,6 +378,336 @@ class ConfigManager {
         return Object.values(mapping);
     }
 
+    /**
+     * Get the module a repository is mapped to (reverse of MODULE_MAPPING)
+     * @param {string} repository - Repository in format "owner/repo"
+     * @returns {string|null} Module name, the first one listed if several share the repository
+     */
+    getModuleForRepository(repository) {
+        const mapping = this.getModuleMapping();
+        const entry = Object.entries(mapping).find(([, repo]) => repo.toLowerCase() === repository.toLowerCase());
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Get the label that marks GitHub issues for import into the Notion bug database
+     * @returns {string|null} Label name or null if importing is disabled
+     */
+    getImportLabel() {
+        return process.env.GITHUB_IMPORT_LABEL || null;
+    }
+
+    /**
+     * Get the Notion Type given to bugs imported from GitHub
+     * @returns {string} Bug type
+     */
+    getImportBugType() {
+        return process.env.GITHUB_IMPORT_TYPE || 'Functionality';
+    }
+
+    /**
+     * Check if human comments should be mirrored between GitHub issues and Notion pages
+     * @returns {boolean} Comment sync enabled
+     */
+    isCommentSyncEnabled() {
+        return process.env.SYNC_COMMENTS === 'true';
+    }
+
+    /**
+     * Get how Notion parent/child relations show up in GitHub
+     * "native" links native sub-issues and syncs parent changes made in GitHub back; "tasklist" only
+     * keeps the checklist of sub-issues in the parent issue body, which both modes maintain
+     * @returns {string} 'native' or 'tasklist'
+     */
+    getSubIssueMode() {
+        const mode = process.env.SUB_ISSUE_MODE || 'native';
+        if (!SUB_ISSUE_MODES.includes(mode)) {
+            throw new Error(`SUB_ISSUE_MODE must be one of ${SUB_ISSUE_MODES.join(', ')}`);
+        }
+        return mode;
+    }
+
+    /**
+     * Get the secret used to verify GitHub webhook signatures
+     * @returns {string|null} Webhook secret or null if not configured
+     */
+    getGitHubWebhookSecret() {
+        return process.env.GITHUB_WEBHOOK_SECRET || null;
+    }
+
+    /**
+     * Get the shared token Notion webhooks must present
+     * @returns {string|null} Token or null if token authentication is disabled
+     */
+    getNotionWebhookToken() {
+        return process.env.NOTION_WEBHOOK_TOKEN || null;
+    }
+
+    /**
+     * Get the secret used to verify HMAC-signed Notion webhook bodies
+     * @returns {string|null} Signing secret or null if signature checks are disabled
+     */
+    getNotionWebhookSigningSecret() {
+        return process.env.NOTION_WEBHOOK_SIGNING_SECRET || null;
+    }
+
+    /**
+     * Get the IP addresses/CIDR ranges allowed to call the Notion webhook
+     * @returns {Array} Array of IPs or CIDR ranges (empty if no allowlist)
+     */
+    getWebhookIpAllowlist() {
+        return (process.env.WEBHOOK_IP_ALLOWLIST || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(entry => entry.length > 0);
+    }
+
+    /**
+     * Check whether the Notion webhook may run without any authentication outside production
+     * @returns {boolean} Explicit opt-out for local development
+     */
+    allowsUnauthenticatedWebhooks() {
+        return process.env.ALLOW_UNAUTHENTICATED_WEBHOOKS === 'true';
+    }
+
+    /**
+     * Check whether Notion webhooks naming no action may still create branches
+     * Only meant for migrating buttons set up before actions were named
+     * @returns {boolean} Legacy fallback enabled
+     */
+    isLegacyNotionActionFallbackEnabled() {
+        return process.env.NOTION_WEBHOOK_LEGACY_ACTION_FALLBACK === 'true';
+    }
+
+    /**
+     * Get the Express "trust proxy" setting for resolving client IPs behind a tunnel
+     * @returns {boolean|number|string} Trust proxy value (false if not configured)
+     */
+    getWebhookTrustProxy() {
+        const value = process.env.WEBHOOK_TRUST_PROXY;
+        if (!value || value === 'false') return false;
+        if (value === 'true') return true;
+        return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+    }
+
+    /**
+     * Check if the application runs in production mode
+     * @returns {boolean} True when NODE_ENV is "production"
+     */
+    isProductionMode() {
+        return process.env.NODE_ENV === 'production';
+    }
+
+    /**
+     * Get the path of the file storing Notion ↔ GitHub links
+     * @returns {string} Link store file path
+     */
+    getLinkStorePath() {
+        return process.env.LINK_STORE_PATH || path.join('data', 'links.json');
+    }
+
+    /**
+     * Get the path of the file storing sync bookkeeping (watermarks, last full sync)
+     * @returns {string} Sync state file path
+     */
+    getSyncStatePath() {
+        return process.env.SYNC_STATE_PATH || path.join('data', 'sync-state.json');
+    }
+
+    /**
+     * Get the path of the journal of executed sync operations
+     * @returns {string} Journal file path
+     */
+    getJournalPath() {
+        return process.env.JOURNAL_PATH || path.join('data', 'journal.jsonl');
+    }
+
+    /**
+     * Check if incremental sync is enabled
+     * @returns {boolean} True when SYNC_MODE is "incremental"
+     */
+    isIncrementalSyncEnabled() {
+        return process.env.SYNC_MODE === 'incremental';
+    }
+
+    /**
+     * Get how often incremental mode runs a full reconciliation pass
+     * @returns {number} Interval in minutes (default 60)
+     */
+    getFullSyncIntervalMinutes() {
+        const minutes = parseInt(process.env.FULL_SYNC_INTERVAL_MINUTES, 10);
+        return minutes > 0 ? minutes : 60;
+    }
+
+    /**
+     * Get the maximum number of pages read from a single Notion or GitHub list call
+     * @returns {number} Page limit (100 results per page)
+     */
+    getMaxPages() {
+        const pages = parseInt(process.env.SYNC_MAX_PAGES, 10);
+        return pages > 0 ? pages : 50;
+    }
+
+    /**
+     * Get the orphan policy for every repository
+     * ORPHAN_POLICY is either one policy for all repositories or a JSON object of
+     * repository to policy, with "default" for the rest (e.g., {"default":"close","owner/app":"transfer:owner/archive"})
+     * @returns {Object} Map of repository (lowercase) or "default" to { policy, targetRepository }
+     */
+    getOrphanPolicies() {
+        if (this.orphanPolicies) {
+            return this.orphanPolicies;
+        }
+
+        const value = process.env.ORPHAN_POLICY || 'close-lock';
+        let raw = { default: value };
+
+        if (value.trim().startsWith('{')) {
+            try {
+                raw = { default: 'close-lock', ...JSON.parse(value) };
+            } catch (error) {
+                this.logger.error('Error parsing ORPHAN_POLICY:', error);
+                throw new Error('Invalid ORPHAN_POLICY format in environment variables');
+            }
+        }
+
+        const policies = {};
+        for (const [repository, policy] of Object.entries(raw)) {
+            const transfer = typeof policy === 'string' && policy.match(/^transfer:([\w.-]+\/[\w.-]+)$/);
+
+            if (transfer) {
+                policies[repository.toLowerCase()] = { policy: 'transfer', targetRepository: transfer[1] };
+            } else if (ORPHAN_POLICIES.includes(policy)) {
+                policies[repository.toLowerCase()] = { policy, targetRepository: null };
+            } else {
+                throw new Error(`ORPHAN_POLICY for "${repository}" must be one of ${ORPHAN_POLICIES.join(', ')} or "transfer:owner/repo"`);
+            }
+        }
+
+        this.orphanPolicies = policies;
+        return policies;
+    }
+
+    /**
+     * Get the orphan policy for a repository
+     * @param {string} repository - Repository in format "owner/repo"
+     * @returns {Object} { policy, targetRepository } where targetRepository is only set for "transfer"
+     */
+    getOrphanPolicy(repository) {
+        const policies = this.getOrphanPolicies();
+        return policies[repository.toLowerCase()] || policies.default;
+    }
+
+    /**
+     * Get the rules deciding which items sync, in which direction and with which operations
+     * SYNC_RULES holds the rules as JSON, or the path of a JSON or YAML file with them
+     * @returns {SyncRules} Sync rules (none configured means every item syncs fully)
+     */
+    getSyncRules() {
+        if (this.syncRules) {
+            return this.syncRules;
+        }
+
+        const value = (process.env.SYNC_RULES || '').trim();
+        let raw = [];
+
+        if (value.startsWith('{') || value.startsWith('[')) {
+            try {
+                raw = JSON.parse(value);
+            } catch (error) {
+                this.logger.error('Error parsing SYNC_RULES:', error);
+                throw new Error('Invalid SYNC_RULES format in environment variables');
+            }
+        } else if (value) {
+            try {
+                const content = fs.readFileSync(path.resolve(value), 'utf8');
+                raw = /\.ya?ml$/i.test(value) ? yaml.load(content) : JSON.parse(content);
+            } catch (error) {
+                this.logger.error(`Error reading SYNC_RULES file ${value}:`, error);
+                throw new Error(`Invalid SYNC_RULES file ${value}: ${error.message}`);
+            }
+        }
+
+        try {
+            this.syncRules = new SyncRules(raw || []);
+        } catch (error) {
+            throw new Error(`Invalid SYNC_RULES: ${error.message}`);
+        }
+        return this.syncRules;
+    }
+
+    /**
+     * Get the comment posted on an orphaned issue
+     * Placeholders: {id} (Notion item ID), {event} ("deleted" or "archived"), {outcome} (what happens to the issue)
+     * @returns {string} Comment template
+     */
+    getOrphanCommentTemplate() {
+        return process.env.ORPHAN_COMMENT_TEMPLATE || DEFAULT_ORPHAN_COMMENT;
+    }
+
+    /**
+     * Get the largest number of orphaned issues a single cycle may close
+     * @returns {number} Orphan count limit
+     */
+    getOrphanMaxCount() {
+        const count = parseInt(process.env.ORPHAN_MAX_COUNT, 10);
+        return count >= 0 ? count : 10;
+    }
+
+    /**
+     * Get the largest share of synced issues a single cycle may close as orphans
+     * @returns {number} Percentage of synced issues
+     */
+    getOrphanMaxPercent() {
+        const percent = parseFloat(process.env.ORPHAN_MAX_PERCENT);
+        return percent >= 0 ? percent : 10;
+    }
+
+    /**
+     * Get how long an issue must stay orphaned before it is closed
+     * @returns {number} Grace period in minutes
+     */
+    getOrphanGraceMinutes() {
+        const minutes = parseInt(process.env.ORPHAN_GRACE_MINUTES, 10);
+        return minutes >= 0 ? minutes : 30;
+    }
+
+    /**
+     * Get how many items' operations may run at the same time
+     * @returns {number} Concurrency limit
+     */
+    getSyncConcurrency() {
+        const concurrency = parseInt(process.env.SYNC_CONCURRENCY, 10);
+        return concurrency > 0 ? concurrency : 4;
+    }
+
+    /**
+     * Get the request rate for the Notion API (Notion allows about 3 per second)
+     * @returns {number} Requests per second
+     */
+    getNotionRequestsPerSecond() {
+        const rate = parseFloat(process.env.NOTION_REQUESTS_PER_SECOND);
+        return rate > 0 ? rate : 3;
+    }
+
+    /**
+     * Get the request rate for the GitHub API, kept low to stay clear of secondary rate limits
+     * @returns {number} Requests per second
+     */
+    getGitHubRequestsPerSecond() {
+        const rate = parseFloat(process.env.GITHUB_REQUESTS_PER_SECOND);
+        return rate > 0 ? rate : 5;
+    }
+
+    /**
+     * Get how often a rate-limited or failed API request is retried
+     * @returns {number} Maximum retries per request
+     */
+    getMaxRetries() {
+        const retries = parseInt(process.env.SYNC_MAX_RETRIES, 10);
+        return retries >= 0 ? retries : 5;
+    }
+
     /**
      * Get debug mode setting
      * @returns {boolean} Debug mode enabled
@@ -1,53 +1,197 @@
 const Logger = require('./Logger');
+const IdParser = require('./IdParser');
+const IssueTemplate = require('./IssueTemplate');
+
+// Labels the sync manages on GitHub issues, by Notion Type and Status
+// Override with LABEL_CONFIG; colors are 6-digit hex without "#"
+const DEFAULT_LABEL_CONFIG = {
+    type: {
+        'Functionality': 'functionality',
+        'Fatal': 'fatal',
+        'Cosmetic': 'cosmetic'
+    },
+    status: {
+        'Blocked': 'blocked',
+        'In Progress': 'in-progress',
+        'In Review': 'in-review'
+    },
+    colors: {
+        'fatal': 'b60205',
+        'blocked': 'd93f0b',
+        'in-progress': 'fbca04',
+        'in-review': '0e8a16'
+    }
+};
+
+// Notion status to GitHub issue state and state_reason
+// Override with STATUS_MAPPING; the first open status is used when an issue is reopened
+// unless a status maps to reason "reopened"
+const DEFAULT_STATUS_MAPPING = {
+    'Reported': { state: 'open', reason: null },
+    'Blocked': { state: 'open', reason: null },
+    'In Progress': { state: 'open', reason: null },
+    'In Review': { state: 'open', reason: null },
+    'Rejected': { state: 'closed', reason: 'not_planned' },
+    'Fixed': { state: 'closed', reason: 'completed' }
+};
 
 class DataMapper {
-    constructor() {
+    /**
+     * @param {Object} options - Mapper configuration
+     * @param {Object} options.labelConfig - Managed label configuration (see LABEL_CONFIG)
+     * @param {IdParser} options.idParser - Shared ID parser
+     * @param {Object} options.statusMapping - Notion status to { state, reason } (see STATUS_MAPPING)
+     * @param {Map} options.issueTemplates - Item type to IssueTemplate
+     */
+    constructor(options = {}) {
+        const { labelConfig = null, idParser = null, statusMapping = null, issueTemplates = null } = options;
+
         this.logger = new Logger('DataMapper');
+        this.idParser = idParser || new IdParser();
+        this.issueTemplates = issueTemplates || new Map();
+        this.defaultIssueTemplate = new IssueTemplate();
+        this.statusMapping = statusMapping || DEFAULT_STATUS_MAPPING;
+        this.warnedStatuses = new Set();
+        this.labelConfig = {
+            type: labelConfig?.type || DEFAULT_LABEL_CONFIG.type,
+            status: labelConfig?.status || DEFAULT_LABEL_CONFIG.status,
+            colors: { ...DEFAULT_LABEL_CONFIG.colors, ...(labelConfig?.colors || {}) }
+        };
+    }
+
+    /**
+     * Get the Notion statuses the status mapping knows about
+     * @returns {Array} Array of Notion status names
+     */
+    getMappedStatuses() {
+        return Object.keys(this.statusMapping);
+    }
+
+    /**
+     * Check whether a Notion status is in the status mapping
+     * @param {string} notionStatus - Notion bug status
+     * @returns {boolean} True if the status maps to a GitHub state
+     */
+    isStatusMapped(notionStatus) {
+        return Boolean(notionStatus && this.statusMapping[notionStatus]);
+    }
+
+    /**
+     * Map Notion status to GitHub issue state and state_reason
+     * Unmapped statuses have no GitHub state (with a warning once per status), so their
+     * issue state is left alone rather than guessed
+     * @param {string} notionStatus - Notion bug status
+     * @returns {Object|null} { state: 'open'|'closed', stateReason: string|null } or null if unmapped
+     */
+    mapNotionStatusToGitHub(notionStatus) {
+        const mapping = this.statusMapping[notionStatus];
+
+        if (!mapping) {
+            if (notionStatus && !this.warnedStatuses.has(notionStatus)) {
+                this.logger.warn(`Notion status "${notionStatus}" is not in the status mapping, not syncing issue state for it`);
+                this.warnedStatuses.add(notionStatus);
+            }
+            return null;
+        }
+
+        return { state: mapping.state, stateReason: mapping.reason || null };
     }
 
     /**
      * Map Notion status to GitHub issue state
      * @param {string} notionStatus - Notion bug status
-     * @returns {string} GitHub issue state ('open' or 'closed')
+     * @returns {string|null} GitHub issue state ('open' or 'closed'), or null if unmapped
      */
     mapNotionStatusToGitHubState(notionStatus) {
-        const statusMapping = {
-            'Reported': 'open',
-            'Blocked': 'open',
-            'In Progress': 'open',
-            'In Review': 'open',
-            'Rejected': 'closed',
-            'Fixed': 'closed'
-        };
-        
-        return statusMapping[notionStatus] || 'open';
+        return this.mapNotionStatusToGitHub(notionStatus)?.state || null;
+    }
+
+    /**
+     * Check whether a GitHub issue's state (and close reason, when GitHub reports one)
+     * differs from what the Notion status maps to
+     * @param {string} notionStatus - Notion bug status
+     * @param {Object} issue - GitHub issue object
+     * @returns {boolean} True if the issue needs updating (never for unmapped statuses)
+     */
+    needsGitHubStateUpdate(notionStatus, issue) {
+        const expected = this.mapNotionStatusToGitHub(notionStatus);
+
+        if (!expected) {
+            return false;
+        }
+
+        if (issue.state !== expected.state) {
+            return true;
+        }
+
+        return expected.state === 'closed' && Boolean(expected.stateReason) &&
+            Boolean(issue.stateReason) && issue.stateReason !== expected.stateReason;
     }
 
     /**
      * Map GitHub issue state to Notion status
      * @param {string} githubState - GitHub issue state
      * @param {string} currentNotionStatus - Current Notion status for context
+     * @param {string} stateReason - GitHub state_reason ('completed', 'not_planned', 'reopened' or null)
      * @returns {string} Notion status
      */
-    mapGitHubStateToNotionStatus(githubState, currentNotionStatus = 'Reported') {
+    mapGitHubStateToNotionStatus(githubState, currentNotionStatus = 'Reported', stateReason = null) {
+        const current = this.statusMapping[currentNotionStatus];
+        const statuses = Object.entries(this.statusMapping);
+        const find = (predicate) => statuses.find(([, mapping]) => predicate(mapping))?.[0];
+
         if (githubState === 'closed') {
-            // If issue is closed in GitHub and Notion status is already a closed state, keep it
-            if (['Fixed', 'Rejected'].includes(currentNotionStatus)) {
+            // Keep the current status if it already is a closed state with a matching reason
+            if (current?.state === 'closed' && (!stateReason || !current.reason || current.reason === stateReason)) {
                 return currentNotionStatus;
             }
-            // Otherwise, default to Fixed for closed issues
-            return 'Fixed';
+
+            return (stateReason && find(mapping => mapping.state === 'closed' && mapping.reason === stateReason)) ||
+                find(mapping => mapping.state === 'closed' && mapping.reason === 'completed') ||
+                find(mapping => mapping.state === 'closed') ||
+                currentNotionStatus;
         }
         
-        // If reopened and was previously closed, mark as Reported
-        if (githubState === 'open' && ['Fixed', 'Rejected'].includes(currentNotionStatus)) {
-            return 'Reported';
+        // If reopened and was previously closed, move to the reopened (or first open) status
+        if (githubState === 'open' && current?.state === 'closed') {
+            return find(mapping => mapping.state === 'open' && mapping.reason === 'reopened') ||
+                find(mapping => mapping.state === 'open') ||
+                currentNotionStatus;
         }
         
         // Otherwise keep current status
         return currentNotionStatus;
     }
 
+    /**
+     * Map Notion people to GitHub logins through the user mapping
+     * @param {Array} people - Notion people ({ id, email })
+     * @param {Object} userMapping - Notion user ID or email to GitHub login
+     * @returns {Array} GitHub logins of the mapped people
+     */
+    mapNotionPeopleToGitHubLogins(people, userMapping) {
+        const logins = [];
+
+        for (const person of people) {
+            const login = userMapping[person.id] || (person.email && userMapping[person.email]);
+            if (login && !logins.includes(login)) {
+                logins.push(login);
+            }
+        }
+
+        return logins;
+    }
+
+    /**
+     * Check whether a GitHub login appears in the user mapping
+     * @param {string} login - GitHub login
+     * @param {Object} userMapping - Notion user ID or email to GitHub login
+     * @returns {boolean} True if the login is mapped to a Notion user
+     */
+    isMappedGitHubLogin(login, userMapping) {
+        return Object.values(userMapping).some(mapped => mapped.toLowerCase() === login.toLowerCase());
+    }
+
     /**
      * Generate GitHub issue title from Notion bug data
      * @param {Object} bug - Notion bug object
@@ -88,50 +232,85 @@ class DataMapper {
         return body;
     }
 
+    /**
+     * Get the issue template of an item's database
+     * @param {Object} item - Notion item object
+     * @returns {IssueTemplate} Issue template (the bug template if the database has none)
+     */
+    getIssueTemplate(item) {
+        const itemType = item.itemType || this.idParser.getItemType(item.id);
+        return this.issueTemplates.get(itemType) || this.defaultIssueTemplate;
+    }
+
     /**
      * Determine GitHub labels based on Notion bug data
+     * The template's base labels (e.g. "bug", "enhancement") come first
      * @param {Object} bug - Notion bug object
      * @returns {Array} Array of label names
      */
     generateGitHubLabels(bug) {
-        const labels = ['bug', 'notion-sync'];
+        const labels = [...this.getIssueTemplate(bug).labels, 'notion-sync'];
         
-        // Add type-based labels
+        // Add type-based labels, falling back to the lowercased type for unconfigured types
         if (bug.type) {
-            labels.push(bug.type.toLowerCase());
+            labels.push(this.labelConfig.type[bug.type] || bug.type.toLowerCase());
         }
         
         // Add status-based labels
-        switch (bug.status) {
-            case 'Blocked':
-                labels.push('blocked');
-                break;
-            case 'In Progress':
-                labels.push('in-progress');
-                break;
-            case 'In Review':
-                labels.push('in-review');
-                break;
+        const statusLabel = this.labelConfig.status[bug.status];
+        if (statusLabel) {
+            labels.push(statusLabel);
         }
         
         return labels;
     }
 
+    /**
+     * Get every label the sync adds and removes as Type and Status change
+     * Labels outside this set (added by hand) are never removed
+     * @returns {Array} Array of label names
+     */
+    getManagedLabels() {
+        return [...new Set([
+            ...Object.values(this.labelConfig.type),
+            ...Object.values(this.labelConfig.status)
+        ])];
+    }
+
+    /**
+     * Get the configured color for a label
+     * @param {string} label - Label name
+     * @returns {string|null} 6-digit hex color or null if not configured
+     */
+    getLabelColor(label) {
+        return this.labelConfig.colors[label] || null;
+    }
+
+    /**
+     * Work out which labels to add to and remove from an issue to match the Notion bug
+     * @param {Object} bug - Notion bug object
+     * @param {Array} currentLabels - Labels currently on the issue
+     * @returns {Object} { add, remove } arrays of label names
+     */
+    diffGitHubLabels(bug, currentLabels) {
+        const desired = this.generateGitHubLabels(bug);
+        const managed = this.getManagedLabels();
+        const has = (labels, name) => labels.some(label => label.toLowerCase() === name.toLowerCase());
+
+        return {
+            add: desired.filter(label => !has(currentLabels, label)),
+            remove: currentLabels.filter(label => has(managed, label) && !has(desired, label))
+        };
+    }
+
     /**
      * Extract Notion bug ID from GitHub issue title
      * @param {string} title - GitHub issue title
      * @returns {string|null} Extracted bug ID or null
      */
     extractBugIdFromTitle(title) {
-        // Match new format: "CBUG-2: Test Title" or old format: "[Application]/(CBUG-2) Title"
-        const newMatch = title.match(/^(CBUG-\d+|TSK-\d+):\s+(.+)$/);
-        if (newMatch) {
-            return newMatch[1]; // Return CBUG-2 or TSK-1
-        }
-        
-        // Fallback to old format
-        const oldMatch = title.match(/^\[(\w+)\]\/(CBUG-\d+)\s+(.+)$/);
-        return oldMatch ? oldMatch[2] : null;
+        // "CBUG-2: Test Title" or the older "[Application]/CBUG-2 Title"
+        return this.idParser.fromIssueTitle(title);
     }
 
     /**
@@ -166,14 +345,6 @@ class DataMapper {
     validateBugForSync(bug) {
         const errors = [];
         
-        // Skip validation for tasks - they don't need GitHub issues
-        if (bug.itemType === 'task') {
-            return {
-                isValid: false,
-                errors: ['Tasks are not synced to GitHub issues - they only sync PR properties']
-            };
-        }
-        
         if (!bug.id) {
             errors.push('Bug ID is missing');
         }
@@ -186,8 +357,9 @@ class DataMapper {
             errors.push('Module is missing');
         }
         
-        if (!bug.type) {
-            errors.push('Type is missing');
+        // The issue template decides what else an item needs (bugs need a Type)
+        for (const field of this.getIssueTemplate(bug).getMissingFields(bug)) {
+            errors.push(`${field.charAt(0).toUpperCase()}${field.slice(1)} is missing`);
         }
         
         return {
@@ -202,16 +374,23 @@ class DataMapper {
      * @param {Object} source - Source object (bug or issue)
      * @param {Object} target - Target object (issue or bug)
      * @param {string} reason - Reason for the sync operation
+     * @param {Object} changes - Optional field changes as { field: { before, after } }
      * @returns {Object} Sync operation object
      */
-    createSyncOperation(action, source, target, reason) {
-        return {
+    createSyncOperation(action, source, target, reason, changes = null) {
+        const operation = {
             action,
             source,
             target,
             reason,
             timestamp: new Date().toISOString()
         };
+
+        if (changes) {
+            operation.changes = changes;
+        }
+
+        return operation;
     }
 
     /**
@@ -280,13 +459,10 @@ class DataMapper {
      * @returns {Object} Sync operation object
      */
     createPRSyncOperation(bug, pr, reason) {
-        return {
-            action: 'update_notion_pr',
-            source: bug,
-            target: pr,
-            reason,
-            timestamp: new Date().toISOString()
-        };
+        return this.createSyncOperation('update_notion_pr', bug, pr, reason, {
+            pullRequestStatus: { before: bug.pullRequestStatus, after: this.mapGitHubPRStateToNotionStatus(pr) },
+            pullRequestLink: { before: bug.pullRequestLink, after: pr.githubUrl }
+        });
     }
 }
 
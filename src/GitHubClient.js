@@ -1,10 +1,31 @@
 const { Octokit } = require('@octokit/rest');
 const Logger = require('./Logger');
+const IdParser = require('./IdParser');
+const IssueTemplate = require('./IssueTemplate');
+
+// Issue body sections are generated from Notion fields as the item's IssueTemplate describes.
+// Each is wrapped in HTML comment markers so later syncs can rewrite them without touching
+// anything else in the body
+const GENERATED_FOOTER = 'This issue was automatically created from Notion';
+
+// Hidden marker on comments the sync writes itself (state-change notes, mirrored Notion comments)
+const SYNC_COMMENT_MARKER = '<!-- notion-sync:';
+
+// Color GitHub itself gives labels created without one
+const DEFAULT_LABEL_COLOR = 'ededed';
+
+// Sub-issue fields and mutations needed this feature flag while in preview, as some GitHub Enterprise Server versions still do
+const SUB_ISSUES_HEADERS = { 'GraphQL-Features': 'sub_issues' };
 
 class GitHubClient {
-    constructor(token, logger) {
+    constructor(token, logger, options = {}) {
         this.token = token;
         this.logger = logger;
+        this.maxPages = options.maxPages || 50;
+        this.truncatedFetches = [];
+        this.idParser = options.idParser || new IdParser();
+        this.issueTemplates = options.issueTemplates || new Map();
+        this.defaultIssueTemplate = new IssueTemplate();
         
         // Configure Octokit based on token format
         let authConfig;
@@ -27,6 +48,89 @@ class GitHubClient {
         }
         
         this.octokit = new Octokit(authConfig);
+
+        // Pace and retry every REST and GraphQL request, including paginated ones
+        if (options.rateLimiter) {
+            this.octokit.hook.wrap('request', (request, requestOptions) =>
+                options.rateLimiter.schedule(
+                    () => request(requestOptions),
+                    `${requestOptions.method} ${requestOptions.url}`,
+                    { idempotent: this.isIdempotentRequest(requestOptions) }
+                )
+            );
+        }
+    }
+
+    /**
+     * Check whether a request is safe to repeat after a server or network error
+     * REST POSTs create issues, comments and labels and GraphQL mutations change data; GraphQL
+     * queries are POSTs as well but only read
+     * @param {Object} requestOptions - Octokit request options
+     * @returns {boolean} True if the request may be retried
+     */
+    isIdempotentRequest(requestOptions) {
+        if (requestOptions.method !== 'POST') {
+            return true;
+        }
+
+        return /\/graphql$/.test(requestOptions.url || '') && /^\s*(query\b|\{)/.test(requestOptions.query || '');
+    }
+
+    /**
+     * Read every page of a list endpoint by following the Link header, up to the page limit
+     * @param {Function} method - Octokit REST method (e.g., this.octokit.rest.issues.listForRepo)
+     * @param {Object} params - Request parameters
+     * @param {string} label - Human-readable name for progress logging
+     * @param {Function} isDone - Optional check on each page's items to stop reading early
+     * @returns {Array} Array of raw items from all pages
+     */
+    async paginate(method, params, label, isDone = null) {
+        const results = [];
+        let page = 0;
+        let truncated = false;
+
+        for await (const response of this.octokit.paginate.iterator(method, { ...params, per_page: 100 })) {
+            results.push(...response.data);
+            page++;
+
+            if (isDone && isDone(response.data)) {
+                break;
+            }
+
+            const hasNext = /rel="next"/.test(response.headers.link || '');
+            if (!hasNext) {
+                break;
+            }
+
+            if (page >= this.maxPages) {
+                truncated = true;
+                break;
+            }
+
+            this.logger.info(`Fetched page ${page} of ${label} (${results.length} so far)...`);
+        }
+
+        if (truncated) {
+            this.logger.warn(`Stopped reading ${label} after ${this.maxPages} pages (${results.length} results) - raise SYNC_MAX_PAGES to read the rest`);
+            this.truncatedFetches.push(label);
+        }
+
+        return results;
+    }
+
+    /**
+     * Get the fetches that hit the page limit since the last reset
+     * @returns {Array} Labels of truncated fetches
+     */
+    getTruncatedFetches() {
+        return this.truncatedFetches;
+    }
+
+    /**
+     * Forget truncated fetches from a previous cycle
+     */
+    clearTruncatedFetches() {
+        this.truncatedFetches = [];
     }
 
     /**
@@ -67,22 +171,29 @@ class GitHubClient {
     /**
      * Fetch all issues from a repository that were created by this sync tool
      * @param {string} repo - Repository in format "owner/repo"
+     * @param {Object} options - Fetch options
+     * @param {string} options.since - Only fetch issues updated at or after this ISO timestamp
      * @returns {Array} Array of formatted issue objects
      */
-    async fetchSyncedIssues(repo) {
+    async fetchSyncedIssues(repo, options = {}) {
         try {
             const [owner, repoName] = repo.split('/');
-            this.logger.info(`Fetching synced issues from ${repo}...`);
+            this.logger.info(`Fetching synced issues from ${repo}${options.since ? ` updated since ${options.since}` : ''}...`);
             
-            const response = await this.octokit.rest.issues.listForRepo({
+            const params = {
                 owner,
                 repo: repoName,
                 labels: 'notion-sync',
-                state: 'all',
-                per_page: 100
-            });
+                state: 'all'
+            };
 
-            const issues = response.data.map(issue => this.formatIssueData(issue, repo));
+            if (options.since) {
+                params.since = options.since;
+            }
+
+            const data = await this.paginate(this.octokit.rest.issues.listForRepo, params, `synced issues in ${repo}`);
+
+            const issues = data.map(issue => this.formatIssueData(issue, repo));
             
             this.logger.info(`Successfully fetched ${issues.length} synced issues from ${repo}`);
             return issues;
@@ -96,19 +207,169 @@ class GitHubClient {
         }
     }
 
+    /**
+     * Fetch open issues carrying the import label that the sync doesn't manage yet
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {string} label - Label marking issues for import into Notion (e.g., "triage")
+     * @returns {Array} Array of formatted issue objects
+     */
+    async fetchIssuesToImport(repo, label) {
+        try {
+            const [owner, repoName] = repo.split('/');
+            this.logger.info(`Fetching issues labelled "${label}" from ${repo}...`);
+
+            const data = await this.paginate(this.octokit.rest.issues.listForRepo, {
+                owner,
+                repo: repoName,
+                labels: label,
+                state: 'open'
+            }, `"${label}" issues in ${repo}`);
+
+            // The issues API also lists pull requests; issues already synced were imported before
+            const issues = data
+                .filter(issue => !issue.pull_request)
+                .map(issue => this.formatIssueData(issue, repo))
+                .filter(issue => !issue.isNotionSync);
+
+            this.logger.info(`Found ${issues.length} issues to import from ${repo}`);
+            return issues;
+        } catch (error) {
+            if (error.status === 404) {
+                this.logger.warn(`Repository ${repo} not found or no access`);
+                return [];
+            }
+            this.logger.error(`Error fetching issues to import from ${repo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch issues to import from multiple repositories
+     * @param {Array} repos - Array of repository names
+     * @param {string} label - Label marking issues for import into Notion
+     * @returns {Array} Combined array of formatted issue objects
+     */
+    async fetchAllIssuesToImport(repos, label) {
+        const allIssues = [];
+
+        for (const repo of repos) {
+            try {
+                const issues = await this.fetchIssuesToImport(repo, label);
+                allIssues.push(...issues);
+            } catch (error) {
+                this.logger.error(`Failed to fetch issues to import from ${repo}:`, error.message);
+            }
+        }
+
+        return allIssues;
+    }
+
+    /**
+     * Retitle an imported issue with its Notion ID and add the notion-sync label
+     * so later syncs link it to the Notion page
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - GitHub issue number
+     * @param {string} title - New issue title
+     * @returns {Array} Labels now on the issue
+     */
+    async markIssueImported(repo, issueNumber, title) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            this.logger.info(`Marking issue #${issueNumber} in ${repo} as imported: ${title}`);
+
+            await this.octokit.rest.issues.update({
+                owner,
+                repo: repoName,
+                issue_number: issueNumber,
+                title
+            });
+
+            // Label last: once labelled the issue is no longer an import candidate
+            const response = await this.octokit.rest.issues.addLabels({
+                owner,
+                repo: repoName,
+                issue_number: issueNumber,
+                labels: ['notion-sync']
+            });
+
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Error marking issue #${issueNumber} in ${repo} as imported:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single issue by number
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - GitHub issue number
+     * @returns {Object|null} Formatted issue object or null if not found
+     */
+    async getIssue(repo, issueNumber) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            const response = await this.octokit.rest.issues.get({
+                owner,
+                repo: repoName,
+                issue_number: issueNumber
+            });
+
+            return this.formatIssueData(response.data, repo);
+        } catch (error) {
+            if (error.status === 404 || error.status === 410) {
+                this.logger.warn(`Issue #${issueNumber} not found in ${repo}`);
+                return null;
+            }
+            this.logger.error(`Error fetching issue #${issueNumber} from ${repo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Search a repository for synced issues whose title contains the given text
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {string} text - Text to look for in issue titles (e.g., "CBUG-2")
+     * @returns {Array} Array of formatted issue objects
+     */
+    async searchSyncedIssues(repo, text) {
+        try {
+            this.logger.info(`Searching ${repo} for synced issues matching "${text}"...`);
+
+            const response = await this.octokit.rest.search.issuesAndPullRequests({
+                q: `repo:${repo} is:issue label:notion-sync in:title "${text}"`,
+                per_page: 20
+            });
+
+            const issues = response.data.items.map(issue => this.formatIssueData(issue, repo));
+
+            this.logger.info(`Found ${issues.length} synced issues matching "${text}" in ${repo}`);
+            return issues;
+        } catch (error) {
+            if (error.status === 404 || error.status === 422) {
+                this.logger.warn(`Repository ${repo} not found or not searchable`);
+                return [];
+            }
+            this.logger.error(`Error searching issues in ${repo}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Fetch all synced issues from multiple repositories
      * @param {Array} repos - Array of repository names
+     * @param {Object} options - Fetch options passed to fetchSyncedIssues
      * @returns {Array} Array of all issues from all repositories
      */
-    async fetchAllSyncedIssues(repos) {
+    async fetchAllSyncedIssues(repos, options = {}) {
         try {
             this.logger.info(`Fetching synced issues from ${repos.length} repositories...`);
             
             const allIssues = [];
             for (const repo of repos) {
                 try {
-                    const issues = await this.fetchSyncedIssues(repo);
+                    const issues = await this.fetchSyncedIssues(repo, options);
                     allIssues.push(...issues);
                 } catch (error) {
                     this.logger.warn(`Skipping ${repo} due to error:`, error.message);
@@ -131,8 +392,8 @@ class GitHubClient {
      * @returns {Object} Formatted issue object
      */
     formatIssueData(issue, repo) {
-        // Extract notion bug ID from title (format: [type]/[ID] [Title])
-        const titleMatch = issue.title.match(/^\[(\w+)\]\/(CBUG-\d+)\s+(.+)$/);
+        // Extract Notion ID from title ("ID: Title" or "[Type]/ID Title")
+        const parsedTitle = this.idParser.parseIssueTitle(issue.title);
         
         return {
             githubId: issue.number,
@@ -141,14 +402,17 @@ class GitHubClient {
             title: issue.title,
             body: issue.body,
             state: issue.state, // 'open' or 'closed'
+            stateReason: issue.state_reason || null, // 'completed', 'not_planned', 'reopened' or null
             labels: issue.labels.map(label => label.name),
+            assignees: (issue.assignees || []).map(assignee => assignee.login),
             createdAt: issue.created_at,
             updatedAt: issue.updated_at,
             closedAt: issue.closed_at,
+            author: issue.user?.login || null,
             // Extracted from title format
-            bugType: titleMatch ? titleMatch[1] : null,
-            bugId: titleMatch ? titleMatch[2] : null,
-            bugTitle: titleMatch ? titleMatch[3] : issue.title,
+            bugType: parsedTitle?.type || null,
+            bugId: parsedTitle?.id || null,
+            bugTitle: parsedTitle ? parsedTitle.title : issue.title,
             // Check if this issue was created by sync tool
             isNotionSync: issue.labels.some(label => label.name === 'notion-sync')
         };
@@ -159,33 +423,35 @@ class GitHubClient {
      * @param {string} repo - Repository in format "owner/repo"
      * @param {Object} bug - Notion bug data
      * @param {string} branchUrl - Optional branch URL to include in issue body
+     * @param {Array} assignees - Optional GitHub logins to assign
+     * @param {Array} labels - Optional labels, computed from the bug if omitted
      * @returns {Object} Created issue object
      */
-    async createIssue(repo, bug, branchUrl = null) {
+    async createIssue(repo, bug, branchUrl = null, assignees = [], labels = null) {
         try {
             const [owner, repoName] = repo.split('/');
             
-            // Format title: ID: Title → CBUG-2: Test Bug Fix
-            const title = `${bug.id}: ${bug.title}`;
+            const title = this.formatIssueTitle(bug);
             
             // Format description with bug details and optional branch URL
             const body = this.formatIssueBody(bug, branchUrl || bug.branchUrl);
             
             // Determine labels based on bug properties (including type)
-            const labels = this.determineLabels(bug);
+            const issueLabels = labels || this.determineLabels(bug);
             
             this.logger.info(`Creating new issue in ${repo}: ${title}`);
             this.logger.info(`Owner: ${owner}, Repo: ${repoName}`);
             this.logger.info(`Title: ${title}`);
             this.logger.info(`Body: ${body}`);
-            this.logger.info(`Labels: ${JSON.stringify(labels)}`);
+            this.logger.info(`Labels: ${JSON.stringify(issueLabels)}`);
             
             const response = await this.octokit.rest.issues.create({
                 owner,
                 repo: repoName,
                 title,
                 body,
-                labels
+                labels: issueLabels,
+                ...(assignees.length > 0 ? { assignees } : {})
             });
             
             this.logger.info(`Successfully created issue #${response.data.number} in ${repo}`);
@@ -213,9 +479,10 @@ class GitHubClient {
      * @param {string} repo - Repository in format "owner/repo"
      * @param {number} issueNumber - GitHub issue number
      * @param {string} state - 'closed' or 'open'
+     * @param {string} stateReason - Optional state_reason ('completed', 'not_planned' or 'reopened')
      * @returns {Object} Updated issue object
      */
-    async updateIssueState(repo, issueNumber, state) {
+    async updateIssueState(repo, issueNumber, state, stateReason = null) {
         try {
             const [owner, repoName] = repo.split('/');
             
@@ -225,7 +492,8 @@ class GitHubClient {
                 owner,
                 repo: repoName,
                 issue_number: issueNumber,
-                state
+                state,
+                ...(stateReason ? { state_reason: stateReason } : {})
             });
             
             this.logger.info(`Successfully updated issue #${issueNumber} state to ${state}`);
@@ -236,6 +504,159 @@ class GitHubClient {
         }
     }
 
+    /**
+     * Add labels to a GitHub issue
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - GitHub issue number
+     * @param {Array} labels - Label names to add
+     * @returns {Array} Labels now on the issue
+     */
+    async addLabels(repo, issueNumber, labels) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            this.logger.info(`Adding labels to issue #${issueNumber} in ${repo}: ${labels.join(', ')}`);
+
+            const response = await this.octokit.rest.issues.addLabels({
+                owner,
+                repo: repoName,
+                issue_number: issueNumber,
+                labels
+            });
+
+            return response.data.map(label => label.name);
+        } catch (error) {
+            this.logger.error(`Error adding labels to issue #${issueNumber} in ${repo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the labels of a GitHub issue
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - GitHub issue number
+     * @param {Array} labels - Label names (empty to remove all labels)
+     * @returns {Array} Labels now on the issue
+     */
+    async setLabels(repo, issueNumber, labels) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            this.logger.info(`Setting labels of issue #${issueNumber} in ${repo} to: ${labels.join(', ') || '(none)'}`);
+
+            const response = await this.octokit.rest.issues.setLabels({
+                owner,
+                repo: repoName,
+                issue_number: issueNumber,
+                labels
+            });
+
+            return response.data.map(label => label.name);
+        } catch (error) {
+            this.logger.error(`Error setting labels of issue #${issueNumber} in ${repo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a label from a GitHub issue
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - GitHub issue number
+     * @param {string} label - Label name to remove
+     * @returns {boolean} True if removed (or already absent)
+     */
+    async removeLabel(repo, issueNumber, label) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            this.logger.info(`Removing label "${label}" from issue #${issueNumber} in ${repo}`);
+
+            await this.octokit.rest.issues.removeLabel({
+                owner,
+                repo: repoName,
+                issue_number: issueNumber,
+                name: label
+            });
+
+            return true;
+        } catch (error) {
+            if (error.status === 404) {
+                return true;
+            }
+            this.logger.error(`Error removing label "${label}" from issue #${issueNumber} in ${repo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Make sure a repository label exists with the given color
+     * Without a color an existing label is left as it is and a missing one is created in gray
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {string} name - Label name
+     * @param {string|null} color - 6-digit hex color without "#"
+     */
+    async ensureLabel(repo, name, color = null) {
+        const [owner, repoName] = repo.split('/');
+
+        try {
+            const response = await this.octokit.rest.issues.getLabel({
+                owner,
+                repo: repoName,
+                name
+            });
+
+            if (color && response.data.color.toLowerCase() !== color.toLowerCase()) {
+                this.logger.info(`Updating color of label "${name}" in ${repo} to #${color}`);
+                await this.octokit.rest.issues.updateLabel({
+                    owner,
+                    repo: repoName,
+                    name,
+                    color
+                });
+            }
+        } catch (error) {
+            if (error.status !== 404) {
+                this.logger.error(`Error checking label "${name}" in ${repo}:`, error);
+                throw error;
+            }
+
+            this.logger.info(`Creating label "${name}" in ${repo} with color #${color || DEFAULT_LABEL_COLOR}`);
+            await this.octokit.rest.issues.createLabel({
+                owner,
+                repo: repoName,
+                name,
+                color: color || DEFAULT_LABEL_COLOR
+            });
+        }
+    }
+
+    /**
+     * Replace the assignees of a GitHub issue
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - GitHub issue number
+     * @param {Array} assignees - GitHub logins (empty to unassign everyone)
+     * @returns {Object} Updated issue object
+     */
+    async setIssueAssignees(repo, issueNumber, assignees) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            this.logger.info(`Setting assignees of issue #${issueNumber} in ${repo} to: ${assignees.join(', ') || '(none)'}`);
+
+            const response = await this.octokit.rest.issues.update({
+                owner,
+                repo: repoName,
+                issue_number: issueNumber,
+                assignees
+            });
+
+            return this.formatIssueData(response.data, repo);
+        } catch (error) {
+            this.logger.error(`Error setting assignees of issue #${issueNumber} in ${repo}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Add comment to GitHub issue
      * @param {string} repo - Repository in format "owner/repo"
@@ -264,6 +685,102 @@ class GitHubClient {
         }
     }
 
+    /**
+     * Add an automated note to a GitHub issue, marked so comment sync never mirrors it
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - GitHub issue number
+     * @param {string} text - Note text
+     * @returns {Object} Created comment object
+     */
+    async addSyncNote(repo, issueNumber, text) {
+        return await this.addComment(repo, issueNumber, `${SYNC_COMMENT_MARKER}automated -->\n${text}`);
+    }
+
+    /**
+     * Check whether a comment body was written by the sync
+     * @param {string} body - Comment body
+     * @returns {boolean} True if the comment carries a sync marker
+     */
+    isSyncComment(body) {
+        return (body || '').includes(SYNC_COMMENT_MARKER);
+    }
+
+    /**
+     * List all comments on a GitHub issue
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - GitHub issue number
+     * @returns {Array} Array of raw comment objects
+     */
+    async listIssueComments(repo, issueNumber) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            return await this.paginate(this.octokit.rest.issues.listComments, {
+                owner,
+                repo: repoName,
+                issue_number: issueNumber
+            }, `comments on ${repo}#${issueNumber}`);
+        } catch (error) {
+            this.logger.error(`Error listing comments on issue #${issueNumber} in ${repo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update the body of a GitHub issue comment
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} commentId - Comment ID
+     * @param {string} body - New comment body
+     * @returns {Object} Updated comment object
+     */
+    async updateComment(repo, commentId, body) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            this.logger.info(`Updating comment ${commentId} in ${repo}`);
+
+            const response = await this.octokit.rest.issues.updateComment({
+                owner,
+                repo: repoName,
+                comment_id: commentId,
+                body
+            });
+
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Error updating comment ${commentId} in ${repo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a GitHub issue comment
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} commentId - Comment ID
+     * @returns {boolean} True if deleted (or already gone)
+     */
+    async deleteComment(repo, commentId) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            this.logger.info(`Deleting comment ${commentId} in ${repo}`);
+
+            await this.octokit.rest.issues.deleteComment({
+                owner,
+                repo: repoName,
+                comment_id: commentId
+            });
+
+            return true;
+        } catch (error) {
+            if (error.status === 404) {
+                return true;
+            }
+            this.logger.error(`Error deleting comment ${commentId} in ${repo}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Update GitHub issue body
      * @param {string} repo - Repository in format "owner/repo"
@@ -292,6 +809,143 @@ class GitHubClient {
         }
     }
 
+    /**
+     * Update the title and/or body of a GitHub issue
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - GitHub issue number
+     * @param {Object} fields - Fields to change ({ title, body })
+     * @returns {Object} Updated issue object
+     */
+    async updateIssueContent(repo, issueNumber, fields) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            this.logger.info(`Updating ${Object.keys(fields).join(' and ')} for issue #${issueNumber} in ${repo}`);
+
+            const response = await this.octokit.rest.issues.update({
+                owner,
+                repo: repoName,
+                issue_number: issueNumber,
+                ...fields
+            });
+
+            this.logger.info(`Successfully updated issue #${issueNumber} content`);
+            return this.formatIssueData(response.data, repo);
+        } catch (error) {
+            this.logger.error(`Error updating issue #${issueNumber} content:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the issue template of an item's database
+     * @param {Object} item - Notion item data (itemType, or an ID with a known prefix)
+     * @returns {IssueTemplate} Issue template (the bug template if the database has none)
+     */
+    getIssueTemplate(item) {
+        const itemType = item.itemType || this.idParser.getItemType(item.id);
+        return this.issueTemplates.get(itemType) || this.defaultIssueTemplate;
+    }
+
+    /**
+     * Format issue title from bug data
+     * @param {Object} bug - Notion bug data
+     * @returns {string} Issue title (e.g., "CBUG-2: Test Bug Fix")
+     */
+    formatIssueTitle(bug) {
+        return this.getIssueTemplate(bug).formatTitle(bug);
+    }
+
+    /**
+     * Format one generated body section wrapped in its markers
+     * Empty sections keep their markers so the content can be filled in later
+     * @param {Object} section - Section of an IssueTemplate
+     * @param {string} content - Section content from Notion
+     * @returns {string} Marked section followed by a blank line
+     */
+    formatGeneratedSection(section, content) {
+        const heading = content ? `## ${section.heading}\n${content}\n` : '';
+        return `<!-- notion-sync:${section.key} -->\n${heading}<!-- /notion-sync:${section.key} -->\n\n`;
+    }
+
+    /**
+     * Locate a generated section in an issue body
+     * Bodies created before markers were introduced are matched by heading, but only
+     * when the sync footer shows the tool wrote them
+     * @param {string} body - Issue body (with \n line endings)
+     * @param {Object} section - Section of an IssueTemplate
+     * @returns {Object|null} { index, length, content } or null if the section isn't present
+     */
+    findGeneratedSection(body, section) {
+        const heading = `## ${section.heading}\n`;
+        const stripHeading = (text) => (text.startsWith(heading) ? text.slice(heading.length) : text).trim();
+
+        const marked = body.match(new RegExp(`<!-- notion-sync:${section.key} -->\\n([\\s\\S]*?)<!-- /notion-sync:${section.key} -->\\n*`));
+        if (marked) {
+            return { index: marked.index, length: marked[0].length, content: stripHeading(marked[1]) };
+        }
+
+        if (!body.includes(GENERATED_FOOTER)) {
+            return null;
+        }
+
+        const legacy = body.match(new RegExp(`^## ${section.heading}\\n[\\s\\S]*?(?=^## |^---$|(?![\\s\\S]))`, 'm'));
+        if (legacy) {
+            return { index: legacy.index, length: legacy[0].length, content: stripHeading(legacy[0]) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Rewrite the generated sections of an existing issue body from bug data
+     * Text outside the generated sections is left untouched; missing sections are
+     * inserted after the previous generated section (or at the top). Bodies the tool
+     * didn't write (no markers, no footer) are returned unchanged
+     * @param {string} body - Current issue body
+     * @param {Object} bug - Notion bug data
+     * @returns {Object} { body, changes } where changes maps section keys to { before, after }
+     */
+    applyGeneratedSections(body, bug) {
+        let result = (body || '').replace(/\r\n/g, '\n');
+        let insertAt = 0;
+        const changes = {};
+
+        if (!result.includes('<!-- notion-sync:') && !result.includes(GENERATED_FOOTER)) {
+            return { body: result, changes };
+        }
+
+        const template = this.getIssueTemplate(bug);
+        for (const section of template.sections) {
+            const existing = this.findGeneratedSection(result, section);
+
+            // A field the item wasn't loaded with (e.g., subIssues outside a sync pass) leaves its section as it is
+            if (bug[section.field] === undefined && existing) {
+                insertAt = existing.index + existing.length;
+                continue;
+            }
+
+            const content = template.renderSection(section, bug, existing?.content);
+            const block = this.formatGeneratedSection(section, content);
+
+            if (existing) {
+                if (existing.content !== content) {
+                    changes[section.key] = { before: existing.content, after: content };
+                }
+                result = result.slice(0, existing.index) + block + result.slice(existing.index + existing.length);
+                insertAt = existing.index + block.length;
+            } else {
+                if (content) {
+                    changes[section.key] = { before: '', after: content };
+                }
+                result = result.slice(0, insertAt) + block + result.slice(insertAt);
+                insertAt += block.length;
+            }
+        }
+
+        return { body: result, changes };
+    }
+
     /**
      * Format issue body with bug description and steps to reproduce
      * @param {Object} bug - Notion bug data
@@ -300,12 +954,9 @@ class GitHubClient {
     formatIssueBody(bug, branchUrl = null) {
         let body = '';
         
-        if (bug.description) {
-            body += `## Description\n${bug.description}\n\n`;
-        }
-        
-        if (bug.stepsToReproduce) {
-            body += `## Steps to Reproduce\n${bug.stepsToReproduce}\n\n`;
+        const template = this.getIssueTemplate(bug);
+        for (const section of template.sections) {
+            body += this.formatGeneratedSection(section, template.renderSection(section, bug));
         }
 
         // Add branch information if provided
@@ -314,7 +965,7 @@ class GitHubClient {
             body += `## Development\n**Branch:** [${branchName}](${branchUrl})\n\n`;
         }
         
-        body += `---\n*This issue was automatically created from Notion bug ${bug.id}*`;
+        body += `---\n*${GENERATED_FOOTER} ${bug.itemType || 'bug'} ${bug.id}*`;
         
         return body;
     }
@@ -325,7 +976,7 @@ class GitHubClient {
      * @returns {Array} Array of label names
      */
     determineLabels(bug) {
-        const labels = ['bug', 'notion-sync'];
+        const labels = [...this.getIssueTemplate(bug).labels, 'notion-sync'];
         
         // Add type-based labels
         if (bug.type) {
@@ -412,6 +1063,190 @@ class GitHubClient {
         }
     }
 
+    /**
+     * Unlock a GitHub issue's conversation
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - Issue number to unlock
+     * @returns {boolean} Success status
+     */
+    async unlockIssue(repo, issueNumber) {
+        try {
+            const [owner, repoName] = repo.split('/');
+
+            this.logger.info(`Unlocking issue #${issueNumber} in ${repo}`);
+
+            await this.octokit.rest.issues.unlock({
+                owner,
+                repo: repoName,
+                issue_number: issueNumber
+            });
+
+            return true;
+        } catch (error) {
+            this.logger.error(`Error unlocking issue #${issueNumber} in ${repo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Transfer a GitHub issue to another repository of the same owner
+     * The REST API has no transfer endpoint, so this uses the GraphQL transferIssue mutation
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {number} issueNumber - Issue number to transfer
+     * @param {string} targetRepo - Destination repository in format "owner/repo"
+     * @returns {Object} { repository, githubId, githubUrl } of the issue in its new repository
+     */
+    async transferIssue(repo, issueNumber, targetRepo) {
+        try {
+            const [owner, repoName] = repo.split('/');
+            const [targetOwner, targetRepoName] = targetRepo.split('/');
+
+            this.logger.info(`Transferring issue #${issueNumber} from ${repo} to ${targetRepo}`);
+
+            const [issue, target] = await Promise.all([
+                this.octokit.rest.issues.get({ owner, repo: repoName, issue_number: issueNumber }),
+                this.octokit.rest.repos.get({ owner: targetOwner, repo: targetRepoName })
+            ]);
+
+            const response = await this.octokit.graphql(`
+                mutation($issueId: ID!, $repositoryId: ID!) {
+                    transferIssue(input: { issueId: $issueId, repositoryId: $repositoryId }) {
+                        issue { number url }
+                    }
+                }
+            `, {
+                issueId: issue.data.node_id,
+                repositoryId: target.data.node_id
+            });
+
+            const transferred = response.transferIssue.issue;
+            this.logger.info(`Issue #${issueNumber} from ${repo} is now ${targetRepo}#${transferred.number}`);
+
+            return {
+                repository: targetRepo,
+                githubId: transferred.number,
+                githubUrl: transferred.url
+            };
+        } catch (error) {
+            this.logger.error(`Error transferring issue #${issueNumber} from ${repo} to ${targetRepo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Look up the parent of issues in a repository (native sub-issues)
+     * The REST API only lists sub-issues from the parent's side, so this asks GraphQL for each issue's parent
+     * @param {string} repo - Repository in format "owner/repo"
+     * @param {Array} issueNumbers - Issue numbers
+     * @returns {Map} Issue number to parent { repository, githubId }, or null for issues without one
+     */
+    async fetchIssueParents(repo, issueNumbers) {
+        const [owner, repoName] = repo.split('/');
+        const parents = new Map();
+
+        try {
+            for (let start = 0; start < issueNumbers.length; start += 50) {
+                const numbers = issueNumbers.slice(start, start + 50);
+                const fields = numbers.map(number => `issue${number}: issue(number: ${number}) { parent { number repository { nameWithOwner } } }`);
+
+                const response = await this.octokit.graphql(`
+                    query($owner: String!, $name: String!) {
+                        repository(owner: $owner, name: $name) {
+                            ${fields.join('\n')}
+                        }
+                    }
+                `, {
+                    owner,
+                    name: repoName,
+                    headers: SUB_ISSUES_HEADERS
+                });
+
+                for (const number of numbers) {
+                    const parent = response.repository[`issue${number}`]?.parent;
+                    parents.set(number, parent ? { repository: parent.repository.nameWithOwner, githubId: parent.number } : null);
+                }
+            }
+
+            return parents;
+        } catch (error) {
+            this.logger.error(`Error fetching sub-issue parents in ${repo}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Make an issue a native sub-issue of another, replacing any parent it had
+     * @param {string} parentRepo - Repository of the parent issue in format "owner/repo"
+     * @param {number} parentNumber - Parent issue number
+     * @param {string} repo - Repository of the sub-issue in format "owner/repo"
+     * @param {number} issueNumber - Sub-issue number
+     */
+    async addSubIssue(parentRepo, parentNumber, repo, issueNumber) {
+        try {
+            this.logger.info(`Adding ${repo}#${issueNumber} as sub-issue of ${parentRepo}#${parentNumber}`);
+
+            const [parentId, subIssueId] = await this.getIssueNodeIds([[parentRepo, parentNumber], [repo, issueNumber]]);
+
+            await this.octokit.graphql(`
+                mutation($issueId: ID!, $subIssueId: ID!) {
+                    addSubIssue(input: { issueId: $issueId, subIssueId: $subIssueId, replaceParent: true }) {
+                        issue { number }
+                    }
+                }
+            `, {
+                issueId: parentId,
+                subIssueId,
+                headers: SUB_ISSUES_HEADERS
+            });
+        } catch (error) {
+            this.logger.error(`Error adding ${repo}#${issueNumber} as sub-issue of ${parentRepo}#${parentNumber}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Detach a native sub-issue from its parent
+     * @param {string} parentRepo - Repository of the parent issue in format "owner/repo"
+     * @param {number} parentNumber - Parent issue number
+     * @param {string} repo - Repository of the sub-issue in format "owner/repo"
+     * @param {number} issueNumber - Sub-issue number
+     */
+    async removeSubIssue(parentRepo, parentNumber, repo, issueNumber) {
+        try {
+            this.logger.info(`Removing ${repo}#${issueNumber} from the sub-issues of ${parentRepo}#${parentNumber}`);
+
+            const [parentId, subIssueId] = await this.getIssueNodeIds([[parentRepo, parentNumber], [repo, issueNumber]]);
+
+            await this.octokit.graphql(`
+                mutation($issueId: ID!, $subIssueId: ID!) {
+                    removeSubIssue(input: { issueId: $issueId, subIssueId: $subIssueId }) {
+                        issue { number }
+                    }
+                }
+            `, {
+                issueId: parentId,
+                subIssueId,
+                headers: SUB_ISSUES_HEADERS
+            });
+        } catch (error) {
+            this.logger.error(`Error removing ${repo}#${issueNumber} from the sub-issues of ${parentRepo}#${parentNumber}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the GraphQL node IDs of issues
+     * @param {Array} issues - Array of [repo, issueNumber]
+     * @returns {Array} Node IDs in the same order
+     */
+    async getIssueNodeIds(issues) {
+        return await Promise.all(issues.map(async ([repo, issueNumber]) => {
+            const [owner, repoName] = repo.split('/');
+            const response = await this.octokit.rest.issues.get({ owner, repo: repoName, issue_number: issueNumber });
+            return response.data.node_id;
+        }));
+    }
+
     /**
      * Create a new branch from a source branch
      * @param {string} repo - Repository in format "owner/repo"
@@ -466,26 +1301,39 @@ class GitHubClient {
      * Fetch pull requests for a specific branch or all PRs related to synced issues
      * @param {string} repo - Repository in format "owner/repo"
      * @param {string} branchName - Optional branch name to filter PRs
+     * @param {Object} options - Fetch options
+     * @param {string} options.since - Only return PRs updated at or after this ISO timestamp
      * @returns {Array} Array of formatted pull request objects
      */
-    async fetchPullRequests(repo, branchName = null) {
+    async fetchPullRequests(repo, branchName = null, options = {}) {
         try {
             const [owner, repoName] = repo.split('/');
-            this.logger.info(`Fetching pull requests from ${repo}${branchName ? ` for branch ${branchName}` : ''}...`);
+            this.logger.info(`Fetching pull requests from ${repo}${branchName ? ` for branch ${branchName}` : ''}${options.since ? ` updated since ${options.since}` : ''}...`);
             
             const params = {
                 owner,
                 repo: repoName,
-                state: 'all',
-                per_page: 100
+                state: 'all'
             };
 
             if (branchName) {
                 params.head = `${owner}:${branchName}`;
             }
+
+            // The pulls API has no "since" parameter, so sort by update time,
+            // stop at the first page reaching past the watermark and filter
+            let reachedWatermark = null;
+            if (options.since) {
+                params.sort = 'updated';
+                params.direction = 'desc';
+                reachedWatermark = (page) => page.length > 0 &&
+                    new Date(page[page.length - 1].updated_at) < new Date(options.since);
+            }
             
-            const response = await this.octokit.rest.pulls.list(params);
-            const prs = response.data.map(pr => this.formatPullRequestData(pr, repo));
+            const data = await this.paginate(this.octokit.rest.pulls.list, params, `pull requests in ${repo}`, reachedWatermark);
+            const prs = data
+                .filter(pr => !options.since || new Date(pr.updated_at) >= new Date(options.since))
+                .map(pr => this.formatPullRequestData(pr, repo));
             
             this.logger.info(`Successfully fetched ${prs.length} pull requests from ${repo}`);
             return prs;
@@ -502,16 +1350,17 @@ class GitHubClient {
     /**
      * Fetch all pull requests from multiple repositories
      * @param {Array} repos - Array of repository names
+     * @param {Object} options - Fetch options passed to fetchPullRequests
      * @returns {Array} Array of all pull requests from all repositories
      */
-    async fetchAllPullRequests(repos) {
+    async fetchAllPullRequests(repos, options = {}) {
         try {
             this.logger.info(`Fetching pull requests from ${repos.length} repositories...`);
             
             const allPRs = [];
             for (const repo of repos) {
                 try {
-                    const prs = await this.fetchPullRequests(repo);
+                    const prs = await this.fetchPullRequests(repo, null, options);
                     allPRs.push(...prs);
                 } catch (error) {
                     this.logger.warn(`Skipping ${repo} due to error:`, error.message);
@@ -536,7 +1385,6 @@ class GitHubClient {
     formatPullRequestData(pr, repo) {
         // Extract bug/task ID from branch name if possible
         const branchName = pr.head.ref;
-        const bugIdMatch = branchName.match(/^(CBUG-\d+|TSK-\d+)\//);
         
         return {
             githubId: pr.number,
@@ -556,12 +1404,39 @@ class GitHubClient {
             mergedAt: pr.merged_at,
             closedAt: pr.closed_at,
             // Extract bug/task ID from branch name
-            bugId: bugIdMatch ? bugIdMatch[1] : null,
+            bugId: this.extractBugIdFromBranchName(branchName),
             // Check if PR is associated with a synced issue
             labels: pr.labels ? pr.labels.map(label => label.name) : []
         };
     }
 
+    /**
+     * Extract bug/task ID from a branch name (format: ID/type-title)
+     * @param {string} branchName - Branch name (e.g., "CBUG-2/cosmetic-test-bug-fix")
+     * @returns {string|null} Extracted bug/task ID or null
+     */
+    extractBugIdFromBranchName(branchName) {
+        return this.idParser.fromBranchName(branchName);
+    }
+
+    /**
+     * Parse a GitHub branch URL into repository and branch name
+     * @param {string} branchUrl - Branch URL (https://github.com/owner/repo/tree/branch-name)
+     * @returns {Object|null} Object with repository and branchName or null
+     */
+    parseBranchUrl(branchUrl) {
+        const match = (branchUrl || '').match(/^https:\/\/github\.com\/([^\/]+)\/([^\/]+)\/tree\/(.+)$/);
+        if (!match) {
+            return null;
+        }
+
+        const [, owner, repo, branchName] = match;
+        return {
+            repository: `${owner}/${repo}`,
+            branchName
+        };
+    }
+
     /**
      * Find pull requests associated with a specific bug/task ID
      * @param {string} bugId - Bug/Task ID (e.g., "CBUG-2" or "TSK-1")
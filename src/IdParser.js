@@ -0,0 +1,104 @@
+// Notion unique-ID prefixes and the item type of the database each belongs to
+// Overridden by the idPrefix of each NOTION_DATABASES entry (or ID_PREFIXES)
+const DEFAULT_ID_PREFIXES = {
+    CBUG: 'bug',
+    TSK: 'task'
+};
+
+/**
+ * IdParser recognises Notion item IDs (e.g. CBUG-2, TSK-1) in issue titles and branch names
+ * All ID matching goes through here so additional prefixes only need configuring once
+ */
+class IdParser {
+    constructor(prefixes = null) {
+        this.prefixes = prefixes && Object.keys(prefixes).length > 0 ? prefixes : DEFAULT_ID_PREFIXES;
+
+        const escaped = Object.keys(this.prefixes).map(prefix => prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        this.idPattern = `(?:${escaped.join('|')})-\\d+`;
+
+        // "CBUG-2: Title" and the older "[Type]/CBUG-2 Title"
+        this.titlePattern = new RegExp(`^(${this.idPattern}):\\s+(.+)$`);
+        this.legacyTitlePattern = new RegExp(`^\\[([^\\]]*)\\]\\/(${this.idPattern})\\s+(.+)$`);
+        // "CBUG-2/cosmetic-fix"
+        this.branchPattern = new RegExp(`^(${this.idPattern})\\/`);
+        this.exactPattern = new RegExp(`^${this.idPattern}$`);
+    }
+
+    /**
+     * Get the configured prefixes
+     * @returns {Object} Prefix to database item type
+     */
+    getPrefixes() {
+        return this.prefixes;
+    }
+
+    /**
+     * Check whether a string is a complete item ID with a configured prefix
+     * @param {string} id - Candidate ID
+     * @returns {boolean} True if the ID is valid
+     */
+    isValidId(id) {
+        return this.exactPattern.test(id || '');
+    }
+
+    /**
+     * Get the database an ID belongs to from its prefix
+     * @param {string} id - Item ID (e.g., "TSK-1")
+     * @returns {string|null} Item type or null for unknown prefixes
+     */
+    getItemType(id) {
+        if (!this.isValidId(id)) {
+            return null;
+        }
+        return this.prefixes[id.slice(0, id.lastIndexOf('-'))] || null;
+    }
+
+    /**
+     * Get the numeric part of an ID
+     * @param {string} id - Item ID (e.g., "CBUG-12")
+     * @returns {number} Number or NaN if the ID is malformed
+     */
+    getNumber(id) {
+        return parseInt(String(id).split('-').pop(), 10);
+    }
+
+    /**
+     * Parse an issue title into ID, type and title text
+     * @param {string} title - GitHub issue title
+     * @returns {Object|null} { id, type, title } or null if the title carries no ID
+     */
+    parseIssueTitle(title) {
+        const match = (title || '').match(this.titlePattern);
+        if (match) {
+            return { id: match[1], type: null, title: match[2] };
+        }
+
+        const legacyMatch = (title || '').match(this.legacyTitlePattern);
+        if (legacyMatch) {
+            return { id: legacyMatch[2], type: legacyMatch[1], title: legacyMatch[3] };
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract the item ID from an issue title
+     * @param {string} title - GitHub issue title
+     * @returns {string|null} Item ID or null
+     */
+    fromIssueTitle(title) {
+        return this.parseIssueTitle(title)?.id || null;
+    }
+
+    /**
+     * Extract the item ID from a branch name (format: ID/type-title)
+     * @param {string} branchName - Branch name (e.g., "CBUG-2/cosmetic-test-bug-fix")
+     * @returns {string|null} Item ID or null
+     */
+    fromBranchName(branchName) {
+        const match = (branchName || '').match(this.branchPattern);
+        return match ? match[1] : null;
+    }
+}
+
+module.exports = IdParser;
@@ -0,0 +1,130 @@
+// Built-in templates. A database picks one by name or gives its own settings in "issueTemplate"
+const PRESETS = {
+    bug: {
+        title: '{id}: {title}',
+        labels: ['bug'],
+        sections: [
+            { key: 'description', heading: 'Description', field: 'description' },
+            { key: 'steps', heading: 'Steps to Reproduce', field: 'stepsToReproduce' },
+            { key: 'details', heading: 'Details', field: 'pageContent' }
+        ],
+        requiredFields: ['type']
+    },
+    task: {
+        title: '{id}: {title}',
+        labels: ['enhancement'],
+        sections: [
+            { key: 'description', heading: 'Description', field: 'description' },
+            { key: 'acceptance', heading: 'Acceptance Criteria', field: 'stepsToReproduce', format: 'checklist' },
+            { key: 'details', heading: 'Details', field: 'pageContent' }
+        ],
+        requiredFields: []
+    }
+};
+
+// Item fields a title or section can use. pageContent is the page body and subIssues the checklist
+// of child items, both loaded by the sync
+const TEMPLATE_FIELDS = ['id', 'title', 'type', 'module', 'status', 'description', 'stepsToReproduce', 'pageContent', 'subIssues'];
+
+// Added to templates that don't place the sub-issue checklist themselves
+const SUB_ISSUES_SECTION = { key: 'sub-issues', heading: 'Sub-issues', field: 'subIssues' };
+
+/**
+ * IssueTemplate describes how the items of one Notion database look as GitHub issues:
+ * title format, base labels, generated body sections and the fields an item needs
+ *
+ * Titles must start with "{id}: " so issues stay recognisable by IdParser.
+ */
+class IssueTemplate {
+    /**
+     * @param {string|Object} config - Preset name ('bug', 'task') or template settings,
+     *                                 optionally with "preset" to start from
+     */
+    constructor(config = 'bug') {
+        const settings = typeof config === 'string' ? { preset: config } : (config || {});
+        const preset = PRESETS[settings.preset || 'bug'];
+
+        if (!preset) {
+            throw new Error(`Unknown issue template preset "${settings.preset}" (known: ${Object.keys(PRESETS).join(', ')})`);
+        }
+
+        this.title = settings.title || preset.title;
+        this.labels = settings.labels || preset.labels;
+        this.sections = settings.sections || preset.sections;
+        this.requiredFields = settings.requiredFields || preset.requiredFields;
+
+        if (!this.title.startsWith('{id}: ')) {
+            throw new Error(`Issue title format "${this.title}" must start with "{id}: "`);
+        }
+
+        if (!this.sections.some(section => section.field === 'subIssues')) {
+            this.sections = [...this.sections, SUB_ISSUES_SECTION];
+        }
+
+        for (const section of this.sections) {
+            if (!section.key || !section.heading || !TEMPLATE_FIELDS.includes(section.field)) {
+                throw new Error(`Issue template section ${JSON.stringify(section)} needs a key, a heading and one of the fields ${TEMPLATE_FIELDS.join(', ')}`);
+            }
+        }
+    }
+
+    /**
+     * Format the issue title for an item
+     * @param {Object} item - Notion item data
+     * @returns {string} Issue title (e.g., "TSK-4: Add export button")
+     */
+    formatTitle(item) {
+        return this.title.replace(/\{(\w+)\}/g, (placeholder, field) =>
+            TEMPLATE_FIELDS.includes(field) ? (item[field] || '') : placeholder
+        ).trim();
+    }
+
+    /**
+     * Render the content of a generated section from an item
+     * @param {Object} section - Entry from this.sections
+     * @param {Object} item - Notion item data
+     * @param {string} existing - Current section content on GitHub, used to keep ticked checkboxes
+     * @returns {string} Section content (empty if the item has none)
+     */
+    renderSection(section, item, existing = '') {
+        const content = (item[section.field] || '').replace(/\r\n/g, '\n').trim();
+        return section.format === 'checklist' ? this.renderChecklist(content, existing) : content;
+    }
+
+    /**
+     * Turn text into a task list, one checkbox per line
+     * Boxes ticked on GitHub stay ticked as long as the line text is unchanged
+     * @param {string} text - Lines, optionally already bulleted or numbered
+     * @param {string} existing - Current checklist on GitHub
+     * @returns {string} Markdown task list
+     */
+    renderChecklist(text, existing = '') {
+        const checklistItem = /^\s*(?:[-*+]|\d+[.)])?\s*(?:\[([ xX])\]\s*)?(.*)$/;
+
+        const ticked = new Set(existing.split('\n')
+            .map(line => line.match(checklistItem))
+            .filter(match => match && /[xX]/.test(match[1] || ''))
+            .map(match => match[2].trim()));
+
+        return text.split('\n')
+            .map(line => line.match(checklistItem))
+            .filter(match => match && match[2].trim())
+            .map(match => {
+                const itemText = match[2].trim();
+                const done = /[xX]/.test(match[1] || '') || ticked.has(itemText);
+                return `- [${done ? 'x' : ' '}] ${itemText}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * List the template-specific fields an item is missing
+     * @param {Object} item - Notion item data
+     * @returns {Array} Missing field names
+     */
+    getMissingFields(item) {
+        return this.requiredFields.filter(field => !item[field]);
+    }
+}
+
+module.exports = IssueTemplate;
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./Logger');
+
+/**
+ * JsonFileStore keeps a JSON document in memory and persists it to disk
+ * Writes go to a temporary file first and are renamed into place so a crash never leaves a half-written store
+ */
+class JsonFileStore {
+    constructor(filePath, defaultData = {}, component = 'JsonFileStore') {
+        this.filePath = path.resolve(filePath);
+        this.logger = new Logger(component);
+        this.data = this.load(defaultData);
+    }
+
+    /**
+     * Load the store from disk
+     * @param {Object} defaultData - Data to use when the file does not exist yet
+     * @returns {Object} Loaded data
+     */
+    load(defaultData) {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                this.logger.info(`No store found at ${this.filePath}, starting empty`);
+                return defaultData;
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.logger.debug(`Loaded store from ${this.filePath}`);
+            return { ...defaultData, ...data };
+        } catch (error) {
+            this.logger.error(`Error reading store ${this.filePath}:`, error);
+            throw new Error(`Could not read store ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Persist the in-memory data to disk
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.logger.error(`Error writing store ${this.filePath}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = JsonFileStore;
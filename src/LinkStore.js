@@ -0,0 +1,203 @@
+const JsonFileStore = require('./JsonFileStore');
+
+/**
+ * LinkStore records which GitHub issue, branch and pull requests belong to each Notion page
+ * Records are keyed by Notion page ID, so renaming an issue or a branch does not break the link
+ *
+ * Record format:
+ * {
+ *   notionId, itemId, repository, issueNumber, issueUrl,
+ *   branchName, branchUrl, pullRequests: [{ repository, number, url }],
+ *   comments: [{ origin, githubCommentId, notionCommentId, hash }],
+ *   orphaned: { event, policy, repository, wasOpen, at } (set while the page is archived or deleted), updatedAt
+ * }
+ */
+class LinkStore extends JsonFileStore {
+    constructor(filePath) {
+        super(filePath, { links: {} }, 'LinkStore');
+    }
+
+    /**
+     * Get the link record for a Notion page
+     * @param {string} notionId - Notion page ID
+     * @returns {Object|null} Link record or null
+     */
+    get(notionId) {
+        return this.data.links[notionId] || null;
+    }
+
+    /**
+     * Get all link records
+     * @returns {Array} Array of link records
+     */
+    getAll() {
+        return Object.values(this.data.links);
+    }
+
+    /**
+     * Find the link record for a Notion item ID (e.g., "CBUG-2")
+     * @param {string} itemId - Bug/Task ID
+     * @returns {Object|null} Link record or null
+     */
+    findByItemId(itemId) {
+        return this.getAll().find(link => link.itemId === itemId) || null;
+    }
+
+    /**
+     * Find the link record that owns a GitHub issue
+     * @param {string} repository - Repository name (owner/repo)
+     * @param {number} issueNumber - Issue number
+     * @returns {Object|null} Link record or null
+     */
+    findByIssue(repository, issueNumber) {
+        return this.getAll().find(link =>
+            link.repository === repository && link.issueNumber === issueNumber
+        ) || null;
+    }
+
+    /**
+     * Find the link record that owns a GitHub pull request
+     * @param {string} repository - Repository name (owner/repo)
+     * @param {number} prNumber - Pull request number
+     * @returns {Object|null} Link record or null
+     */
+    findByPullRequest(repository, prNumber) {
+        return this.getAll().find(link =>
+            (link.pullRequests || []).some(pr => pr.repository === repository && pr.number === prNumber)
+        ) || null;
+    }
+
+    /**
+     * Find the link record that owns a branch
+     * @param {string} repository - Repository name (owner/repo)
+     * @param {string} branchName - Branch name
+     * @returns {Object|null} Link record or null
+     */
+    findByBranch(repository, branchName) {
+        return this.getAll().find(link =>
+            link.branchName === branchName && (link.branchRepository || link.repository) === repository
+        ) || null;
+    }
+
+    /**
+     * Create or update the link record for a Notion page
+     * @param {string} notionId - Notion page ID
+     * @param {string} itemId - Bug/Task ID
+     * @param {Object} fields - Fields to merge into the record
+     * @returns {Object} Updated link record
+     */
+    upsert(notionId, itemId, fields) {
+        const existing = this.get(notionId) || { notionId, pullRequests: [] };
+        const record = {
+            ...existing,
+            ...fields,
+            notionId,
+            itemId: itemId || existing.itemId,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.data.links[notionId] = record;
+        this.save();
+        return record;
+    }
+
+    /**
+     * Record the GitHub issue linked to a Notion page
+     * @param {string} notionId - Notion page ID
+     * @param {string} itemId - Bug/Task ID
+     * @param {Object} issue - Formatted GitHub issue
+     * @returns {Object} Updated link record
+     */
+    recordIssue(notionId, itemId, issue) {
+        const existing = this.get(notionId);
+        if (existing && existing.repository === issue.repository && existing.issueNumber === issue.githubId) {
+            return existing;
+        }
+
+        this.logger.info(`Linking ${itemId} to ${issue.repository}#${issue.githubId}`);
+        return this.upsert(notionId, itemId, {
+            repository: issue.repository,
+            issueNumber: issue.githubId,
+            issueUrl: issue.githubUrl
+        });
+    }
+
+    /**
+     * Record the branch linked to a Notion page
+     * @param {string} notionId - Notion page ID
+     * @param {string} itemId - Bug/Task ID
+     * @param {string} repository - Repository the branch lives in
+     * @param {string} branchName - Branch name
+     * @param {string} branchUrl - Branch URL
+     * @returns {Object} Updated link record
+     */
+    recordBranch(notionId, itemId, repository, branchName, branchUrl) {
+        this.logger.info(`Linking ${itemId} to branch ${repository}:${branchName}`);
+        return this.upsert(notionId, itemId, {
+            branchRepository: repository,
+            branchName,
+            branchUrl
+        });
+    }
+
+    /**
+     * Record a pull request linked to a Notion page
+     * @param {string} notionId - Notion page ID
+     * @param {string} itemId - Bug/Task ID
+     * @param {Object} pr - Formatted GitHub pull request
+     * @returns {Object} Updated link record
+     */
+    recordPullRequest(notionId, itemId, pr) {
+        const existing = this.get(notionId);
+        const pullRequests = existing?.pullRequests || [];
+
+        if (pullRequests.some(linked => linked.repository === pr.repository && linked.number === pr.githubId)) {
+            return existing;
+        }
+
+        this.logger.info(`Linking ${itemId} to pull request ${pr.repository}#${pr.githubId}`);
+        return this.upsert(notionId, itemId, {
+            pullRequests: [...pullRequests, { repository: pr.repository, number: pr.githubId, url: pr.githubUrl }]
+        });
+    }
+
+    /**
+     * Get the mirrored comment pairs recorded for a Notion page
+     * @param {string} notionId - Notion page ID
+     * @returns {Array} Array of comment mirror records
+     */
+    getCommentMirrors(notionId) {
+        return this.get(notionId)?.comments || [];
+    }
+
+    /**
+     * Record or update a mirrored comment pair, matched by the comment it was copied from
+     * @param {string} notionId - Notion page ID
+     * @param {string} itemId - Bug/Task ID
+     * @param {Object} mirror - { origin: 'github'|'notion', githubCommentId, notionCommentId, hash }
+     * @returns {Object} Updated link record
+     */
+    recordCommentMirror(notionId, itemId, mirror) {
+        const sourceKey = mirror.origin === 'github' ? 'githubCommentId' : 'notionCommentId';
+        const comments = this.getCommentMirrors(notionId)
+            .filter(existing => !(existing.origin === mirror.origin && existing[sourceKey] === mirror[sourceKey]));
+
+        return this.upsert(notionId, itemId, { comments: [...comments, mirror] });
+    }
+
+    /**
+     * Forget a mirrored comment pair
+     * @param {string} notionId - Notion page ID
+     * @param {string} itemId - Bug/Task ID
+     * @param {Object} mirror - Comment mirror record to remove
+     * @returns {Object} Updated link record
+     */
+    removeCommentMirror(notionId, itemId, mirror) {
+        const comments = this.getCommentMirrors(notionId)
+            .filter(existing => !(existing.githubCommentId === mirror.githubCommentId && existing.notionCommentId === mirror.notionCommentId));
+
+        return this.upsert(notionId, itemId, { comments });
+    }
+}
+
+module.exports = LinkStore;
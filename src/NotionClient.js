@@ -1,141 +1,347 @@
 const { Client } = require('@notionhq/client');
 const Logger = require('./Logger');
+const IdParser = require('./IdParser');
+const NotionSchema = require('./NotionSchema');
+const NotionMarkdown = require('./NotionMarkdown');
 
 class NotionClient {
-    constructor(token, bugDatabaseId, taskDatabaseId = null) {
+    constructor(token, databases = [], options = {}) {
         this.notion = new Client({
             auth: token,
         });
-        this.bugDatabaseId = bugDatabaseId;
-        this.taskDatabaseId = taskDatabaseId;
+
+        // Every API method goes through Client.request, so pacing and retries apply to all of them
+        // POSTs create pages and comments and aren't repeated after server errors, except queries, which only read
+        if (options.rateLimiter) {
+            const request = this.notion.request.bind(this.notion);
+            this.notion.request = (args) => options.rateLimiter.schedule(
+                () => request(args),
+                `${args.method.toUpperCase()} ${args.path}`,
+                { idempotent: args.method.toLowerCase() !== 'post' || /\/query$|^search$/.test(args.path) }
+            );
+        }
+        this.databases = databases;
+        this.maxPages = options.maxPages || 50;
+        this.truncatedFetches = [];
+        this.idParser = options.idParser || new IdParser();
+        this.schema = options.schema || new NotionSchema(databases);
+        this.markdown = new NotionMarkdown();
+        this.userNames = new Map();
+        this.usersByEmail = null;
+        this.botUserId = null;
         this.logger = new Logger('NotionClient');
     }
 
     /**
-     * Fetch all bugs from the Notion database
-     * @returns {Array} Array of formatted bug objects
+     * Query a database following next_cursor until all pages (or the page limit) are read
+     * @param {string} databaseId - Notion database ID
+     * @param {Object} params - Query parameters (filter, sorts)
+     * @param {string} label - Human-readable name for progress logging
+     * @returns {Array} Array of raw Notion page objects
+     */
+    async queryDatabase(databaseId, params, label) {
+        const results = [];
+        let cursor;
+        let page = 0;
+
+        do {
+            const response = await this.notion.databases.query({
+                database_id: databaseId,
+                ...params,
+                page_size: 100,
+                start_cursor: cursor
+            });
+
+            results.push(...response.results);
+            page++;
+            cursor = response.has_more ? response.next_cursor : undefined;
+
+            if (cursor) {
+                this.logger.info(`Fetched page ${page} of ${label} (${results.length} so far)...`);
+            }
+        } while (cursor && page < this.maxPages);
+
+        if (cursor) {
+            this.logger.warn(`Stopped reading ${label} after ${this.maxPages} pages (${results.length} results) - raise SYNC_MAX_PAGES to read the rest`);
+            this.truncatedFetches.push(label);
+        }
+
+        return results;
+    }
+
+    /**
+     * Get the fetches that hit the page limit since the last reset
+     * @returns {Array} Labels of truncated fetches
+     */
+    getTruncatedFetches() {
+        return this.truncatedFetches;
+    }
+
+    /**
+     * Forget truncated fetches from a previous cycle
      */
-    async fetchAllBugs() {
+    clearTruncatedFetches() {
+        this.truncatedFetches = [];
+    }
+
+    /**
+     * Get the definition of a configured database
+     * @param {string} itemType - Item type of the database
+     * @returns {Object|null} Database definition or null if not configured
+     */
+    getDatabase(itemType) {
+        return this.databases.find(database => database.itemType === itemType) || null;
+    }
+
+    /**
+     * Check whether the database of an item type has a sync capability
+     * @param {string} itemType - Item type of the database
+     * @param {string} capability - 'issues', 'pullRequests' or 'branches'
+     * @returns {boolean} True if the database is configured with the capability
+     */
+    hasCapability(itemType, capability) {
+        return !!this.getDatabase(itemType)?.capabilities.includes(capability);
+    }
+
+    /**
+     * Get the configured databases with a sync capability
+     * @param {string} capability - 'issues', 'pullRequests' or 'branches'
+     * @returns {Array} Database definitions, in configuration order
+     */
+    getDatabasesWithCapability(capability) {
+        return this.databases.filter(database => database.capabilities.includes(capability));
+    }
+
+    /**
+     * Fetch all items from one database
+     * @param {Object} database - Database definition
+     * @param {Object} options - Fetch options
+     * @param {string} options.since - Only fetch items edited on or after this ISO timestamp
+     * @returns {Array} Array of formatted item objects
+     */
+    async fetchDatabaseItems(database, options = {}) {
         try {
-            this.logger.info('Fetching all bugs from Notion database...');
+            this.logger.info(`Fetching ${options.since ? `items edited since ${options.since}` : 'all items'} from Notion database ${database.name}...`);
             
-            const response = await this.notion.databases.query({
-                database_id: this.bugDatabaseId,
+            const pages = await this.queryDatabase(database.databaseId, {
+                ...this.buildEditedSinceFilter(options.since),
                 sorts: [
                     {
-                        property: 'ID',
+                        property: this.schema.property(database.itemType, 'id'),
                         direction: 'ascending',
                     },
                 ],
-            });
+            }, `${database.name} database`);
 
-            const bugs = response.results.map(page => this.formatBugData(page));
+            const items = pages.map(page => this.formatItemData(page, database.itemType));
             
-            this.logger.info(`Successfully fetched ${bugs.length} bugs from Notion`);
-            return bugs;
+            this.logger.info(`Successfully fetched ${items.length} items from ${database.name}`);
+            return items;
         } catch (error) {
-            this.logger.error('Error fetching bugs from Notion:', error);
+            this.logger.error(`Error fetching items from ${database.name}:`, error);
             throw error;
         }
     }
 
     /**
-     * Fetch all tasks from the Notion database (if configured)
-     * @returns {Array} Array of formatted task objects
+     * Fetch the items of every configured database
+     * @param {Object} options - Fetch options passed to fetchDatabaseItems
+     * @returns {Array} Array of formatted item objects
      */
-    async fetchAllTasks() {
-        if (!this.taskDatabaseId) {
-            this.logger.info('Tasks database not configured, returning empty array');
-            return [];
+    async fetchAllItems(options = {}) {
+        const results = await Promise.all(
+            this.databases.map(database => this.fetchDatabaseItems(database, options))
+        );
+
+        return results.flat();
+    }
+
+    /**
+     * Build a database query filter for pages edited since a timestamp
+     * @param {string|null} since - ISO timestamp, or null for no filter
+     * @returns {Object} Query parameters to spread into databases.query
+     */
+    buildEditedSinceFilter(since) {
+        if (!since) {
+            return {};
         }
 
+        return {
+            filter: {
+                timestamp: 'last_edited_time',
+                last_edited_time: {
+                    on_or_after: since
+                }
+            }
+        };
+    }
+
+    /**
+     * Fetch a single item by its unique ID (e.g., CBUG-2 or TSK-1)
+     * @param {string} itemId - Unique ID of the item
+     * @returns {Object|null} Formatted item object or null if not found
+     */
+    async fetchItemById(itemId) {
+        // The prefix tells which database the item lives in
+        const database = this.getDatabase(this.idParser.getItemType(itemId));
+        if (!database) {
+            this.logger.warn(`Cannot fetch item with malformed or unknown ID: ${itemId}`);
+            return null;
+        }
+        const number = this.idParser.getNumber(itemId);
+
         try {
-            this.logger.info('Fetching all tasks from Notion database...');
-            
-            const response = await this.notion.databases.query({
-                database_id: this.taskDatabaseId,
-                sorts: [
-                    {
-                        property: 'ID',
-                        direction: 'ascending',
-                    },
-                ],
-            });
+            this.logger.info(`Fetching item ${itemId} from Notion...`);
 
-            const tasks = response.results.map(page => this.formatTaskData(page));
-            
-            this.logger.info(`Successfully fetched ${tasks.length} tasks from Notion`);
-            return tasks;
+            const pages = await this.queryDatabase(database.databaseId, {
+                filter: {
+                    property: this.schema.property(database.itemType, 'id'),
+                    unique_id: {
+                        equals: number
+                    }
+                }
+            }, `lookup of ${itemId}`);
+
+            // A database can hold IDs with several prefixes, so match the full ID
+            const item = pages
+                .map(page => this.formatItemData(page, database.itemType))
+                .find(candidate => candidate.id === itemId);
+
+            if (item) {
+                this.logger.info(`Successfully fetched ${item.itemType} ${itemId}`);
+                return item;
+            }
+
+            this.logger.info(`Item ${itemId} not found in Notion`);
+            return null;
         } catch (error) {
-            this.logger.error('Error fetching tasks from Notion:', error);
+            this.logger.error(`Error fetching item ${itemId} from Notion:`, error);
             throw error;
         }
     }
 
     /**
-     * Fetch all bugs and tasks combined
-     * @returns {Object} Object with bugs and tasks arrays
+     * Fetch the items whose Parent relation points to a page, from every database that has one
+     * @param {string} pageId - Notion page ID of the parent
+     * @returns {Array} Array of formatted child items
+     */
+    async fetchChildItems(pageId) {
+        const databases = this.databases.filter(database => this.schema.property(database.itemType, 'parent'));
+
+        const results = await Promise.all(databases.map(async database => {
+            const pages = await this.queryDatabase(database.databaseId, {
+                filter: {
+                    property: this.schema.property(database.itemType, 'parent'),
+                    relation: {
+                        contains: pageId
+                    }
+                }
+            }, `children of ${pageId} in ${database.name}`);
+
+            return pages.map(page => this.formatItemData(page, database.itemType));
+        }));
+
+        return results.flat();
+    }
+
+    /**
+     * Read the body of an item's page as Markdown
+     * @param {Object} item - Formatted item object
+     * @returns {string} Markdown text (empty for pages without content)
+     */
+    async fetchPageContent(item) {
+        const blocks = await this.fetchBlockChildren(item.notionId);
+        return this.markdown.blocksToMarkdown(blocks, item.url);
+    }
+
+    /**
+     * Fetch the child blocks of a page or block, with their own children nested in "children"
+     * Subpages and inline databases are separate pages and are not descended into
+     * @param {string} blockId - Page or block ID
+     * @returns {Array} Array of raw Notion block objects
      */
-    async fetchAllItems() {
-        const [bugs, tasks] = await Promise.all([
-            this.fetchAllBugs(),
-            this.fetchAllTasks()
-        ]);
+    async fetchBlockChildren(blockId) {
+        const blocks = [];
+        let cursor;
+        let page = 0;
+
+        do {
+            const response = await this.notion.blocks.children.list({
+                block_id: blockId,
+                page_size: 100,
+                start_cursor: cursor
+            });
+
+            blocks.push(...response.results);
+            page++;
+            cursor = response.has_more ? response.next_cursor : undefined;
+        } while (cursor && page < this.maxPages);
+
+        if (cursor) {
+            this.logger.warn(`Stopped reading the blocks of ${blockId} after ${this.maxPages} pages (${blocks.length} blocks)`);
+        }
 
-        return { bugs, tasks };
+        for (const block of blocks) {
+            if (block.has_children && !['child_page', 'child_database'].includes(block.type)) {
+                block.children = await this.fetchBlockChildren(block.id);
+            }
+        }
+
+        return blocks;
     }
 
     /**
-     * Format raw Notion page data into structured bug object
+     * Work out which database a raw page belongs to
      * @param {Object} page - Raw Notion page object
-     * @returns {Object} Formatted bug object
+     * @returns {string|null} Item type of the database or null if the page can't be placed
      */
-    formatBugData(page) {
-        const properties = page.properties;
-        
-        return {
-            notionId: page.id,
-            id: this.extractIdFromProperty(properties.ID),
-            title: this.extractTextFromProperty(properties['Bug Title']),
-            status: this.extractStatusFromProperty(properties.Status),
-            type: this.extractSelectFromProperty(properties.Type),
-            description: this.extractTextFromProperty(properties.Description),
-            stepsToReproduce: this.extractTextFromProperty(properties['Steps to Reproduce']),
-            module: this.extractSelectFromProperty(properties.Module),
-            issueLink: this.extractUrlFromProperty(properties['Issue Link']),
-            branchUrl: this.extractUrlFromProperty(properties['Branch Link']),
-            pullRequestStatus: this.extractStatusFromProperty(properties['Pull Request Status']),
-            pullRequestLink: this.extractUrlFromProperty(properties['Pull Request Link']),
-            lastModified: page.last_edited_time,
-            url: page.url,
-            itemType: 'bug'
-        };
+    getItemTypeForPage(page) {
+        const normalize = id => (id || '').replace(/-/g, '');
+        const parentId = normalize(page?.parent?.database_id);
+
+        const parent = parentId && this.databases.find(database => normalize(database.databaseId) === parentId);
+        if (parent) return parent.itemType;
+
+        // Webhook payloads may lack the parent, so fall back to the ID prefix
+        for (const database of this.databases) {
+            const id = this.extractIdFromProperty(this.schema.read(page?.properties, database.itemType, 'id'));
+            const itemType = this.idParser.getItemType(id);
+            if (itemType) return itemType;
+        }
+
+        return null;
     }
 
     /**
-     * Format raw Notion page data into structured task object
+     * Format raw Notion page data into a structured item object
      * @param {Object} page - Raw Notion page object
-     * @returns {Object} Formatted task object
+     * @param {string} itemType - Item type of the page's database
+     * @returns {Object} Formatted item object
      */
-    formatTaskData(page) {
-        const properties = page.properties;
+    formatItemData(page, itemType) {
+        const read = field => this.schema.read(page.properties, itemType, field);
         
         return {
             notionId: page.id,
-            id: this.extractIdFromProperty(properties.ID),
-            title: this.extractTextFromProperty(properties['Task Title'] || properties['Title']),
-            status: this.extractStatusFromProperty(properties.Status),
-            type: this.extractSelectFromProperty(properties.Type),
-            description: this.extractTextFromProperty(properties.Description),
-            stepsToReproduce: this.extractTextFromProperty(properties['Acceptance Criteria'] || properties['Requirements']),
-            module: this.extractSelectFromProperty(properties.Module),
-            issueLink: this.extractUrlFromProperty(properties['Issue Link']),
-            branchUrl: this.extractUrlFromProperty(properties['Branch Link']),
-            pullRequestStatus: this.extractStatusFromProperty(properties['Pull Request Status']),
-            pullRequestLink: this.extractUrlFromProperty(properties['Pull Request Link']),
+            id: this.extractIdFromProperty(read('id')),
+            title: this.extractTextFromProperty(read('title')),
+            status: this.extractStatusFromProperty(read('status')),
+            type: this.extractSelectFromProperty(read('type')),
+            description: this.extractMarkdownFromProperty(read('description')),
+            stepsToReproduce: this.extractMarkdownFromProperty(read('stepsToReproduce')),
+            module: this.extractSelectFromProperty(read('module')),
+            issueLink: this.extractUrlFromProperty(read('issueLink')),
+            branchUrl: this.extractUrlFromProperty(read('branchLink')),
+            pullRequestStatus: this.extractStatusFromProperty(read('pullRequestStatus')),
+            pullRequestLink: this.extractUrlFromProperty(read('pullRequestLink')),
+            assignees: this.extractPeopleFromProperty(read('assignee')),
+            priority: this.extractSelectFromProperty(read('priority')),
+            doNotSync: this.extractCheckboxFromProperty(read('doNotSync')),
+            // Only the first related page counts as the parent
+            parentNotionId: this.extractRelationFromProperty(read('parent'))[0] || null,
             lastModified: page.last_edited_time,
             url: page.url,
-            itemType: 'task'
+            itemType
         };
     }
 
@@ -158,6 +364,18 @@ class NotionClient {
         return '';
     }
 
+    /**
+     * Extract rich text from Notion property as Markdown, keeping annotations, links and mentions
+     * @param {Object} property - Notion property object
+     * @returns {string} Markdown text
+     */
+    extractMarkdownFromProperty(property) {
+        if (!property || property.type !== 'rich_text' || !property.rich_text) {
+            return '';
+        }
+        return this.markdown.richTextToMarkdown(property.rich_text);
+    }
+
     /**
      * Extract select value from Notion property
      * @param {Object} property - Notion property object
@@ -196,6 +414,44 @@ class NotionClient {
         return property.status.name;
     }
 
+    /**
+     * Extract people from Notion property
+     * Email and name are only present when the integration can read user information
+     * @param {Object} property - Notion property object
+     * @returns {Array} Array of { id, email, name }
+     */
+    extractPeopleFromProperty(property) {
+        if (!property || property.type !== 'people' || !property.people) {
+            return [];
+        }
+        return property.people.map(person => ({
+            id: person.id,
+            email: person.person?.email || null,
+            name: person.name || null
+        }));
+    }
+
+    /**
+     * Extract checkbox value from Notion property
+     * @param {Object} property - Notion property object
+     * @returns {boolean} True if checked
+     */
+    extractCheckboxFromProperty(property) {
+        return Boolean(property && property.type === 'checkbox' && property.checkbox);
+    }
+
+    /**
+     * Extract related page IDs from Notion relation property
+     * @param {Object} property - Notion property object
+     * @returns {Array} Related page IDs
+     */
+    extractRelationFromProperty(property) {
+        if (!property || property.type !== 'relation' || !property.relation) {
+            return [];
+        }
+        return property.relation.map(relation => relation.id);
+    }
+
     /**
      * Extract URL from Notion property
      * @param {Object} property - Notion property object
@@ -209,283 +465,311 @@ class NotionClient {
     }
 
     /**
-     * Update bug status in Notion
-     * @param {string} pageId - Notion page ID
-     * @param {string} status - New status value
-     * @returns {Object} Updated page object
+     * Build a pages.update properties object from logical field updates
+     * Fields the database doesn't have (see NotionSchema) are left out
+     * @param {string} itemType - Item type of the page's database
+     * @param {Object} updates - Updates object (status, issueUrl, branchUrl, pullRequestStatus, pullRequestLink, assigneeIds, parentNotionId)
+     * @returns {Object} Notion properties keyed by property name
      */
-    async updateBugStatus(pageId, status) {
-        try {
-            this.logger.info(`Updating bug ${pageId} status to: ${status}`);
-            
-            const response = await this.notion.pages.update({
-                page_id: pageId,
-                properties: {
-                    'Status': {
-                        status: {
-                            name: status
-                        }
-                    }
-                }
-            });
-            
-            this.logger.info(`Successfully updated bug ${pageId} status`);
-            return response;
-        } catch (error) {
-            this.logger.error(`Error updating bug status for ${pageId}:`, error);
-            throw error;
+    buildPropertyUpdates(itemType, updates) {
+        const values = {};
+
+        if (updates.status) {
+            values.status = { status: { name: updates.status } };
+        }
+
+        // null clears a link property
+        if (updates.issueUrl || updates.issueUrl === null) {
+            values.issueLink = { url: updates.issueUrl };
+        }
+
+        if (updates.branchUrl || updates.branchUrl === null) {
+            values.branchLink = { url: updates.branchUrl };
+        }
+
+        if (updates.pullRequestStatus) {
+            values.pullRequestStatus = { status: { name: updates.pullRequestStatus } };
+        }
+
+        if (updates.pullRequestLink || updates.pullRequestLink === null) {
+            values.pullRequestLink = { url: updates.pullRequestLink };
+        }
+
+        // An empty list clears the property
+        if (updates.assigneeIds !== undefined) {
+            values.assignee = { people: updates.assigneeIds.map(id => ({ id })) };
+        }
+
+        // null clears the parent
+        if (updates.parentNotionId !== undefined) {
+            values.parent = { relation: updates.parentNotionId ? [{ id: updates.parentNotionId }] : [] };
+        }
+
+        const properties = {};
+        for (const [field, value] of Object.entries(values)) {
+            const name = this.schema.property(itemType, field);
+            if (name) {
+                properties[name] = value;
+            } else {
+                this.logger.debug(`Skipping ${field} update: the ${itemType} database has no such property`);
+            }
         }
+
+        return properties;
     }
 
     /**
-     * Update bug issue link in Notion
+     * Update item properties
      * @param {string} pageId - Notion page ID
-     * @param {string} issueUrl - GitHub issue URL
+     * @param {Object} updates - Updates object (see buildPropertyUpdates)
+     * @param {string} itemType - Item type of the page's database
      * @returns {Object} Updated page object
      */
-    async updateBugIssueLink(pageId, issueUrl) {
+    async updateItemProperties(pageId, updates, itemType) {
         try {
-            this.logger.info(`Updating bug ${pageId} issue link to: ${issueUrl}`);
+            this.logger.info(`Updating ${itemType} ${pageId} properties:`, Object.keys(updates));
             
             const response = await this.notion.pages.update({
                 page_id: pageId,
-                properties: {
-                    'Issue Link': {
-                        url: issueUrl
-                    }
-                }
+                properties: this.buildPropertyUpdates(itemType, updates)
             });
             
-            this.logger.info(`Successfully updated bug ${pageId} issue link`);
+            this.logger.info(`Successfully updated ${itemType} ${pageId} properties`);
             return response;
         } catch (error) {
-            this.logger.error(`Error updating bug issue link for ${pageId}:`, error);
+            this.logger.error(`Error updating ${itemType} properties for ${pageId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Update bug pull request status in Notion
-     * @param {string} pageId - Notion page ID
-     * @param {string} prStatus - PR status (None, Merge Issue, Open, Merged, Closed)
-     * @returns {Object} Updated page object
+     * Create a page in a database
+     * @param {string} itemType - Item type of the target database
+     * @param {Object} fields - Item fields
+     * @param {string} fields.title - Item title
+     * @param {string} fields.description - Item description
+     * @param {string} fields.type - Item type option (e.g., "Functionality")
+     * @param {string} fields.module - Module the item belongs to
+     * @param {string} fields.issueUrl - Optional GitHub issue URL
+     * @returns {Object} Formatted item object, including its generated ID
      */
-    async updateBugPullRequestStatus(pageId, prStatus) {
+    async createItem(itemType, fields) {
+        const database = this.getDatabase(itemType);
+
         try {
-            this.logger.info(`Updating bug ${pageId} PR status to: ${prStatus}`);
-            
-            const response = await this.notion.pages.update({
-                page_id: pageId,
-                properties: {
-                    'Pull Request Status': {
-                        status: {
-                            name: prStatus
-                        }
-                    }
+            this.logger.info(`Creating ${itemType} in Notion: ${fields.title}`);
+
+            const property = field => this.schema.property(itemType, field);
+            const properties = {
+                [property('title')]: {
+                    title: this.toRichText(fields.title)
+                },
+                [property('type')]: {
+                    select: { name: fields.type }
+                },
+                [property('module')]: {
+                    select: { name: fields.module }
                 }
+            };
+
+            if (property('description')) {
+                properties[property('description')] = {
+                    rich_text: this.toRichText(fields.description)
+                };
+            }
+
+            if (fields.issueUrl) {
+                properties[property('issueLink')] = {
+                    url: fields.issueUrl
+                };
+            }
+
+            const response = await this.notion.pages.create({
+                parent: { database_id: database.databaseId },
+                properties
             });
-            
-            this.logger.info(`Successfully updated bug ${pageId} PR status`);
-            return response;
+
+            const created = this.formatItemData(response, itemType);
+            this.logger.info(`Successfully created ${itemType} ${created.id}`);
+            return created;
         } catch (error) {
-            this.logger.error(`Error updating bug PR status for ${pageId}:`, error);
+            this.logger.error(`Error creating ${itemType} in Notion:`, error);
             throw error;
         }
     }
 
     /**
-     * Update bug pull request link in Notion
-     * @param {string} pageId - Notion page ID
-     * @param {string} prUrl - GitHub pull request URL
-     * @returns {Object} Updated page object
+     * Check the property schema against the configured databases
+     * Settles which property names are used; fails if a mapped property is missing or has the wrong type
      */
-    async updateBugPullRequestLink(pageId, prUrl) {
+    async validateSchema() {
+        const errors = [];
+        for (const { itemType, databaseId, capabilities } of this.databases) {
+            const database = await this.notion.databases.retrieve({ database_id: databaseId });
+            errors.push(...this.schema.resolve(itemType, database.properties, capabilities));
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Notion databases don't match the property schema:\n  - ${errors.join('\n  - ')}`);
+        }
+
+        this.logger.info(`Property schema validated against ${this.databases.length} Notion database(s)`);
+    }
+
+    /**
+     * Get the option names of a database's status property
+     * @param {string} itemType - Item type of the database
+     * @returns {Array} Array of status names
+     */
+    async getStatusOptions(itemType) {
+        const databaseId = this.getDatabase(itemType).databaseId;
+        const name = this.schema.property(itemType, 'status');
+
         try {
-            this.logger.info(`Updating bug ${pageId} PR link to: ${prUrl}`);
-            
-            const response = await this.notion.pages.update({
-                page_id: pageId,
-                properties: {
-                    'Pull Request Link': {
-                        url: prUrl
-                    }
-                }
-            });
-            
-            this.logger.info(`Successfully updated bug ${pageId} PR link`);
-            return response;
+            const database = await this.notion.databases.retrieve({ database_id: databaseId });
+            const property = database.properties[name];
+
+            if (!property || property.type !== 'status') {
+                throw new Error(`Database ${databaseId} has no "${name}" property of type status`);
+            }
+
+            return property.status.options.map(option => option.name);
         } catch (error) {
-            this.logger.error(`Error updating bug PR link for ${pageId}:`, error);
+            this.logger.error(`Error reading status options of database ${databaseId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Update task status in Notion
+     * List the open (unresolved) comments on a page, up to SYNC_MAX_PAGES pages
      * @param {string} pageId - Notion page ID
-     * @param {string} status - New status value
-     * @returns {Object} Updated page object
+     * @returns {Array} Array of raw Notion comment objects
      */
-    async updateTaskStatus(pageId, status) {
+    async listComments(pageId) {
         try {
-            this.logger.info(`Updating task ${pageId} status to: ${status}`);
-            
-            const response = await this.notion.pages.update({
-                page_id: pageId,
-                properties: {
-                    'Status': {
-                        status: {
-                            name: status
-                        }
-                    }
-                }
-            });
-            
-            this.logger.info(`Successfully updated task ${pageId} status`);
-            return response;
+            const comments = [];
+            let cursor;
+            let page = 0;
+
+            do {
+                const response = await this.notion.comments.list({
+                    block_id: pageId,
+                    page_size: 100,
+                    ...(cursor ? { start_cursor: cursor } : {})
+                });
+
+                comments.push(...response.results);
+                page++;
+                cursor = response.has_more ? response.next_cursor : null;
+            } while (cursor && page < this.maxPages);
+
+            if (cursor) {
+                this.logger.warn(`Stopped reading the comments on ${pageId} after ${this.maxPages} pages (${comments.length} comments) - raise SYNC_MAX_PAGES to read the rest`);
+            }
+
+            return comments;
         } catch (error) {
-            this.logger.error(`Error updating task status for ${pageId}:`, error);
+            this.logger.error(`Error listing comments for ${pageId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Update task issue link in Notion
+     * Add a comment to a page
      * @param {string} pageId - Notion page ID
-     * @param {string} issueUrl - GitHub issue URL
-     * @returns {Object} Updated page object
+     * @param {Array} richText - Notion rich text objects
+     * @returns {Object} Created comment object
      */
-    async updateTaskIssueLink(pageId, issueUrl) {
+    async createComment(pageId, richText) {
         try {
-            this.logger.info(`Updating task ${pageId} issue link to: ${issueUrl}`);
-            
-            const response = await this.notion.pages.update({
-                page_id: pageId,
-                properties: {
-                    'Issue Link': {
-                        url: issueUrl
-                    }
-                }
+            this.logger.info(`Adding comment to ${pageId}`);
+
+            return await this.notion.comments.create({
+                parent: { page_id: pageId },
+                rich_text: richText
             });
-            
-            this.logger.info(`Successfully updated task ${pageId} issue link`);
-            return response;
         } catch (error) {
-            this.logger.error(`Error updating task issue link for ${pageId}:`, error);
+            this.logger.error(`Error adding comment to ${pageId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Update task properties (can handle both bugs and tasks)
-     * @param {string} pageId - Notion page ID
-     * @param {Object} updates - Updates object
-     * @param {string} itemType - 'bug' or 'task' (for logging)
-     * @returns {Object} Updated page object
+     * Get the display name of a Notion user, cached per client
+     * Needs the integration's "read user information" capability; falls back to a generic name
+     * @param {string} userId - Notion user ID
+     * @returns {string} User name
      */
-    async updateTaskProperties(pageId, updates, itemType = 'task') {
-        try {
-            this.logger.info(`Updating ${itemType} ${pageId} properties:`, Object.keys(updates));
-            
-            const properties = {};
-            
-            if (updates.status) {
-                properties['Status'] = {
-                    status: {
-                        name: updates.status
-                    }
-                };
-            }
-            
-            if (updates.issueUrl) {
-                properties['Issue Link'] = {
-                    url: updates.issueUrl
-                };
+    async getUserName(userId) {
+        if (!this.userNames.has(userId)) {
+            try {
+                const user = await this.notion.users.retrieve({ user_id: userId });
+                this.userNames.set(userId, user.name || 'Notion user');
+            } catch (error) {
+                this.logger.debug(`Could not look up Notion user ${userId}: ${error.message}`);
+                this.userNames.set(userId, 'Notion user');
             }
+        }
 
-            if (updates.branchUrl) {
-                properties['Branch Link'] = {
-                    url: updates.branchUrl
-                };
-            }
+        return this.userNames.get(userId);
+    }
 
-            if (updates.pullRequestStatus) {
-                properties['Pull Request Status'] = {
-                    status: {
-                        name: updates.pullRequestStatus
-                    }
-                };
-            }
+    /**
+     * Find a workspace member's user ID by email
+     * The member list is read once per client; needs the "read user information including email" capability
+     * @param {string} email - Email address
+     * @returns {string|null} Notion user ID or null if no member has that email
+     */
+    async findUserIdByEmail(email) {
+        if (!this.usersByEmail) {
+            this.usersByEmail = new Map();
+            let cursor;
 
-            if (updates.pullRequestLink) {
-                properties['Pull Request Link'] = {
-                    url: updates.pullRequestLink
-                };
-            }
-            
-            const response = await this.notion.pages.update({
-                page_id: pageId,
-                properties
-            });
-            
-            this.logger.info(`Successfully updated ${itemType} ${pageId} properties`);
-            return response;
-        } catch (error) {
-            this.logger.error(`Error updating ${itemType} properties for ${pageId}:`, error);
-            throw error;
+            do {
+                const response = await this.notion.users.list({
+                    page_size: 100,
+                    ...(cursor ? { start_cursor: cursor } : {})
+                });
+
+                for (const user of response.results) {
+                    if (user.type === 'person' && user.person?.email) {
+                        this.usersByEmail.set(user.person.email.toLowerCase(), user.id);
+                    }
+                }
+                cursor = response.has_more ? response.next_cursor : null;
+            } while (cursor);
         }
+
+        return this.usersByEmail.get(email.toLowerCase()) || null;
     }
-    async updateBugProperties(pageId, updates) {
-        try {
-            this.logger.info(`Updating bug ${pageId} properties:`, Object.keys(updates));
-            
-            const properties = {};
-            
-            if (updates.status) {
-                properties['Status'] = {
-                    status: {
-                        name: updates.status
-                    }
-                };
-            }
-            
-            if (updates.issueUrl) {
-                properties['Issue Link'] = {
-                    url: updates.issueUrl
-                };
-            }
 
-            if (updates.branchUrl) {
-                properties['Branch Link'] = {
-                    url: updates.branchUrl
-                };
-            }
+    /**
+     * Get the user ID of this integration's bot
+     * @returns {string} Bot user ID
+     */
+    async getBotUserId() {
+        if (!this.botUserId) {
+            const me = await this.notion.users.me({});
+            this.botUserId = me.id;
+        }
 
-            if (updates.pullRequestStatus) {
-                properties['Pull Request Status'] = {
-                    status: {
-                        name: updates.pullRequestStatus
-                    }
-                };
-            }
+        return this.botUserId;
+    }
 
-            if (updates.pullRequestLink) {
-                properties['Pull Request Link'] = {
-                    url: updates.pullRequestLink
-                };
-            }
-            
-            const response = await this.notion.pages.update({
-                page_id: pageId,
-                properties
-            });
-            
-            this.logger.info(`Successfully updated bug ${pageId} properties`);
-            return response;
-        } catch (error) {
-            this.logger.error(`Error updating bug properties for ${pageId}:`, error);
-            throw error;
+    /**
+     * Convert plain text into Notion rich text, splitting it into the 2000-character
+     * chunks the API accepts per text object
+     * @param {string} text - Plain text
+     * @returns {Array} Array of Notion rich text objects
+     */
+    toRichText(text) {
+        const chunks = [];
+
+        for (let i = 0; i < (text || '').length && chunks.length < 100; i += 2000) {
+            chunks.push({ type: 'text', text: { content: text.slice(i, i + 2000) } });
         }
+
+        return chunks;
     }
 
     /**
@@ -511,23 +795,42 @@ class NotionClient {
     }
 
     /**
-     * Get a specific bug by its Notion page ID
+     * Find out what happened to a page that no longer shows up in its database
+     * @param {string} pageId - Notion page ID
+     * @returns {string} 'archived' (archived or in trash, can be restored), 'deleted' (gone for good or no access)
+     *                   or 'active' (still there, e.g. moved to another database)
+     */
+    async getPageState(pageId) {
+        try {
+            const page = await this.notion.pages.retrieve({ page_id: pageId });
+            return page.archived || page.in_trash ? 'archived' : 'active';
+        } catch (error) {
+            if (error.code === 'object_not_found' || error.status === 404) {
+                return 'deleted';
+            }
+            this.logger.error(`Error checking page ${pageId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a specific item by its Notion page ID
      * @param {string} pageId - Notion page ID
-     * @returns {Object} Formatted bug object
+     * @returns {Object} Formatted item object
      */
-    async getBugById(pageId) {
+    async getItemByPageId(pageId) {
         try {
-            this.logger.info(`Fetching bug ${pageId} from Notion...`);
+            this.logger.info(`Fetching item ${pageId} from Notion...`);
             
             const page = await this.notion.pages.retrieve({
                 page_id: pageId
             });
             
-            const bug = this.formatBugData(page);
-            this.logger.info(`Successfully fetched bug ${bug.id}`);
-            return bug;
+            const item = this.formatItemData(page, this.getItemTypeForPage(page));
+            this.logger.info(`Successfully fetched ${item.itemType} ${item.id}`);
+            return item;
         } catch (error) {
-            this.logger.error(`Error fetching bug ${pageId}:`, error);
+            this.logger.error(`Error fetching item ${pageId}:`, error);
             throw error;
         }
     }
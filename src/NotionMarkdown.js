@@ -0,0 +1,353 @@
+// Notion block types rendered as list items, which are joined without a blank line between them
+const LIST_BLOCKS = ['bulleted_list_item', 'numbered_list_item', 'to_do'];
+
+// Notion headings sit inside generated "## ..." sections, so they start one level below
+const HEADING_PREFIXES = {
+    heading_1: '###',
+    heading_2: '####',
+    heading_3: '#####'
+};
+
+// Block types that only group their children
+const CONTAINER_BLOCKS = ['column_list', 'column', 'synced_block'];
+
+// File blocks; files uploaded to Notion have signed URLs that expire after an hour
+const FILE_BLOCKS = {
+    image: '🖼️',
+    file: '📎',
+    pdf: '📄',
+    video: '🎬',
+    audio: '🔊'
+};
+
+/**
+ * NotionMarkdown converts Notion rich text and page blocks to GitHub Flavored Markdown
+ *
+ * Rich text keeps its annotations, links, equations and mentions. Blocks must already carry
+ * their nested blocks in "children" (see NotionClient.fetchBlockChildren).
+ */
+class NotionMarkdown {
+    /**
+     * Convert a rich text array to Markdown
+     * @param {Array} richText - Notion rich text objects
+     * @returns {string} Markdown text
+     */
+    richTextToMarkdown(richText = []) {
+        return (richText || []).map(span => this.formatSpan(span)).join('');
+    }
+
+    /**
+     * Convert one rich text object, applying its annotations and link
+     * @param {Object} span - Notion rich text object
+     * @returns {string} Markdown text
+     */
+    formatSpan(span) {
+        const annotations = span.annotations || {};
+        let text;
+
+        if (span.type === 'equation') {
+            return `$${span.equation.expression}$`;
+        }
+
+        if (span.type === 'mention') {
+            text = this.formatMention(span);
+        } else if (annotations.code) {
+            text = this.formatCodeSpan(span.plain_text);
+        } else {
+            text = this.escape(span.plain_text || '');
+        }
+
+        if (annotations.bold) text = this.wrap(text, '**');
+        if (annotations.italic) text = this.wrap(text, '*');
+        if (annotations.strikethrough) text = this.wrap(text, '~~');
+        if (annotations.underline) text = this.wrap(text, '<ins>', '</ins>');
+
+        const url = span.type === 'text' ? span.text?.link?.url : null;
+        return url && text.trim() ? `[${text}](${this.absoluteUrl(url)})` : text;
+    }
+
+    /**
+     * Convert a mention. People are written by name without "@" so GitHub doesn't notify
+     * an unrelated account with the same login
+     * @param {Object} span - Notion rich text object of type mention
+     * @returns {string} Markdown text
+     */
+    formatMention(span) {
+        const text = this.escape(span.plain_text || '');
+
+        switch (span.mention?.type) {
+            case 'user':
+                return text.replace(/^@/, '');
+
+            case 'page':
+            case 'database':
+            case 'link_preview':
+            case 'link_mention':
+                return span.href ? `[${text}](${this.absoluteUrl(span.href)})` : text;
+
+            default:
+                // Dates and template mentions read fine as their plain text
+                return text;
+        }
+    }
+
+    /**
+     * Format an inline code span, using a longer fence when the code contains backticks
+     * @param {string} code - Code text
+     * @returns {string} Markdown code span
+     */
+    formatCodeSpan(code = '') {
+        const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return `${fence}${padding}${code}${padding}${fence}`;
+    }
+
+    /**
+     * Wrap text in emphasis markers line by line, keeping surrounding whitespace outside
+     * the markers where Markdown requires it
+     * @param {string} text - Markdown text
+     * @param {string} open - Opening marker
+     * @param {string} close - Closing marker (defaults to the opening one)
+     * @returns {string} Wrapped text
+     */
+    wrap(text, open, close = open) {
+        return text.split('\n').map(line => {
+            const [, before, content, after] = line.match(/^(\s*)(.*?)(\s*)$/);
+            return content ? `${before}${open}${content}${close}${after}` : line;
+        }).join('\n');
+    }
+
+    /**
+     * Escape characters that Markdown would otherwise read as formatting
+     * A "* " bullet at the start of a line is kept, as people type lists into rich text
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        return text
+            .replace(/[\\`*_[\]<]/g, '\\$&')
+            .replace(/^(\s*)\\\*(?=\s)/gm, '$1*');
+    }
+
+    /**
+     * Turn relative Notion links (e.g., "/0a1b...") into absolute ones
+     * @param {string} url - Link URL
+     * @returns {string} Absolute URL
+     */
+    absoluteUrl(url) {
+        return url.startsWith('/') ? `https://www.notion.so${url}` : url;
+    }
+
+    /**
+     * Convert page blocks to Markdown
+     * @param {Array} blocks - Notion block objects with nested blocks in "children"
+     * @param {string} pageUrl - URL of the page, used to link files hosted by Notion
+     * @returns {string} Markdown text
+     */
+    blocksToMarkdown(blocks = [], pageUrl = null) {
+        let markdown = '';
+        let previous = null;
+        let number = 0;
+
+        for (const block of blocks) {
+            number = block.type === 'numbered_list_item' && previous?.type === 'numbered_list_item' ? number + 1 : 1;
+
+            const rendered = this.blockToMarkdown(block, pageUrl, number);
+            if (!rendered) {
+                continue;
+            }
+
+            if (markdown) {
+                markdown += LIST_BLOCKS.includes(block.type) && LIST_BLOCKS.includes(previous?.type) ? '\n' : '\n\n';
+            }
+            markdown += rendered;
+            previous = block;
+        }
+
+        return markdown;
+    }
+
+    /**
+     * Convert a single block, including its children
+     * @param {Object} block - Notion block object
+     * @param {string} pageUrl - URL of the page
+     * @param {number} number - Position of a numbered list item in its list
+     * @returns {string} Markdown text (empty for blocks without a Markdown equivalent)
+     */
+    blockToMarkdown(block, pageUrl, number = 1) {
+        const value = block[block.type] || {};
+        const text = this.richTextToMarkdown(value.rich_text);
+        const children = this.blocksToMarkdown(block.children || [], pageUrl);
+
+        if (HEADING_PREFIXES[block.type]) {
+            // Toggleable headings show their content below the heading
+            return this.joinBlocks(`${HEADING_PREFIXES[block.type]} ${text}`, children);
+        }
+
+        if (CONTAINER_BLOCKS.includes(block.type)) {
+            return children;
+        }
+
+        if (FILE_BLOCKS[block.type]) {
+            return this.formatFileBlock(block, pageUrl);
+        }
+
+        switch (block.type) {
+            case 'paragraph':
+                return this.joinBlocks(text, children);
+
+            case 'bulleted_list_item':
+                return this.formatListItem('- ', text, children);
+
+            case 'numbered_list_item':
+                return this.formatListItem(`${number}. `, text, children);
+
+            case 'to_do':
+                return this.formatListItem(`- [${value.checked ? 'x' : ' '}] `, text, children, 2);
+
+            case 'quote':
+                return this.quote(this.joinBlocks(text, children));
+
+            case 'callout': {
+                const icon = value.icon?.type === 'emoji' ? `${value.icon.emoji} ` : '';
+                return this.quote(this.joinBlocks(`${icon}${text}`, children));
+            }
+
+            case 'toggle':
+                return `<details>\n<summary>${text}</summary>\n\n${children ? `${children}\n\n` : ''}</details>`;
+
+            case 'code':
+                return this.formatCodeBlock(value);
+
+            case 'equation':
+                return `$$\n${value.expression}\n$$`;
+
+            case 'divider':
+                return '---';
+
+            case 'table':
+                return this.formatTable(block);
+
+            case 'bookmark':
+            case 'embed':
+            case 'link_preview': {
+                const caption = this.richTextToMarkdown(value.caption);
+                return value.url ? `[${caption || this.escape(value.url)}](${value.url})` : '';
+            }
+
+            case 'child_page':
+                return `📄 [${this.escape(value.title || 'Untitled')}](https://www.notion.so/${block.id.replace(/-/g, '')})`;
+
+            case 'child_database':
+                return `🗃️ ${this.escape(value.title || 'Untitled database')}`;
+
+            default:
+                // Table of contents, breadcrumbs and unsupported blocks have nothing to show in GitHub
+                return '';
+        }
+    }
+
+    /**
+     * Join a block's own text with its rendered children
+     * @param {string} text - Block text
+     * @param {string} children - Rendered children
+     * @returns {string} Markdown text
+     */
+    joinBlocks(text, children) {
+        return [text, children].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Format a list item, indenting its children under the marker
+     * @param {string} marker - List marker including the trailing space
+     * @param {string} text - Item text
+     * @param {string} children - Rendered children
+     * @param {number} indent - Indentation of children (defaults to the marker width)
+     * @returns {string} Markdown list item
+     */
+    formatListItem(marker, text, children, indent = marker.length) {
+        const lines = `${marker}${text}`.split('\n');
+        const continuation = lines.slice(1).map(line => `${' '.repeat(indent)}${line}`);
+        const nested = children ? children.split('\n').map(line => (line ? `${' '.repeat(indent)}${line}` : line)) : [];
+        return [lines[0], ...continuation, ...nested].join('\n');
+    }
+
+    /**
+     * Prefix every line with a blockquote marker
+     * @param {string} text - Markdown text
+     * @returns {string} Quoted Markdown
+     */
+    quote(text) {
+        return text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+    }
+
+    /**
+     * Format a fenced code block, using a longer fence when the code contains one
+     * @param {Object} code - Notion code block value
+     * @returns {string} Markdown code block
+     */
+    formatCodeBlock(code) {
+        const content = (code.rich_text || []).map(span => span.plain_text).join('');
+        const longestRun = Math.max(0, ...(content.match(/`{3,}/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        const language = code.language && code.language !== 'plain text' ? code.language.replace(/\s+/g, '') : '';
+        return `${fence}${language}\n${content}\n${fence}`;
+    }
+
+    /**
+     * Format a table block from its table_row children
+     * GitHub tables need a header row, so tables without a column header get an empty one
+     * @param {Object} block - Notion table block
+     * @returns {string} Markdown table
+     */
+    formatTable(block) {
+        const width = block.table?.table_width || 0;
+        const rows = (block.children || [])
+            .filter(row => row.type === 'table_row')
+            .map(row => Array.from({ length: width }, (_, index) => this.formatTableCell(row.table_row.cells[index])));
+
+        if (width === 0 || rows.length === 0) {
+            return '';
+        }
+
+        const header = block.table.has_column_header ? rows.shift() : Array(width).fill('');
+        const formatRow = (cells) => `| ${cells.join(' | ')} |`;
+
+        return [formatRow(header), formatRow(Array(width).fill('---')), ...rows.map(formatRow)].join('\n');
+    }
+
+    /**
+     * Format the rich text of a table cell, which must stay on one line
+     * @param {Array} cell - Notion rich text objects
+     * @returns {string} Markdown cell text
+     */
+    formatTableCell(cell = []) {
+        return this.richTextToMarkdown(cell).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Format an image or file block
+     * External files are linked directly. Files uploaded to Notion link to the block on the
+     * page instead, as their signed URLs expire (and would change the issue body every cycle)
+     * @param {Object} block - Notion block object
+     * @param {string} pageUrl - URL of the page
+     * @returns {string} Markdown text
+     */
+    formatFileBlock(block, pageUrl) {
+        const value = block[block.type] || {};
+        const caption = this.richTextToMarkdown(value.caption) || this.escape(value.name || block.type);
+
+        if (value.type === 'external' && value.external?.url) {
+            return block.type === 'image' ? `![${caption}](${value.external.url})` : `${FILE_BLOCKS[block.type]} [${caption}](${value.external.url})`;
+        }
+
+        if (!pageUrl) {
+            return `${FILE_BLOCKS[block.type]} ${caption}`;
+        }
+
+        return `${FILE_BLOCKS[block.type]} [${caption}](${pageUrl}#${block.id.replace(/-/g, '')}) (in Notion)`;
+    }
+}
+
+module.exports = NotionMarkdown;
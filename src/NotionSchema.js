@@ -0,0 +1,157 @@
+const Logger = require('./Logger');
+
+// Logical fields the sync reads and writes, with the Notion property type each must have
+const FIELDS = {
+    id: { type: 'unique_id', required: true },
+    title: { type: 'title', required: true },
+    status: { type: 'status', required: true },
+    type: { type: 'select' },
+    description: { type: 'rich_text' },
+    stepsToReproduce: { type: 'rich_text' },
+    module: { type: 'select' },
+    issueLink: { type: 'url' },
+    branchLink: { type: 'url' },
+    pullRequestStatus: { type: 'status' },
+    pullRequestLink: { type: 'url' },
+    assignee: { type: 'people' },
+    priority: { type: 'select' },
+    doNotSync: { type: 'checkbox' },
+    parent: { type: 'relation' }
+};
+
+// Default property names. A list means "the first of these the database has"
+const DEFAULT_SCHEMA = {
+    id: 'ID',
+    title: ['Bug Title', 'Task Title', 'Title', 'Name'],
+    status: 'Status',
+    type: 'Type',
+    description: 'Description',
+    stepsToReproduce: ['Steps to Reproduce', 'Acceptance Criteria', 'Requirements'],
+    module: 'Module',
+    issueLink: 'Issue Link',
+    branchLink: 'Branch Link',
+    pullRequestStatus: 'Pull Request Status',
+    pullRequestLink: 'Pull Request Link',
+    assignee: 'Assignee',
+    priority: 'Priority',
+    doNotSync: 'Do Not Sync',
+    parent: 'Parent'
+};
+
+// Fields a database syncing GitHub issues can't do without: issues are routed by Module and linked back
+const ISSUE_SYNC_FIELDS = ['module', 'issueLink'];
+
+/**
+ * NotionSchema maps the logical fields the sync uses (title, status, issueLink...) to
+ * the property names of each Notion database
+ *
+ * Names come from each database definition's schema merged over the defaults. Until
+ * resolve() has checked them against the real database, the first default candidate is assumed.
+ */
+class NotionSchema {
+    constructor(databases = []) {
+        this.logger = new Logger('NotionSchema');
+        this.configured = {};
+        this.schemas = {};
+
+        for (const { itemType, schema } of databases) {
+            const unknown = Object.keys(schema || {}).filter(field => !FIELDS[field]);
+            if (unknown.length > 0) {
+                throw new Error(`Schema for ${itemType} has unknown fields: ${unknown.join(', ')} (known: ${Object.keys(FIELDS).join(', ')})`);
+            }
+            this.configured[itemType] = schema || {};
+        }
+    }
+
+    /**
+     * Get the logical field names a schema can map
+     * @returns {Array} Field names
+     */
+    static getFieldNames() {
+        return Object.keys(FIELDS);
+    }
+
+    /**
+     * Get the property names of a database, starting from the configured or default names
+     * @param {string} itemType - Item type of the database
+     * @returns {Object} Logical field to property name (null if the database doesn't have it)
+     */
+    getSchema(itemType) {
+        if (!this.schemas[itemType]) {
+            this.schemas[itemType] = {};
+            for (const field of Object.keys(FIELDS)) {
+                const name = this.configured[itemType]?.[field] ?? DEFAULT_SCHEMA[field];
+                this.schemas[itemType][field] = Array.isArray(name) ? name[0] : name;
+            }
+        }
+        return this.schemas[itemType];
+    }
+
+    /**
+     * Get the property name of a logical field
+     * @param {string} itemType - Item type of the database
+     * @param {string} field - Logical field name (e.g., 'issueLink')
+     * @returns {string|null} Property name or null if the database doesn't have the field
+     */
+    property(itemType, field) {
+        return this.getSchema(itemType)[field] || null;
+    }
+
+    /**
+     * Read a logical field's raw property from a page's properties
+     * @param {Object} properties - Notion page properties
+     * @param {string} itemType - Item type of the database
+     * @param {string} field - Logical field name
+     * @returns {Object|null} Raw Notion property or null
+     */
+    read(properties, itemType, field) {
+        const name = this.property(itemType, field);
+        return name && properties ? properties[name] || null : null;
+    }
+
+    /**
+     * Check the schema against a database's properties and settle the property names
+     * Configured names must exist with the right type; default names that are missing
+     * are dropped unless the field is required
+     * @param {string} itemType - Item type of the database
+     * @param {Object} databaseProperties - Properties from databases.retrieve
+     * @param {Array} capabilities - Database capabilities; issue sync needs more fields
+     * @returns {Array} Error messages (empty if the schema is usable)
+     */
+    resolve(itemType, databaseProperties, capabilities = []) {
+        const errors = [];
+        const skipped = [];
+        const schema = this.getSchema(itemType);
+        const required = (field) => FIELDS[field].required || (capabilities.includes('issues') && ISSUE_SYNC_FIELDS.includes(field));
+
+        for (const [field, { type }] of Object.entries(FIELDS)) {
+            const configured = this.configured[itemType]?.[field];
+            const candidates = [].concat(configured ?? DEFAULT_SCHEMA[field]).filter(Boolean);
+            const name = candidates.find(candidate => databaseProperties[candidate]);
+
+            if (!name) {
+                if (configured || required(field)) {
+                    errors.push(`${itemType} database has no "${candidates.join('" or "')}" property for ${field}`);
+                } else {
+                    skipped.push(field);
+                }
+                schema[field] = null;
+                continue;
+            }
+
+            if (databaseProperties[name].type !== type) {
+                errors.push(`${itemType} database property "${name}" (${field}) is ${databaseProperties[name].type}, expected ${type}`);
+            }
+
+            schema[field] = name;
+        }
+
+        if (skipped.length > 0) {
+            this.logger.info(`${itemType} database has no property for ${skipped.join(', ')} - syncing without them`);
+        }
+
+        return errors;
+    }
+}
+
+module.exports = NotionSchema;
@@ -0,0 +1,70 @@
+const Logger = require('./Logger');
+const RateLimiter = require('./RateLimiter');
+
+/**
+ * OperationExecutor runs sync operations with bounded concurrency
+ * Operations with the same group key (the same Notion item or GitHub issue) run one after
+ * another in their original order, since later ones build on earlier ones; groups run side by side.
+ * API pacing and retries happen per request in the clients' RateLimiters.
+ */
+class OperationExecutor {
+    /**
+     * @param {Object} options - { concurrency } maximum number of groups running at once
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 4;
+        this.logger = new Logger('OperationExecutor');
+    }
+
+    /**
+     * Run operations and collect the outcome of each
+     * @param {Array} operations - Operations to run
+     * @param {Function} execute - Async function running one operation
+     * @param {Function} groupKey - Function returning the group key of an operation
+     * @returns {Array} Outcomes in operation order: { result, error, retries, success }
+     */
+    async run(operations, execute, groupKey) {
+        const groups = new Map();
+        operations.forEach((operation, index) => {
+            const key = groupKey(operation);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(index);
+        });
+
+        const queue = [...groups.values()];
+        const outcomes = new Array(operations.length);
+        const workers = Math.min(this.concurrency, queue.length);
+
+        this.logger.debug(`Running ${operations.length} operations in ${queue.length} groups with ${workers} workers`);
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                for (const index of queue.shift()) {
+                    outcomes[index] = await this.runOne(operations[index], execute);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: workers }, worker));
+        return outcomes;
+    }
+
+    /**
+     * Run a single operation, counting the request retries it needed
+     * @param {Object} operation - Operation to run
+     * @param {Function} execute - Async function running one operation
+     * @returns {Object} { result, error, retries, success }
+     */
+    async runOne(operation, execute) {
+        try {
+            const { result, retries } = await RateLimiter.track(() => execute(operation));
+            return { result, error: null, retries, success: true };
+        } catch (error) {
+            return { result: null, error, retries: error.retries || 0, success: false };
+        }
+    }
+}
+
+module.exports = OperationExecutor;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./Logger');
+
+/**
+ * OperationJournal is an append-only JSON Lines log of every executed sync operation
+ * Each line records the run it belonged to, the outcome and, for undoable operations,
+ * the affected fields before and after, so a run can be reversed later (see UndoManager)
+ *
+ * Entry format:
+ * { runId, at, action, reason, sourceId, targetId, success, error, kind, ref, prior, after, undoOf }
+ */
+class OperationJournal {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.logger = new Logger('OperationJournal');
+    }
+
+    /**
+     * Create an ID for a new run
+     * @returns {string} Run ID (e.g., "20261018T233925-a1b2c3")
+     */
+    startRun() {
+        const timestamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+        return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    /**
+     * Append an entry to the journal
+     * @param {Object} entry - Journal entry (see class comment)
+     */
+    append(entry) {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+        } catch (error) {
+            this.logger.error(`Error writing journal ${this.filePath}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read every entry, skipping lines that are not valid JSON (e.g., cut off by a crash)
+     * @returns {Array} Journal entries in the order they were written
+     */
+    readAll() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .flatMap((line, index) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    this.logger.warn(`Skipping unreadable journal line ${index + 1}`);
+                    return [];
+                }
+            });
+    }
+
+    /**
+     * Get the entries of one run
+     * @param {string} runId - Run ID
+     * @returns {Array} Entries of the run
+     */
+    getRunEntries(runId) {
+        return this.readAll().filter(entry => entry.runId === runId);
+    }
+
+    /**
+     * Get the entries written after a run's last entry
+     * @param {string} runId - Run ID
+     * @returns {Array} Later entries
+     */
+    getEntriesAfterRun(runId) {
+        const entries = this.readAll();
+        let last = -1;
+        entries.forEach((entry, index) => {
+            if (entry.runId === runId) {
+                last = index;
+            }
+        });
+        return entries.slice(last + 1);
+    }
+
+    /**
+     * Check whether a run has already been undone
+     * @param {string} runId - Run ID
+     * @returns {boolean} True if an undo run refers to it
+     */
+    isUndone(runId) {
+        return this.readAll().some(entry => entry.undoOf === runId);
+    }
+
+    /**
+     * List the most recent runs
+     * @param {number} limit - Maximum number of runs
+     * @returns {Array} Runs as { runId, startedAt, operations, failed, undoOf }, newest first
+     */
+    listRuns(limit = 10) {
+        const runs = new Map();
+        for (const entry of this.readAll()) {
+            if (!runs.has(entry.runId)) {
+                runs.set(entry.runId, { runId: entry.runId, startedAt: entry.at, operations: 0, failed: 0, undoOf: entry.undoOf || null });
+            }
+            const run = runs.get(entry.runId);
+            run.operations++;
+            if (!entry.success) {
+                run.failed++;
+            }
+        }
+        return [...runs.values()].reverse().slice(0, limit);
+    }
+}
+
+module.exports = OperationJournal;
@@ -0,0 +1,202 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const Logger = require('./Logger');
+
+// Counts the retries of whichever operation is running, even with several running at once
+const retryContext = new AsyncLocalStorage();
+
+// Server and network errors may come after the server applied the request, so only requests
+// that are safe to repeat retry on them
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'notionhq_client_request_timeout'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * RateLimiter paces the requests to one API with a token bucket and retries rate-limited
+ * and failed requests with exponential backoff and jitter
+ *
+ * A Retry-After or x-ratelimit-reset header takes precedence over the backoff and holds
+ * the whole bucket, so concurrent requests to the same API wait as well.
+ */
+class RateLimiter {
+    /**
+     * @param {string} name - API name for logging (e.g., "Notion")
+     * @param {Object} options - { requestsPerSecond, burst, maxRetries, baseDelayMs, maxDelayMs }
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.requestsPerSecond = options.requestsPerSecond || 3;
+        this.burst = options.burst || Math.max(1, Math.floor(this.requestsPerSecond));
+        this.maxRetries = options.maxRetries ?? 5;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 60000;
+        this.tokens = this.burst;
+        this.refilledAt = Date.now();
+        this.pausedUntil = 0;
+        this.queue = Promise.resolve();
+        this.logger = new Logger('RateLimiter');
+    }
+
+    /**
+     * Run a function and count the retries of every request it makes through any RateLimiter
+     * @param {Function} fn - Async function to run
+     * @returns {Object} { result, retries }; a thrown error carries the count as error.retries
+     */
+    static async track(fn) {
+        const context = { retries: 0 };
+
+        try {
+            const result = await retryContext.run(context, fn);
+            return { result, retries: context.retries };
+        } catch (error) {
+            error.retries = context.retries;
+            throw error;
+        }
+    }
+
+    /**
+     * Run a request once a token is available, retrying it while the API asks to
+     * @param {Function} request - Async function making one API request
+     * @param {string} label - Request description for logging (e.g., "PATCH pages/...")
+     * @param {Object} options - { idempotent }: false for requests that must not run twice
+     *                           (e.g., creating an issue), which only retry when rate limited
+     * @returns {*} Request result
+     */
+    async schedule(request, label = 'request', options = {}) {
+        const { idempotent = true } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.take();
+
+            try {
+                return await request();
+            } catch (error) {
+                if (attempt >= this.maxRetries || !this.isRetryable(error, idempotent)) {
+                    throw error;
+                }
+
+                const serverDelay = this.getServerDelay(error);
+                if (serverDelay !== null && serverDelay > this.maxDelayMs) {
+                    this.logger.warn(`${this.name} rate limit resets in ${Math.ceil(serverDelay / 1000)}s, not waiting for ${label}`);
+                    throw error;
+                }
+
+                const delay = serverDelay ?? this.getBackoffDelay(attempt);
+                if (serverDelay !== null) {
+                    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + serverDelay);
+                }
+
+                const context = retryContext.getStore();
+                if (context) {
+                    context.retries++;
+                }
+
+                this.logger.warn(`${this.name} ${label} failed (${error.status || error.code}), retry ${attempt + 1}/${this.maxRetries} in ${Math.round(delay)}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Wait for a token, in the order requests asked for one
+     */
+    async take() {
+        const turn = this.queue.then(() => this.waitForToken());
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Refill the bucket and wait until it holds a token and no pause is in effect
+     */
+    async waitForToken() {
+        for (;;) {
+            const now = Date.now();
+
+            if (now < this.pausedUntil) {
+                await sleep(this.pausedUntil - now);
+                continue;
+            }
+
+            this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) / 1000 * this.requestsPerSecond);
+            this.refilledAt = now;
+
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+
+            await sleep((1 - this.tokens) / this.requestsPerSecond * 1000);
+        }
+    }
+
+    /**
+     * Check whether a failed request is worth retrying
+     * GitHub reports primary and secondary rate limits as 403 with rate limit headers
+     * @param {Error} error - Error thrown by the API client
+     * @param {boolean} idempotent - Whether the request is safe to repeat
+     * @returns {boolean} True for rate limits, and for server errors and network failures of idempotent requests
+     */
+    isRetryable(error, idempotent = true) {
+        if (error.status === 429) {
+            return true;
+        }
+
+        if (idempotent && (RETRYABLE_STATUSES.includes(error.status) || RETRYABLE_CODES.includes(error.code))) {
+            return true;
+        }
+
+        return error.status === 403 && (
+            this.getHeader(error, 'retry-after') !== null ||
+            this.getHeader(error, 'x-ratelimit-remaining') === '0'
+        );
+    }
+
+    /**
+     * Get the wait the API asked for through Retry-After or x-ratelimit-reset
+     * @param {Error} error - Error thrown by the API client
+     * @returns {number|null} Delay in milliseconds or null if the API didn't say
+     */
+    getServerDelay(error) {
+        const retryAfter = this.getHeader(error, 'retry-after');
+        if (retryAfter !== null) {
+            const seconds = Number(retryAfter);
+            return Number.isNaN(seconds) ? Math.max(0, new Date(retryAfter).getTime() - Date.now()) : seconds * 1000;
+        }
+
+        const reset = this.getHeader(error, 'x-ratelimit-reset');
+        if (reset !== null && this.getHeader(error, 'x-ratelimit-remaining') === '0') {
+            return Math.max(0, Number(reset) * 1000 - Date.now());
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the exponential backoff for a retry, with jitter so concurrent retries spread out
+     * @param {number} attempt - Number of the failed attempt, starting at 0
+     * @returns {number} Delay in milliseconds
+     */
+    getBackoffDelay(attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return ceiling / 2 + Math.random() * ceiling / 2;
+    }
+
+    /**
+     * Read a response header from an Octokit or Notion client error
+     * @param {Error} error - Error thrown by the API client
+     * @param {string} name - Header name (lowercase)
+     * @returns {string|null} Header value or null if absent
+     */
+    getHeader(error, name) {
+        const headers = error.response?.headers || error.headers;
+        if (!headers) {
+            return null;
+        }
+
+        const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        return value === undefined || value === null ? null : String(value);
+    }
+}
+
+module.exports = RateLimiter;
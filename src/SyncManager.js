@@ -1,22 +1,105 @@
 const Logger = require('./Logger');
 const DataMapper = require('./DataMapper');
+const CommentSync = require('./CommentSync');
+const OperationExecutor = require('./OperationExecutor');
+const SyncPlan = require('./SyncPlan');
+const UndoManager = require('./UndoManager');
+
+// Label marking issues whose Notion item was deleted or archived
+const ORPHANED_LABEL = 'orphaned';
 
 class SyncManager {
-    constructor(notionClient, githubClient, configManager) {
+    constructor(notionClient, githubClient, configManager, linkStore, syncState, journal = null) {
         this.notion = notionClient;
         this.github = githubClient;
         this.config = configManager;
-        this.mapper = new DataMapper();
+        this.links = linkStore;
+        this.syncState = syncState;
+        this.mapper = new DataMapper({
+            labelConfig: configManager.getLabelConfig(),
+            idParser: configManager.getIdParser(),
+            statusMapping: configManager.getStatusMapping(),
+            issueTemplates: configManager.getIssueTemplates()
+        });
+        this.rules = configManager.getSyncRules();
+        this.ensuredLabels = new Map();
+        // Tail of the chain of sync passes; full, incremental and targeted passes run one at a time
+        this.syncQueue = Promise.resolve();
+        this.activeSync = null;
+        this.executor = new OperationExecutor({ concurrency: configManager.getSyncConcurrency() });
+        this.comments = new CommentSync(notionClient, githubClient, linkStore);
+        this.undo = journal ? new UndoManager(notionClient, githubClient, journal) : null;
         this.logger = new Logger('SyncManager');
     }
 
     /**
-     * Perfor    /**
+     * Run a sync cycle once no other sync pass is running
+     * @returns {Object} Sync results summary
+     */
+    async performSync() {
+        return await this.runExclusive('sync cycle', () => this.runSyncCycle());
+    }
+
+    /**
+     * Run a sync pass after every pass queued before it has finished
+     * Passes share the link store and sync state, and two passes running side by side
+     * could both decide to create an issue for the same item
+     * @param {string} label - Description of the pass for the log
+     * @param {Function} task - Async function running the pass
+     * @returns {*} Result of the task
+     */
+    async runExclusive(label, task) {
+        const previous = this.syncQueue;
+        let release;
+        this.syncQueue = new Promise(resolve => { release = resolve; });
+
+        if (this.activeSync) {
+            this.logger.info(`Waiting for the running ${this.activeSync} before the ${label}`);
+        }
+
+        try {
+            await previous;
+            this.activeSync = label;
+            return await task();
+        } finally {
+            this.activeSync = null;
+            release();
+        }
+    }
+
+    /**
+     * Run a sync cycle, choosing between incremental and full reconciliation
+     * Incremental mode still falls back to a full pass on first run and every FULL_SYNC_INTERVAL_MINUTES
+     * @returns {Object} Sync results summary
+     */
+    async runSyncCycle() {
+        // Label colors are checked again each cycle, in case someone changed them on GitHub
+        this.ensuredLabels.clear();
+
+        if (!this.config.isIncrementalSyncEnabled()) {
+            return await this.performFullSync();
+        }
+
+        const lastFullSync = this.syncState.getLastFullSync();
+        const intervalMs = this.config.getFullSyncIntervalMinutes() * 60 * 1000;
+
+        if (!lastFullSync || Date.now() - new Date(lastFullSync).getTime() >= intervalMs) {
+            this.logger.info(lastFullSync
+                ? `Last full reconciliation at ${lastFullSync}, running a full pass`
+                : 'No previous full reconciliation, running a full pass');
+            return await this.performFullSync();
+        }
+
+        return await this.performIncrementalSync();
+    }
+
+    /**
      * Perform full bidirectional sync between Notion and GitHub
      * @returns {Object} Sync results summary
      */
     async performFullSync() {
         this.logger.info('Starting full synchronization...');
+        this.clearTruncatedFetches();
         
         // Validate GitHub permissions first
         try {
@@ -35,27 +118,33 @@ class SyncManager {
         }
         
         try {
-            // Step 1: Fetch data from both sources
-            const [notionData, githubIssues, githubPRs] = await Promise.all([
-                this.notion.fetchAllItems(), // This returns {bugs, tasks}
-                this.github.fetchAllSyncedIssues(this.config.getAllRepositories()),
-                this.github.fetchAllPullRequests(this.config.getAllRepositories())
-            ]);
+            // Anything edited after this point is picked up by the next incremental pass
+            const startedAt = new Date().toISOString();
 
-            // Combine bugs and tasks into a single items array for unified processing
-            const allItems = [...notionData.bugs, ...notionData.tasks];
-
-            this.logger.info(`Found ${notionData.bugs.length} bugs and ${notionData.tasks.length} tasks in Notion, ${githubIssues.length} synced issues in GitHub, ${githubPRs.length} pull requests in GitHub`);
+            // Step 1: Fetch data from both sources
+            const { items: allItems, issues: githubIssues, pullRequests: githubPRs, issuesToImport } = await this.observeState();
 
             // Step 2: Create mappings for efficient lookup
             const { bugMap, issueMap, prMap } = this.createMappings(allItems, githubIssues, githubPRs);
 
-            // Step 3: Determine sync operations (including PR sync)
-            const syncOperations = this.determineSyncOperations(bugMap, issueMap, prMap);
+            // Step 3: Determine sync operations (including PR sync and GitHub imports)
+            const syncOperations = [
+                ...this.determineSyncOperations(bugMap, issueMap, prMap),
+                ...this.determineImportOperations(issuesToImport)
+            ];
 
             // Step 4: Execute sync operations
             const results = await this.executeSyncOperations(syncOperations);
 
+            // Step 5: Mirror comments between linked items and issues
+            results.comments = await this.syncComments(
+                [...issueMap].filter(([itemId]) => bugMap.has(itemId)).map(([itemId, issue]) => ({ item: bugMap.get(itemId), issue }))
+            );
+
+            if (this.syncState) {
+                this.syncState.recordFullSync(startedAt);
+            }
+
             this.logger.info('Full synchronization completed');
             return results;                } catch (error) {
             if (error.message && error.message.includes('issues:write permission')) {
@@ -82,39 +171,78 @@ class SyncManager {
 
     /**
      * Create mappings for efficient bug/issue/PR lookups
-     * @param {Array} items - Array of Notion bugs and tasks
+     * Links recorded in the link store take precedence; title and branch-name parsing
+     * is only used for issues and PRs the store does not know yet, and backfills it
+     * @param {Array} items - Array of Notion items from every database
      * @param {Array} issues - Array of GitHub issues
      * @param {Array} prs - Array of GitHub pull requests
+     * @param {Object} options - { dryRun } maps parsed issues and PRs without backfilling the link store
      * @returns {Object} Maps for bugs, issues, and PRs
      */
-    createMappings(items, issues, prs = []) {
+    createMappings(items, issues, prs = [], options = {}) {
         const bugMap = new Map();
         const issueMap = new Map();
         const prMap = new Map();
+        const itemsByNotionId = new Map();
 
-        // Create item mapping by ID (works for both bugs and tasks)
+        // Create item mapping by ID (works for items of every database)
         items.forEach(item => {
             if (item.id) {
                 bugMap.set(item.id, item);
+                itemsByNotionId.set(item.notionId, item);
+            }
+        });
+
+        // Resolve the item ID a link record points to, preferring the live Notion item
+        const itemIdForLink = (link) => itemsByNotionId.get(link.notionId)?.id || link.itemId;
+
+        // Create issue mapping by bug ID: link store first, then title parsing
+        const linkedIssues = new Set();
+        issues.forEach(issue => {
+            const link = this.links.findByIssue(issue.repository, issue.githubId);
+            if (link && itemIdForLink(link)) {
+                issueMap.set(itemIdForLink(link), issue);
+                linkedIssues.add(issue);
             }
         });
 
-        // Create issue mapping by bug ID (extracted from title)
         issues.forEach(issue => {
+            if (linkedIssues.has(issue)) return;
+
             const bugId = this.mapper.extractBugIdFromTitle(issue.title);
-            if (bugId) {
-                issueMap.set(bugId, issue);
+            if (!bugId || issueMap.has(bugId)) return;
+
+            issueMap.set(bugId, issue);
+
+            const item = bugMap.get(bugId);
+            if (item && !options.dryRun && !this.links.get(item.notionId)?.issueNumber) {
+                this.links.recordIssue(item.notionId, item.id, issue);
             }
         });
 
-        // Create PR mapping by bug ID (extracted from branch name)
+        // Create PR mapping by bug ID: link store first, then branch-name parsing
         prs.forEach(pr => {
-            if (pr.bugId) {
+            const link = this.links.findByPullRequest(pr.repository, pr.githubId) ||
+                this.links.findByBranch(pr.repository, pr.headBranch);
+            let bugId = link ? itemIdForLink(link) : null;
+
+            if (!bugId && pr.bugId) {
+                bugId = pr.bugId;
+                const item = bugMap.get(bugId);
+                if (item && !options.dryRun) {
+                    this.links.recordPullRequest(item.notionId, item.id, pr);
+                }
+            } else if (link && !options.dryRun && !(link.pullRequests || []).some(linked => linked.repository === pr.repository && linked.number === pr.githubId)) {
+                // PR found through the linked branch - remember the PR itself too
+                this.links.recordPullRequest(link.notionId, bugId, pr);
+            }
+
+            if (bugId) {
                 // Store as array since there could be multiple PRs for one bug
-                if (!prMap.has(pr.bugId)) {
-                    prMap.set(pr.bugId, []);
+                if (!prMap.has(bugId)) {
+                    prMap.set(bugId, []);
                 }
-                prMap.get(pr.bugId).push(pr);
+                prMap.get(bugId).push(pr);
             }
         });
 
@@ -122,101 +250,687 @@ class SyncManager {
         return { bugMap, issueMap, prMap };
     }
 
+    /**
+     * Mirror comments for linked item/issue pairs when SYNC_COMMENTS is enabled
+     * A failure for one item is logged and does not stop the others
+     * @param {Array} pairs - Array of { item, issue }
+     * @returns {Object|null} Comment sync counts, or null if disabled
+     */
+    async syncComments(pairs) {
+        if (!this.config.isCommentSyncEnabled()) {
+            return null;
+        }
+
+        const summary = { mirrored: 0, updated: 0, deleted: 0, failed: 0 };
+
+        // Comments travel both ways, so they only mirror for items the rules sync in both directions
+        pairs = pairs.filter(({ item }) => {
+            const decision = this.rules.evaluate(item);
+            return decision.sync && decision.direction === 'both';
+        });
+
+        for (const { item, issue } of pairs) {
+            try {
+                const result = await this.comments.syncItemComments(item, issue);
+                summary.mirrored += result.mirrored;
+                summary.updated += result.updated;
+                summary.deleted += result.deleted;
+            } catch (error) {
+                this.logger.error(`Failed to sync comments for ${item.id}:`, error.message);
+                summary.failed++;
+            }
+        }
+
+        this.logger.info(`Comment sync completed: ${summary.mirrored} mirrored, ${summary.updated} updated, ${summary.deleted} deleted, ${summary.failed} failed`);
+        return summary;
+    }
+
+    /**
+     * Check that every status in the status mapping exists in each database syncing GitHub issues
+     * @throws {Error} If the mapping names statuses a database doesn't have
+     */
+    async validateStatusMapping() {
+        const mapped = this.mapper.getMappedStatuses();
+
+        for (const database of this.notion.getDatabasesWithCapability('issues')) {
+            const options = await this.notion.getStatusOptions(database.itemType);
+
+            const missing = mapped.filter(status => !options.includes(status));
+            if (missing.length > 0) {
+                throw new Error(`Status mapping names statuses missing from the Notion ${database.name} database: ${missing.join(', ')} (database has: ${options.join(', ')})`);
+            }
+
+            const unmapped = options.filter(status => !mapped.includes(status));
+            if (unmapped.length > 0) {
+                this.logger.warn(`${database.name} statuses not in the status mapping: ${unmapped.join(', ')}. Issue state is not synced for items with these statuses until STATUS_MAPPING covers them`);
+            }
+
+            this.logger.info(`Status mapping validated against ${options.length} ${database.name} statuses`);
+        }
+    }
+
+    /**
+     * Fetch GitHub issues matching the import rule (GITHUB_IMPORT_LABEL in a mapped repository)
+     * @returns {Array} Array of formatted issue objects, empty if importing is disabled
+     */
+    async fetchIssuesToImport() {
+        const label = this.config.getImportLabel();
+        if (!label || this.notion.getDatabasesWithCapability('issues').length === 0) {
+            return [];
+        }
+
+        return await this.github.fetchAllIssuesToImport(this.config.getAllRepositories(), label);
+    }
+
+    /**
+     * Determine import operations for GitHub issues that should become Notion bugs
+     * @param {Array} issues - Issues matching the import rule
+     * @returns {Array} Array of sync operations
+     */
+    determineImportOperations(issues) {
+        const operations = [];
+
+        for (const issue of issues) {
+            // A link means the page was created but marking the issue didn't finish
+            const link = this.links.findByIssue(issue.repository, issue.githubId);
+
+            operations.push(this.mapper.createSyncOperation(
+                'import_github_issue',
+                issue,
+                null,
+                link
+                    ? `GitHub issue ${issue.repository}#${issue.githubId} was imported as ${link.itemId} but is not marked yet`
+                    : `GitHub issue ${issue.repository}#${issue.githubId} matches the import rule`,
+                { notionItem: { before: link?.itemId || null, after: link?.itemId || issue.title } }
+            ));
+        }
+
+        return operations;
+    }
+
+    /**
+     * Fetch everything a full reconciliation looks at
+     * @returns {Object} { items, issues, pullRequests, issuesToImport }
+     */
+    async observeState() {
+        const repositories = this.config.getAllRepositories();
+        const [items, issues, pullRequests, issuesToImport] = await Promise.all([
+            this.notion.fetchAllItems(),
+            this.github.fetchAllSyncedIssues(repositories),
+            this.github.fetchAllPullRequests(repositories),
+            this.fetchIssuesToImport()
+        ]);
+
+        this.logger.info(`Found ${items.length} items in ${this.notion.databases.length} Notion databases, ${issues.length} synced issues in GitHub, ${pullRequests.length} pull requests in GitHub`);
+
+        await this.loadRelations(items, issues, items);
+        await this.loadPageContent(items, this.getChangedSince('notion'));
+        return { items, issues, pullRequests, issuesToImport };
+    }
+
+    /**
+     * Determine the operations of a full reconciliation without running them
+     * Like a dry run it leaves the link store and pending orphans untouched, so only deletions
+     * already confirmed by a sync cycle show up
+     * @returns {SyncPlan} Plan with the observed state hash
+     */
+    async createPlan() {
+        this.clearTruncatedFetches();
+        const state = await this.observeState();
+        const { bugMap, issueMap, prMap } = this.createMappings(state.items, state.issues, state.pullRequests, { dryRun: true });
+
+        const operations = [
+            ...this.determineSyncOperations(bugMap, issueMap, prMap, { dryRun: true }),
+            ...this.determineImportOperations(state.issuesToImport)
+        ];
+
+        return SyncPlan.create(operations, state);
+    }
+
+    /**
+     * Run exactly the operations of a plan, refusing if Notion or GitHub changed since it was made
+     * @param {SyncPlan} plan - Plan to apply
+     * @returns {Object} Execution results
+     */
+    async applyPlan(plan) {
+        this.clearTruncatedFetches();
+        const state = await this.observeState();
+
+        if (SyncPlan.hashState(state) !== plan.stateHash) {
+            throw new Error(`Notion or GitHub changed since the plan was made at ${plan.createdAt}, run "plan" again`);
+        }
+
+        this.logger.info(`State unchanged since ${plan.createdAt}, applying ${plan.operations.length} planned operations`);
+        return await this.executeSyncOperations(plan.operations);
+    }
+
+    /**
+     * Forget page-limit truncations recorded by the clients during a previous cycle
+     */
+    clearTruncatedFetches() {
+        this.notion.clearTruncatedFetches();
+        this.github.clearTruncatedFetches();
+    }
+
     /**
      * Determine what sync operations need to be performed
-     * @param {Map} bugMap - Map of Notion items (bugs & tasks) by ID
+     * @param {Map} bugMap - Map of Notion items by ID
      * @param {Map} issueMap - Map of GitHub issues by bug ID
      * @param {Map} prMap - Map of GitHub pull requests by bug ID
+     * @param {Object} options - { dryRun } leaves the pending orphan bookkeeping untouched
      * @returns {Array} Array of sync operations
      */
-    determineSyncOperations(bugMap, issueMap, prMap = new Map()) {
-        const operations = [];
+    determineSyncOperations(bugMap, issueMap, prMap = new Map(), options = {}) {
+        let operations = [];
 
-        // Check each item in Notion (bugs and tasks)
+        // Check each item in Notion
         for (const [itemId, item] of bugMap) {
-            // Tasks only sync PR properties, not GitHub issues
-            if (item.itemType === 'task') {
-                // Only check for PR sync operations for tasks
-                const correspondingPRs = prMap.get(itemId) || [];
-                const prSyncOperations = this.determinePRSyncOperations(item, correspondingPRs);
-                operations.push(...prSyncOperations);
-                continue; // Skip all other sync operations for tasks
-            }
-
-            // For bugs, proceed with full validation and sync
-            const validation = this.mapper.validateBugForSync(item);
-            if (!validation.isValid) {
-                this.logger.warn(`Skipping invalid ${item.itemType || 'item'} ${itemId}:`, validation.errors);
+            const correspondingIssue = issueMap.get(itemId);
+            const correspondingPRs = prMap.get(itemId) || [];
+            operations.push(...this.determineItemOperations(item, correspondingIssue, correspondingPRs, options));
+        }
+
+        // A truncated fetch gives an incomplete picture: a missing GitHub issue is not necessarily
+        // absent (truncated Notion results trip the deletion circuit breaker below)
+        const truncatedGitHub = this.github.getTruncatedFetches();
+
+        if (truncatedGitHub.length > 0 && operations.some(op => op.action === 'create')) {
+            const creates = operations.filter(op => op.action === 'create');
+            this.logger.warn(`Skipping ${creates.length} issue creations because GitHub results were truncated (${truncatedGitHub.join(', ')})`);
+            operations = operations.filter(op => op.action !== 'create');
+        }
+
+        // Check for orphaned issues (exist in GitHub but not in Notion)
+        const orphans = [...issueMap]
+            .filter(([itemId]) => !bugMap.has(itemId))
+            .map(([itemId, issue]) => ({ itemId, issue }));
+
+        operations.push(...this.determineOrphanOperations(orphans, [...bugMap.values()], issueMap.size, options));
+
+        this.logger.info(`Determined ${operations.length} sync operations`);
+        return operations;
+    }
+
+    /**
+     * Turn orphaned issues into delete operations, guarded against mass deletion
+     * The circuit breaker holds every deletion back when a Notion query was truncated, when the database of an
+     * orphan returned no items or when the orphans exceed ORPHAN_MAX_COUNT or ORPHAN_MAX_PERCENT of the synced
+     * issues, and forgets the pending orphans. Otherwise an issue is only closed once it was also orphaned in the
+     * previous full reconciliation and ORPHAN_GRACE_MINUTES have passed since it was first seen
+     * @param {Array} orphans - Array of { itemId, issue } for issues without a Notion item
+     * @param {Array} items - Notion items fetched from every database
+     * @param {number} issueCount - Number of synced GitHub issues fetched
+     * @param {Object} options - { dryRun } leaves the pending orphan bookkeeping untouched
+     * @returns {Array} Array of delete operations
+     */
+    determineOrphanOperations(orphans, items, issueCount, options = {}) {
+        // Issues handled in an earlier cycle and repositories that ignore orphans need nothing
+        orphans = orphans.filter(({ issue }) => {
+            const link = this.links.findByIssue(issue.repository, issue.githubId);
+            return !link?.orphaned
+                && !(issue.labels || []).includes(ORPHANED_LABEL)
+                && this.config.getOrphanPolicy(issue.repository).policy !== 'ignore';
+        });
+
+        const pending = this.syncState ? this.syncState.getPendingOrphans() : {};
+        const record = !options.dryRun && this.syncState;
+
+        if (orphans.length === 0) {
+            if (record && Object.keys(pending).length > 0) {
+                this.logger.info(`${Object.keys(pending).length} pending orphaned issues have a Notion item again, no longer closing them`);
+                this.syncState.setPendingOrphans({});
+            }
+            return [];
+        }
+
+        // A tripped breaker also forgets earlier pending orphans, so a deletion always needs two
+        // healthy full reconciliations in a row
+        const trip = (reason, hint = null) => {
+            this.logger.error(`Deletion circuit breaker tripped: ${reason}, not closing ${orphans.length} orphaned issues`);
+            if (hint) {
+                this.logger.error(hint);
+            }
+            if (record && Object.keys(pending).length > 0) {
+                this.syncState.setPendingOrphans({});
+            }
+            return [];
+        };
+
+        const truncatedNotion = this.notion.getTruncatedFetches();
+        if (truncatedNotion.length > 0) {
+            return trip(`Notion results were truncated (${truncatedNotion.join(', ')})`, 'Raise SYNC_MAX_PAGES if the databases have grown');
+        }
+
+        if (items.length === 0) {
+            return trip('Notion returned no items');
+        }
+
+        // A database whose token or share broke returns nothing while the others still return items
+        const fetchedTypes = new Set(items.map(item => item.itemType));
+        const emptyTypes = [...new Set(orphans.map(({ itemId }) => this.mapper.idParser.getItemType(itemId)))]
+            .filter(itemType => itemType && !fetchedTypes.has(itemType));
+        if (emptyTypes.length > 0) {
+            return trip(`Notion returned no items from the ${emptyTypes.join(', ')} database`, 'Check the Notion token and database access');
+        }
+
+        const maxCount = this.config.getOrphanMaxCount();
+        const maxPercent = this.config.getOrphanMaxPercent();
+        const percent = orphans.length / issueCount * 100;
+
+        if (orphans.length > maxCount || percent > maxPercent) {
+            return trip(
+                `${orphans.length} orphaned issues (${percent.toFixed(1)}% of ${issueCount} synced) exceed the limit of ${maxCount} issues or ${maxPercent}%`,
+                'Check the Notion token and database access; raise ORPHAN_MAX_COUNT or ORPHAN_MAX_PERCENT if these deletions are intended'
+            );
+        }
+
+        const now = new Date();
+        const graceMs = this.config.getOrphanGraceMinutes() * 60 * 1000;
+        const stillPending = {};
+        const operations = [];
+
+        for (const { itemId, issue } of orphans) {
+            const key = `${issue.repository}#${issue.githubId}`;
+            const seen = pending[key] && pending[key].itemId === itemId ? pending[key] : null;
+
+            stillPending[key] = seen || { itemId, firstSeenAt: now.toISOString() };
+
+            if (!seen) {
+                this.logger.warn(`Holding deletion of issue #${issue.githubId} in ${issue.repository}: ${itemId} is missing from Notion, waiting for the next full sync to confirm`);
                 continue;
             }
 
-            const correspondingIssue = issueMap.get(itemId);
-            const correspondingPRs = prMap.get(itemId) || [];
+            if (now - new Date(seen.firstSeenAt) < graceMs) {
+                this.logger.warn(`Holding deletion of issue #${issue.githubId} in ${issue.repository}: ${itemId} missing from Notion since ${seen.firstSeenAt}, grace period not over`);
+                continue;
+            }
 
-            if (!correspondingIssue) {
-                // Item exists in Notion but not in GitHub
-                // Check if item already has an issue link (might be broken link)
-                if (item.issueLink) {
-                    this.logger.warn(`${item.itemType || 'Item'} ${itemId} has issue link but no corresponding GitHub issue found. Link: ${item.issueLink}`);
-                    // Still create operation - the existing link might be broken
-                }
-                
+            operations.push(this.mapper.createSyncOperation(
+                'delete',
+                null,
+                issue,
+                `Issue exists in GitHub but corresponding item was deleted from Notion (missing since ${seen.firstSeenAt})`,
+                { issue: { before: issue.state, after: `orphan policy ${this.config.getOrphanPolicy(issue.repository).policy}` } }
+            ));
+        }
+
+        if (record) {
+            this.syncState.setPendingOrphans(stillPending);
+        }
+
+        return operations;
+    }
+
+    /**
+     * Determine sync operations for a single Notion item and its GitHub counterparts,
+     * keeping those the sync rules allow for the item
+     * @param {Object} item - Notion item object (from any database)
+     * @param {Object|null} correspondingIssue - Linked GitHub issue, if any
+     * @param {Array} correspondingPRs - GitHub pull requests for this item
+     * @param {Object} options - { dryRun } leaves link store bookkeeping untouched
+     * @returns {Array} Array of sync operations
+     */
+    determineItemOperations(item, correspondingIssue, correspondingPRs = [], options = {}) {
+        const decision = this.rules.evaluate(item);
+        if (!decision.sync) {
+            this.logger.debug(`Not syncing ${item.itemType || 'item'} ${item.id}: excluded by ${decision.rule}`);
+            return [];
+        }
+
+        const operations = this.determineItemChanges(item, correspondingIssue, correspondingPRs, options);
+        const allowed = operations.filter(op => this.rules.allows(decision, op.action));
+
+        if (allowed.length < operations.length) {
+            const held = operations.filter(op => !allowed.includes(op)).map(op => op.action);
+            this.logger.info(`Skipping ${held.join(', ')} for ${item.id}: not allowed by ${decision.rule}`);
+        }
+
+        return allowed;
+    }
+
+    /**
+     * Determine every sync operation a single Notion item and its GitHub counterparts need
+     * @param {Object} item - Notion item object (from any database)
+     * @param {Object|null} correspondingIssue - Linked GitHub issue, if any
+     * @param {Array} correspondingPRs - GitHub pull requests for this item
+     * @param {Object} options - { dryRun } leaves link store bookkeeping untouched
+     * @returns {Array} Array of sync operations
+     */
+    determineItemChanges(item, correspondingIssue, correspondingPRs = [], options = {}) {
+        const operations = [];
+        const itemId = item.id;
+
+        const syncsPullRequests = this.notion.hasCapability(item.itemType, 'pullRequests');
+
+        // Databases without issue sync only keep their PR properties up to date
+        if (!this.notion.hasCapability(item.itemType, 'issues')) {
+            return syncsPullRequests ? this.determinePRSyncOperations(item, correspondingPRs) : operations;
+        }
+
+        const validation = this.mapper.validateBugForSync(item);
+        if (!validation.isValid) {
+            this.logger.warn(`Skipping invalid ${item.itemType || 'item'} ${itemId}:`, validation.errors);
+            return operations;
+        }
+
+        const link = this.links.get(item.notionId);
+
+        // The page was archived or deleted earlier and has come back: undo the orphan policy first,
+        // the next cycle syncs the item as usual
+        if (link?.orphaned) {
+            operations.push(this.mapper.createSyncOperation(
+                'restore_github_issue',
+                item,
+                correspondingIssue || null,
+                `${item.itemType || 'Item'} ${itemId} is back in Notion after being ${link.orphaned.event}`,
+                { issue: { before: `orphan policy ${link.orphaned.policy}`, after: 'restored' } }
+            ));
+            return operations;
+        }
+
+        if (!correspondingIssue && link?.issueNumber) {
+            // The store knows this item's issue but it wasn't fetched (label removed, fetch failed...)
+            // Creating another issue here would duplicate it, so leave the item alone
+            this.logger.warn(`${item.itemType || 'Item'} ${itemId} is linked to ${link.repository}#${link.issueNumber} but that issue was not found among synced issues, skipping`);
+        } else if (!correspondingIssue) {
+            // Item exists in Notion but not in GitHub
+            // Check if item already has an issue link (might be broken link)
+            if (item.issueLink) {
+                this.logger.warn(`${item.itemType || 'Item'} ${itemId} has issue link but no corresponding GitHub issue found. Link: ${item.issueLink}`);
+                // Still create operation - the existing link might be broken
+            }
+            
+            operations.push(this.mapper.createSyncOperation(
+                'create',
+                item,
+                null,
+                `${item.itemType || 'Item'} exists in Notion but not in GitHub`,
+                { title: { before: null, after: this.github.formatIssueTitle(item) } }
+            ));
+        } else if (this.isIssueInWrongRepository(item, correspondingIssue)) {
+            // Module changed in Notion: move the issue first, the next cycle syncs it in its new repository
+            const repository = this.config.getRepositoryForModule(item.module);
+            operations.push(this.mapper.createSyncOperation(
+                'move_github_issue',
+                item,
+                correspondingIssue,
+                `${item.itemType || 'Item'} ${itemId} module is "${item.module}" but its issue is in ${correspondingIssue.repository}`,
+                { repository: { before: correspondingIssue.repository, after: repository } }
+            ));
+            return operations;
+        } else {
+            // Item exists in both - CHECK FOR UPDATES
+            const updateOperations = this.determineUpdateOperations(item, correspondingIssue);
+            operations.push(...updateOperations);
+
+            // Content edits must run before the branch link update, which rewrites the same body
+            operations.push(...this.determineContentOperations(item, correspondingIssue));
+            operations.push(...this.determineAssigneeOperations(item, correspondingIssue));
+            operations.push(...this.determineLabelOperations(item, correspondingIssue));
+            operations.push(...this.determineParentOperations(item, correspondingIssue, options));
+            
+            // Also check if Notion item is missing the issue link
+            if (!item.issueLink || item.issueLink !== correspondingIssue.githubUrl) {
                 operations.push(this.mapper.createSyncOperation(
-                    'create',
+                    'update_notion_link',
                     item,
-                    null,
-                    `${item.itemType || 'Item'} exists in Notion but not in GitHub`
+                    correspondingIssue,
+                    `Notion ${item.itemType || 'item'} missing or has incorrect GitHub issue link`,
+                    { issueLink: { before: item.issueLink || null, after: correspondingIssue.githubUrl } }
                 ));
-            } else {
-                // Item exists in both - CHECK FOR UPDATES
-                const updateOperations = this.determineUpdateOperations(item, correspondingIssue);
-                operations.push(...updateOperations);
-                
-                // Also check if Notion item is missing the issue link
-                if (!item.issueLink || item.issueLink !== correspondingIssue.githubUrl) {
-                    operations.push(this.mapper.createSyncOperation(
-                        'update_notion_link',
-                        item,
-                        correspondingIssue,
-                        `Notion ${item.itemType || 'item'} missing or has incorrect GitHub issue link`
-                    ));
-                }
-
-                // Check if GitHub issue needs branch link update
-                if (item.branchUrl && !this.issueHasBranchLink(correspondingIssue, item.branchUrl)) {
-                    operations.push(this.mapper.createSyncOperation(
-                        'update_github_branch',
-                        item,
-                        correspondingIssue,
-                        'GitHub issue missing branch link from Notion'
-                    ));
-                }
             }
 
-            // Check for PR sync operations
-            const prSyncOperations = this.determinePRSyncOperations(item, correspondingPRs);
-            operations.push(...prSyncOperations);
-        }
-
-        // Check for orphaned issues (exist in GitHub but not in Notion)
-        for (const [itemId, issue] of issueMap) {
-            if (!bugMap.has(itemId)) {
+            // Check if GitHub issue needs branch link update
+            if (item.branchUrl && !this.issueHasBranchLink(correspondingIssue, item.branchUrl)) {
                 operations.push(this.mapper.createSyncOperation(
-                    'delete',
-                    null,
-                    issue,
-                    'Issue exists in GitHub but corresponding item was deleted from Notion'
+                    'update_github_branch',
+                    item,
+                    correspondingIssue,
+                    'GitHub issue missing branch link from Notion',
+                    { branchLink: { before: null, after: item.branchUrl } }
                 ));
             }
         }
 
-        this.logger.info(`Determined ${operations.length} sync operations`);
+        // Check for PR sync operations
+        if (syncsPullRequests) {
+            operations.push(...this.determinePRSyncOperations(item, correspondingPRs));
+        }
+
         return operations;
     }
 
     /**
-     * Determine PR sync operations for an item (bug or task)
-     * @param {Object} item - Notion item object (bug or task)
+     * Check whether an item's issue lives in a different repository than its module maps to
+     * @param {Object} item - Notion item object
+     * @param {Object} issue - GitHub issue object
+     * @returns {boolean} True if the issue should be moved
+     */
+    isIssueInWrongRepository(item, issue) {
+        let repository;
+        try {
+            repository = this.config.getRepositoryForModule(item.module);
+        } catch (error) {
+            this.logger.warn(`Not checking the repository of ${item.id}'s issue: ${error.message}`);
+            return false;
+        }
+
+        return repository.toLowerCase() !== issue.repository.toLowerCase();
+    }
+
+    /**
+     * Sync a single Notion item with GitHub without scanning the whole database
+     * Used by the GitHub webhook to react to events in real time
+     * @param {string} itemId - Bug/Task ID (e.g., "CBUG-2" or "TSK-1")
+     * @param {Object} context - Optional known GitHub data for the item
+     * @param {string} context.repository - Repository the event came from
+     * @param {Object} context.issue - Formatted GitHub issue already linked to the item
+     * @returns {Object} Sync results summary
+     */
+    async performTargetedSync(itemId, context = {}) {
+        return await this.runExclusive(`targeted sync of ${itemId}`, () => this.syncItem(itemId, context));
+    }
+
+    /**
+     * Sync a single Notion item (see performTargetedSync)
+     * @param {string} itemId - Bug/Task ID
+     * @param {Object} context - Optional known GitHub data for the item
+     * @returns {Object} Sync results summary
+     */
+    async syncItem(itemId, context = {}) {
+        this.logger.info(`Starting targeted synchronization for ${itemId}...`);
+
+        const item = await this.notion.fetchItemById(itemId);
+        if (!item) {
+            // Orphan handling is left to the full sync, which sees the whole database
+            this.logger.warn(`No Notion item found for ${itemId}, skipping targeted sync`);
+            return { created: 0, updated: 0, deleted: 0, failed: 0, operations: [] };
+        }
+
+        let repository = context.repository || null;
+        try {
+            repository = this.config.getRepositoryForModule(item.module);
+        } catch (error) {
+            if (!repository) {
+                throw error;
+            }
+            this.logger.debug(`No module mapping for ${itemId}, using event repository ${repository}`);
+        }
+
+        const issue = context.issue || await this.findIssueForItem(item, repository);
+
+        const prs = await this.github.findPullRequestsByBugId(itemId, repository);
+
+        await this.loadRelations([item], issue ? [issue] : []);
+        await this.loadPageContent([item]);
+
+        const operations = [
+            ...this.determineItemOperations(item, issue, prs),
+            ...await this.determineParentChecklistOperations(item, issue ? [issue] : [])
+        ];
+        this.logger.info(`Determined ${operations.length} targeted sync operations for ${itemId}`);
+
+        const results = await this.executeSyncOperations(operations);
+        results.comments = await this.syncComments(issue ? [{ item, issue }] : []);
+
+        this.logger.info(`Targeted synchronization for ${itemId} completed`);
+        return results;
+    }
+
+    /**
+     * Look up the GitHub issue for a single item without listing whole repositories
+     * Uses the link store first, then a title search that backfills the store
+     * @param {Object} item - Notion item object
+     * @param {string} repository - Repository to search if the store has no link
+     * @returns {Object|null} Formatted GitHub issue or null
+     */
+    async findIssueForItem(item, repository) {
+        const link = this.links.get(item.notionId);
+        if (link?.issueNumber) {
+            const linkedIssue = await this.github.getIssue(link.repository, link.issueNumber);
+            if (linkedIssue) {
+                return linkedIssue;
+            }
+        }
+
+        if (!this.notion.hasCapability(item.itemType, 'issues') || !repository) {
+            return null;
+        }
+
+        const candidates = await this.github.searchSyncedIssues(repository, item.id);
+        const issue = candidates.find(candidate => this.mapper.extractBugIdFromTitle(candidate.title) === item.id) || null;
+        if (issue) {
+            this.links.recordIssue(item.notionId, item.id, issue);
+        }
+        return issue;
+    }
+
+    /**
+     * Get the time from which a source counts as changed since the last cycle
+     * Notion rounds last_edited_time to the minute, so a small overlap window is re-read
+     * @param {string} source - Source name ("notion" or "github")
+     * @returns {string} ISO timestamp (the epoch before the first sync)
+     */
+    getChangedSince(source) {
+        const overlapMs = 2 * 60 * 1000;
+        const watermark = this.syncState ? this.syncState.getWatermark(source) : null;
+        return new Date(new Date(watermark).getTime() - overlapMs).toISOString();
+    }
+
+    /**
+     * Perform an incremental sync of only the items changed since the last cycle
+     * Notion is queried by last_edited_time and GitHub with "since"; orphan detection
+     * needs the complete picture and is left to the periodic full reconciliation
+     * @returns {Object} Sync results summary
+     */
+    async performIncrementalSync() {
+        const startedAt = new Date().toISOString();
+        const notionSince = this.getChangedSince('notion');
+        const githubSince = this.getChangedSince('github');
+        const repositories = this.config.getAllRepositories();
+
+        this.logger.info(`Starting incremental synchronization (Notion since ${notionSince}, GitHub since ${githubSince})...`);
+        this.clearTruncatedFetches();
+
+        const [changedItems, changedIssues, changedPRs, issuesToImport] = await Promise.all([
+            this.notion.fetchAllItems({ since: notionSince }),
+            this.github.fetchAllSyncedIssues(repositories, { since: githubSince }),
+            this.github.fetchAllPullRequests(repositories, { since: githubSince }),
+            this.fetchIssuesToImport()
+        ]);
+
+        this.logger.info(`Changed since last cycle: ${changedItems.length} Notion items, ${changedIssues.length} issues, ${changedPRs.length} pull requests`);
+
+        // Map changed GitHub data onto item IDs with the same rules as the full sync
+        const { bugMap, issueMap, prMap } = this.createMappings(changedItems, changedIssues, changedPRs);
+        const affectedIds = new Set([...bugMap.keys(), ...issueMap.keys(), ...prMap.keys()]);
+
+        const operations = [];
+        const commentPairs = [];
+        const processed = [];
+        for (const itemId of affectedIds) {
+            // Changed on the GitHub side only - fetch the unchanged Notion item by ID
+            const item = bugMap.get(itemId) || await this.notion.fetchItemById(itemId);
+            if (!item) {
+                this.logger.debug(`No Notion item for ${itemId}, leaving it to the full reconciliation`);
+                continue;
+            }
+
+            let repository = null;
+            try {
+                repository = this.config.getRepositoryForModule(item.module);
+            } catch (error) {
+                this.logger.debug(`No module mapping for ${itemId}: ${error.message}`);
+            }
+
+            const issue = issueMap.get(itemId) || await this.findIssueForItem(item, repository);
+            const prs = await this.findPullRequestsForItem(item, prMap.get(itemId) || []);
+
+            await this.loadRelations([item], issue ? [issue, ...changedIssues] : changedIssues);
+            if (bugMap.has(itemId)) {
+                await this.loadPageContent([item]);
+            }
+
+            operations.push(...this.determineItemOperations(item, issue, prs));
+            processed.push(item);
+            if (issue) {
+                commentPairs.push({ item, issue });
+            }
+        }
+
+        // A changed child shows in its parent's checklist, even when the parent itself didn't change
+        const parentsDone = new Set(processed.map(item => item.notionId));
+        for (const item of processed) {
+            if (item.parentNotionId && !parentsDone.has(item.parentNotionId)) {
+                parentsDone.add(item.parentNotionId);
+                operations.push(...await this.determineParentChecklistOperations(item, changedIssues));
+            }
+        }
+
+        operations.push(...this.determineImportOperations(issuesToImport));
+
+        this.logger.info(`Determined ${operations.length} incremental sync operations for ${affectedIds.size} items`);
+
+        const results = await this.executeSyncOperations(operations);
+        results.comments = await this.syncComments(commentPairs);
+
+        // Changes beyond the page limit were not read, so keep the old watermarks to retry them
+        const truncated = [...this.notion.getTruncatedFetches(), ...this.github.getTruncatedFetches()];
+        if (truncated.length > 0) {
+            this.logger.warn(`Not advancing sync watermarks because results were truncated (${truncated.join(', ')})`);
+        } else {
+            this.syncState.setWatermarks({ notion: startedAt, github: startedAt });
+        }
+
+        this.logger.info('Incremental synchronization completed');
+        return results;
+    }
+
+    /**
+     * Collect the pull requests for a single item: already-known PRs plus those on its linked branch
+     * @param {Object} item - Notion item object
+     * @param {Array} knownPRs - Pull requests already fetched for this item
+     * @returns {Array} Deduplicated pull requests
+     */
+    async findPullRequestsForItem(item, knownPRs = []) {
+        const prs = [...knownPRs];
+        const branchInfo = this.github.parseBranchUrl(item.branchUrl);
+
+        if (branchInfo) {
+            const branchPRs = await this.github.fetchPullRequests(branchInfo.repository, branchInfo.branchName);
+            branchPRs.forEach(pr => {
+                if (!prs.some(known => known.repository === pr.repository && known.githubId === pr.githubId)) {
+                    prs.push(pr);
+                }
+            });
+        }
+
+        return prs;
+    }
+
+    /**
+     * Determine PR sync operations for an item (from any database)
+     * @param {Object} item - Notion item object (from any database)
      * @param {Array} prs - Array of GitHub pull requests for this item
      * @returns {Array} Array of PR sync operations
      */
@@ -252,7 +966,8 @@ class SyncManager {
                     'update_notion_pr_link',
                     item,
                     mostRelevantPR,
-                    `PR link should be "${mostRelevantPR.githubUrl}" but is "${item.pullRequestLink}"`
+                    `PR link should be "${mostRelevantPR.githubUrl}" but is "${item.pullRequestLink}"`,
+                    { pullRequestLink: { before: item.pullRequestLink, after: mostRelevantPR.githubUrl } }
                 ));
             }
         } else {
@@ -266,7 +981,11 @@ class SyncManager {
                         'clear_notion_pr',
                         item,
                         null,
-                        `No pull request found for ${item.itemType || 'item'}, clearing PR status`
+                        `No pull request found for ${item.itemType || 'item'}, clearing PR status`,
+                        {
+                            pullRequestStatus: { before: item.pullRequestStatus, after: 'None' },
+                            pullRequestLink: { before: item.pullRequestLink, after: null }
+                        }
                     ));
                 }
             }
@@ -314,106 +1033,533 @@ class SyncManager {
     determineUpdateOperations(bug, issue) {
         const operations = [];
 
-        // Check if GitHub issue state needs to be updated based on Notion status
-        const expectedGitHubState = this.mapper.mapNotionStatusToGitHubState(bug.status);
-        const githubNeedsUpdate = issue.state !== expectedGitHubState;
-        
-        // Check if Notion status needs to be updated based on GitHub state
-        const expectedNotionStatus = this.mapper.mapGitHubStateToNotionStatus(issue.state, bug.status);
-        const notionNeedsUpdate = bug.status !== expectedNotionStatus;
+        // Without a mapping neither side can be derived from the other, so state is left alone
+        if (!this.mapper.isStatusMapped(bug.status)) {
+            this.logger.debug(`Not syncing the state of ${bug.id}: status "${bug.status}" is not in the status mapping`);
+            return operations;
+        }
+
+        // Check if GitHub issue state needs to be updated based on Notion status
+        const expected = this.mapper.mapNotionStatusToGitHub(bug.status);
+        const expectedGitHubState = expected.stateReason ? `${expected.state} (${expected.stateReason})` : expected.state;
+        const githubNeedsUpdate = this.mapper.needsGitHubStateUpdate(bug.status, issue);
+        const githubChanges = {
+            state: { before: issue.stateReason ? `${issue.state} (${issue.stateReason})` : issue.state, after: expectedGitHubState }
+        };
+        
+        // Check if Notion status needs to be updated based on GitHub state and close reason
+        const expectedNotionStatus = this.mapper.mapGitHubStateToNotionStatus(issue.state, bug.status, issue.stateReason);
+        const notionNeedsUpdate = bug.status !== expectedNotionStatus;
+        const notionChanges = { status: { before: bug.status, after: expectedNotionStatus } };
+
+        // Prevent conflicting updates in the same sync cycle
+        if (githubNeedsUpdate && notionNeedsUpdate) {
+            if (this.isNotionNewer(bug, issue, 'status')) {
+                // Notion was updated more recently, sync to GitHub
+                operations.push(this.mapper.createSyncOperation(
+                    'update_github_state',
+                    bug,
+                    issue,
+                    `Notion status "${bug.status}" updated more recently, requires GitHub state "${expectedGitHubState}"`,
+                    githubChanges
+                ));
+            } else {
+                // GitHub was updated more recently, sync to Notion
+                operations.push(this.mapper.createSyncOperation(
+                    'update_notion_status',
+                    bug,
+                    issue,
+                    `GitHub state "${issue.state}" updated more recently, requires Notion status "${expectedNotionStatus}"`,
+                    notionChanges
+                ));
+            }
+        } else if (githubNeedsUpdate) {
+            // Only GitHub needs update
+            operations.push(this.mapper.createSyncOperation(
+                'update_github_state',
+                bug,
+                issue,
+                `Notion status "${bug.status}" requires GitHub state "${expectedGitHubState}"`,
+                githubChanges
+            ));
+        } else if (notionNeedsUpdate) {
+            // Only Notion needs update
+            operations.push(this.mapper.createSyncOperation(
+                'update_notion_status',
+                bug,
+                issue,
+                `GitHub state "${issue.state}" requires Notion status "${expectedNotionStatus}"`,
+                notionChanges
+            ));
+        }
+
+        return operations;
+    }
+
+    /**
+     * Resolve a conflict where Notion and GitHub disagree and either side may have changed
+     * The side edited most recently wins; ties go to Notion
+     * @param {Object} bug - Notion bug object
+     * @param {Object} issue - GitHub issue object
+     * @param {string} field - Field in conflict, for logging
+     * @returns {boolean} True if Notion wins and GitHub should be updated
+     */
+    isNotionNewer(bug, issue, field) {
+        const notionUpdated = new Date(bug.lastModified || 0);
+        const githubUpdated = new Date(issue.updatedAt || 0);
+        const notionWins = notionUpdated >= githubUpdated;
+
+        this.logger.info(notionWins
+            ? `Notion ${bug.itemType || 'item'} ${bug.id} updated more recently (${notionUpdated.toISOString()}) than GitHub issue #${issue.githubId} (${githubUpdated.toISOString()}), syncing ${field} to GitHub`
+            : `GitHub issue #${issue.githubId} updated more recently (${githubUpdated.toISOString()}) than Notion ${bug.itemType || 'item'} ${bug.id} (${notionUpdated.toISOString()}), syncing ${field} to Notion`);
+
+        return notionWins;
+    }
+
+    /**
+     * Execute all sync operations
+     * Operations of different items run concurrently (see OperationExecutor); each result records
+     * how many request retries it took
+     * @param {Array} operations - Array of sync operations
+     * @returns {Object} Execution results
+     */
+    async executeSyncOperations(operations) {
+        const results = {
+            created: 0,
+            updated: 0,
+            deleted: 0,
+            failed: 0,
+            retries: 0,
+            operations: []
+        };
+
+        if (this.undo && operations.length > 0) {
+            results.runId = this.undo.journal.startRun();
+            this.logger.info(`Executing ${operations.length} sync operations as run ${results.runId}...`);
+        } else {
+            this.logger.info(`Executing ${operations.length} sync operations...`);
+        }
+
+        const outcomes = await this.executor.run(
+            operations,
+            (operation) => this.executeJournaledOperation(operation, results.runId),
+            (operation) => this.getOperationGroup(operation)
+        );
+
+        operations.forEach((operation, index) => {
+            const { result, error, retries, success } = outcomes[index];
+            results.retries += retries;
+
+            if (!success) {
+                this.logger.error(`Failed to execute operation ${operation.action}:`, error);
+                results.failed++;
+                results.operations.push({ ...operation, error: error.message, retries, success: false });
+                return;
+            }
+
+            results.operations.push({ ...operation, result, retries, success: true });
+
+            switch (operation.action) {
+                case 'create':
+                case 'import_github_issue':
+                    results.created++;
+                    break;
+                case 'update_github_state':
+                case 'update_github_content':
+                case 'update_github_labels':
+                case 'update_github_assignees':
+                case 'update_notion_assignees':
+                case 'update_github_parent':
+                case 'update_notion_parent':
+                case 'update_notion_status':
+                case 'update_notion_pr':
+                case 'update_notion_pr_link':
+                case 'clear_notion_pr':
+                case 'restore_github_issue':
+                case 'move_github_issue':
+                    results.updated++;
+                    break;
+                case 'delete':
+                    results.deleted++;
+                    break;
+            }
+        });
+
+        this.logger.info(`Sync operations completed: ${results.created} created, ${results.updated} updated, ${results.deleted} deleted, ${results.failed} failed, ${results.retries} request retries`);
+        return results;
+    }
+
+    /**
+     * Execute an operation and record it in the journal, if there is one
+     * @param {Object} operation - Sync operation
+     * @param {string|undefined} runId - Journal run ID
+     * @returns {*} Operation result
+     */
+    async executeJournaledOperation(operation, runId) {
+        if (!runId) {
+            return await this.executeOperation(operation);
+        }
+
+        const captured = this.undo.capture(operation);
+        let result;
+        try {
+            result = await this.executeOperation(operation);
+        } catch (error) {
+            this.journalOperation(runId, operation, captured, { success: false, error: error.message });
+            throw error;
+        }
+
+        this.journalOperation(runId, operation, captured, { success: true, result });
+        return result;
+    }
+
+    /**
+     * Record an executed operation in the journal
+     * A journal that can't be written doesn't turn the operation into a failure: its change
+     * was made either way, it just can't be undone
+     * @param {string} runId - Journal run ID
+     * @param {Object} operation - Sync operation
+     * @param {Object} captured - Result of UndoManager.capture()
+     * @param {Object} outcome - { success, error, result }
+     */
+    journalOperation(runId, operation, captured, outcome) {
+        try {
+            this.undo.record(runId, operation, captured, outcome);
+        } catch (error) {
+            this.logger.error(`Could not journal ${operation.action} in run ${runId}, it won't be undoable: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the key of the group an operation runs in: its Notion item, or else its GitHub issue
+     * @param {Object} operation - Sync operation
+     * @returns {string} Group key
+     */
+    getOperationGroup(operation) {
+        const { source, target } = operation;
+        if (source?.notionId) {
+            return source.notionId;
+        }
+
+        const issue = source || target;
+        return issue ? `${issue.repository}#${issue.githubId}` : operation.action;
+    }
+
+    /**
+     * Determine whether the issue title or generated body sections have drifted from Notion
+     * @param {Object} bug - Notion bug object
+     * @param {Object} issue - GitHub issue object
+     * @returns {Array} Array of sync operations
+     */
+    determineContentOperations(bug, issue) {
+        const changes = {};
+
+        const title = this.github.formatIssueTitle(bug);
+        if (issue.title !== title) {
+            changes.title = { before: issue.title, after: title };
+        }
+
+        const generated = this.github.applyGeneratedSections(issue.body, bug);
+        Object.assign(changes, generated.changes);
+
+        if (Object.keys(changes).length === 0) {
+            return [];
+        }
+
+        return [this.mapper.createSyncOperation(
+            'update_github_content',
+            bug,
+            issue,
+            `GitHub issue ${Object.keys(changes).join(', ')} out of date with Notion ${bug.id}`,
+            changes
+        )];
+    }
+
+    /**
+     * Determine whether the managed labels on an issue match the Notion Type and Status
+     * @param {Object} bug - Notion bug object
+     * @param {Object} issue - GitHub issue object
+     * @returns {Array} Array of sync operations
+     */
+    determineLabelOperations(bug, issue) {
+        const { add, remove } = this.mapper.diffGitHubLabels(bug, issue.labels || []);
+        if (add.length === 0 && remove.length === 0) {
+            return [];
+        }
+
+        const changes = [...add.map(label => `+${label}`), ...remove.map(label => `-${label}`)];
+
+        return [this.mapper.createSyncOperation(
+            'update_github_labels',
+            bug,
+            issue,
+            `GitHub issue #${issue.githubId} labels out of date with Notion ${bug.id} (${changes.join(', ')})`,
+            { labels: { before: (issue.labels || []).join(', '), after: changes.join(', ') } }
+        )];
+    }
+
+    /**
+     * Determine whether Notion's Assignee property and the GitHub assignees disagree
+     * Only people in USER_MAPPING are compared; unmapped assignees on either side are kept
+     * @param {Object} bug - Notion bug object
+     * @param {Object} issue - GitHub issue object
+     * @returns {Array} Array of sync operations
+     */
+    determineAssigneeOperations(bug, issue) {
+        const userMapping = this.config.getUserMapping();
+        if (Object.keys(userMapping).length === 0) {
+            return [];
+        }
+
+        const notionLogins = this.mapper.mapNotionPeopleToGitHubLogins(bug.assignees || [], userMapping);
+        const githubLogins = (issue.assignees || []).filter(login => this.mapper.isMappedGitHubLogin(login, userMapping));
+
+        const normalize = (logins) => logins.map(login => login.toLowerCase()).sort().join(',');
+        if (normalize(notionLogins) === normalize(githubLogins)) {
+            return [];
+        }
+
+        const changes = {
+            assignees: { before: githubLogins.join(', '), after: notionLogins.join(', ') }
+        };
+
+        if (this.isNotionNewer(bug, issue, 'assignees')) {
+            return [this.mapper.createSyncOperation(
+                'update_github_assignees',
+                bug,
+                issue,
+                `Notion assignees (${notionLogins.join(', ') || 'none'}) differ from GitHub issue #${issue.githubId}`,
+                changes
+            )];
+        }
+
+        return [this.mapper.createSyncOperation(
+            'update_notion_assignees',
+            bug,
+            issue,
+            `GitHub assignees (${githubLogins.join(', ') || 'none'}) differ from Notion ${bug.id}`,
+            { assignees: { before: notionLogins.join(', '), after: githubLogins.join(', ') } }
+        )];
+    }
+
+    /**
+     * Determine whether the parent of an item differs between Notion and GitHub sub-issues
+     * Compared against the last parent both sides agreed on, so the side that changed wins
+     * @param {Object} item - Notion item object
+     * @param {Object} issue - GitHub issue object
+     * @param {Object} options - { dryRun } leaves link store bookkeeping untouched
+     * @returns {Array} Array of sync operations
+     */
+    determineParentOperations(item, issue, options = {}) {
+        // parentIssue is only loaded in native mode
+        if (issue.parentIssue === undefined || !this.notion.schema.property(item.itemType, 'parent')) {
+            return [];
+        }
+
+        const notionParent = item.parentNotionId || null;
+        const githubParentLink = issue.parentIssue ? this.links.findByIssue(issue.parentIssue.repository, issue.parentIssue.githubId) : null;
+        const githubParent = issue.parentIssue ? githubParentLink?.notionId || 'unlinked' : null;
+        const agreed = this.links.get(item.notionId)?.parentNotionId;
+
+        if (notionParent === githubParent) {
+            if (agreed !== notionParent && !options.dryRun) {
+                this.links.upsert(item.notionId, item.id, { parentNotionId: notionParent });
+            }
+            return [];
+        }
+
+        const describeIssue = (parent) => (parent ? `${parent.repository}#${parent.githubId}` : null);
+        const describeItem = (notionId) => (notionId ? this.links.get(notionId)?.itemId || notionId : null);
+
+        // Nothing agreed yet: a parent on either side is kept, Notion's first
+        const notionChanged = agreed === undefined ? notionParent !== null : notionParent !== agreed;
+
+        if (notionChanged) {
+            const parentLink = notionParent ? this.links.get(notionParent) : null;
+            if (notionParent && !parentLink?.issueNumber) {
+                this.logger.debug(`Parent of ${item.id} has no GitHub issue yet, linking the sub-issue later`);
+                return [];
+            }
+
+            return [this.mapper.createSyncOperation(
+                'update_github_parent',
+                item,
+                issue,
+                `Notion parent of ${item.id} (${describeItem(notionParent) || 'none'}) differs from GitHub issue #${issue.githubId}`,
+                { parent: { before: describeIssue(issue.parentIssue), after: parentLink ? `${parentLink.repository}#${parentLink.issueNumber}` : null } }
+            )];
+        }
+
+        if (githubParent === 'unlinked') {
+            this.logger.debug(`GitHub parent ${describeIssue(issue.parentIssue)} of ${item.id} is not linked to a Notion item, not syncing it`);
+            return [];
+        }
+
+        return [this.mapper.createSyncOperation(
+            'update_notion_parent',
+            item,
+            issue,
+            `GitHub parent of issue #${issue.githubId} (${describeIssue(issue.parentIssue) || 'none'}) differs from Notion ${item.id}`,
+            { parent: { before: describeItem(notionParent), after: describeItem(githubParent) } }
+        )];
+    }
+
+    /**
+     * Determine the checklist update for the parent of an item that changed on its own
+     * @param {Object} item - Notion item object (the child)
+     * @param {Array} issues - GitHub issues already fetched
+     * @returns {Array} Array of sync operations
+     */
+    async determineParentChecklistOperations(item, issues) {
+        if (!item.parentNotionId) {
+            return [];
+        }
+
+        let parent;
+        try {
+            parent = await this.notion.getItemByPageId(item.parentNotionId);
+        } catch (error) {
+            this.logger.warn(`Not updating the sub-issue checklist of ${item.id}'s parent: ${error.message}`);
+            return [];
+        }
+
+        const link = this.links.get(parent.notionId);
+        if (!link?.issueNumber || !this.notion.hasCapability(parent.itemType, 'issues')) {
+            return [];
+        }
+
+        if (!this.rules.allows(this.rules.evaluate(parent), 'update_github_content')) {
+            return [];
+        }
+
+        const parentIssue = issues.find(issue => issue.repository === link.repository && issue.githubId === link.issueNumber) ||
+            await this.github.getIssue(link.repository, link.issueNumber);
+        if (!parentIssue) {
+            return [];
+        }
+
+        await this.loadRelations([parent], [parentIssue]);
+        return this.determineContentOperations(parent, parentIssue);
+    }
+
+    /**
+     * Check whether any configured database has a Parent relation
+     * @returns {boolean} True if parent/child relations are synced
+     */
+    hasParentRelations() {
+        return this.notion.databases.some(database => this.notion.schema.property(database.itemType, 'parent'));
+    }
+
+    /**
+     * Load the parent/child relations a sync pass compares: the sub-issue checklist of each
+     * item (item.subIssues) and, in native mode, the parent of each issue (issue.parentIssue)
+     * @param {Array} items - Notion items to load children for
+     * @param {Array} issues - GitHub issues in this pass
+     * @param {Array|null} allItems - Every Notion item, if fetched; otherwise children are queried per item
+     */
+    async loadRelations(items, issues, allItems = null) {
+        if (!this.hasParentRelations()) {
+            return;
+        }
+
+        const childrenByParent = new Map();
+        for (const child of allItems || []) {
+            if (child.parentNotionId) {
+                childrenByParent.set(child.parentNotionId, [...(childrenByParent.get(child.parentNotionId) || []), child]);
+            }
+        }
+
+        for (const item of items) {
+            if (!this.notion.hasCapability(item.itemType, 'issues')) {
+                continue;
+            }
 
-        // Prevent conflicting updates in the same sync cycle
-        if (githubNeedsUpdate && notionNeedsUpdate) {
-            // Use update timestamps to determine which changed more recently
-            const notionUpdated = new Date(bug.lastModified || 0);
-            const githubUpdated = new Date(issue.updated_at || 0);
-            
-            if (notionUpdated >= githubUpdated) {
-                // Notion was updated more recently, sync to GitHub
-                this.logger.info(`Notion bug ${bug.id} updated more recently (${notionUpdated.toISOString()}) than GitHub issue (${githubUpdated.toISOString()}), syncing to GitHub`);
-                operations.push(this.mapper.createSyncOperation(
-                    'update_github_state',
-                    bug,
-                    issue,
-                    `Notion status "${bug.status}" updated more recently, requires GitHub state "${expectedGitHubState}"`
-                ));
-            } else {
-                // GitHub was updated more recently, sync to Notion
-                this.logger.info(`GitHub issue #${issue.number} updated more recently (${githubUpdated.toISOString()}) than Notion bug (${notionUpdated.toISOString()}), syncing to Notion`);
-                operations.push(this.mapper.createSyncOperation(
-                    'update_notion_status',
-                    bug,
-                    issue,
-                    `GitHub state "${issue.state}" updated more recently, requires Notion status "${expectedNotionStatus}"`
-                ));
+            try {
+                const children = allItems ? childrenByParent.get(item.notionId) || [] : await this.notion.fetchChildItems(item.notionId);
+                item.subIssues = this.renderSubIssues(children, issues);
+            } catch (error) {
+                // Without subIssues the checklist section is left as it is
+                this.logger.warn(`Could not load the children of ${item.id}: ${error.message}`);
             }
-        } else if (githubNeedsUpdate) {
-            // Only GitHub needs update
-            operations.push(this.mapper.createSyncOperation(
-                'update_github_state',
-                bug,
-                issue,
-                `Notion status "${bug.status}" requires GitHub state "${expectedGitHubState}"`
-            ));
-        } else if (notionNeedsUpdate) {
-            // Only Notion needs update
-            operations.push(this.mapper.createSyncOperation(
-                'update_notion_status',
-                bug,
-                issue,
-                `GitHub state "${issue.state}" requires Notion status "${expectedNotionStatus}"`
-            ));
         }
 
-        return operations;
+        if (this.config.getSubIssueMode() === 'native') {
+            await this.loadIssueParents(issues);
+        }
     }
 
     /**
-     * Execute all sync operations
-     * @param {Array} operations - Array of sync operations
-     * @returns {Object} Execution results
+     * Render the sub-issue checklist of a parent issue
+     * Children with an issue are referenced by number so GitHub shows their title and state
+     * @param {Array} children - Child Notion items
+     * @param {Array} issues - GitHub issues in this pass
+     * @returns {string} Markdown task list (empty without children)
      */
-    async executeSyncOperations(operations) {
-        const results = {
-            created: 0,
-            updated: 0,
-            deleted: 0,
-            failed: 0,
-            operations: []
-        };
+    renderSubIssues(children, issues) {
+        return [...children]
+            .sort((a, b) => (a.id || '').localeCompare(b.id || '', undefined, { numeric: true }))
+            .map(child => {
+                const link = this.links.get(child.notionId);
+                const issue = link?.issueNumber
+                    ? issues.find(candidate => candidate.repository === link.repository && candidate.githubId === link.issueNumber)
+                    : null;
+
+                // A closed issue is done; otherwise go by the status the issue state would be mapped from
+                const done = issue ? issue.state === 'closed' : this.mapper.mapNotionStatusToGitHubState(child.status) === 'closed';
+                const label = link?.issueNumber ? `${link.repository}#${link.issueNumber}` : `[${child.id}: ${child.title}](${child.url})`;
+
+                return `- [${done ? 'x' : ' '}] ${label}`;
+            })
+            .join('\n');
+    }
 
-        this.logger.info(`Executing ${operations.length} sync operations...`);
+    /**
+     * Look up the native parent of issues that don't have it loaded yet
+     * On failure parentIssue stays unset and parents aren't compared this pass
+     * @param {Array} issues - GitHub issues
+     */
+    async loadIssueParents(issues) {
+        const byRepository = new Map();
+        for (const issue of issues) {
+            if (issue.parentIssue === undefined) {
+                byRepository.set(issue.repository, [...(byRepository.get(issue.repository) || []), issue]);
+            }
+        }
 
-        for (const operation of operations) {
+        for (const [repository, repositoryIssues] of byRepository) {
             try {
-                const result = await this.executeOperation(operation);
-                results.operations.push({ ...operation, result, success: true });
-
-                switch (operation.action) {
-                    case 'create':
-                        results.created++;
-                        break;
-                    case 'update_github_state':
-                    case 'update_notion_status':
-                    case 'update_notion_pr':
-                    case 'update_notion_pr_link':
-                    case 'clear_notion_pr':
-                        results.updated++;
-                        break;
-                    case 'delete':
-                        results.deleted++;
-                        break;
+                const parents = await this.github.fetchIssueParents(repository, repositoryIssues.map(issue => issue.githubId));
+                for (const issue of repositoryIssues) {
+                    issue.parentIssue = parents.get(issue.githubId) || null;
                 }
-
             } catch (error) {
-                this.logger.error(`Failed to execute operation ${operation.action}:`, error);
-                results.failed++;
-                results.operations.push({ ...operation, error: error.message, success: false });
+                this.logger.warn(`Not syncing sub-issue parents in ${repository}: ${error.message}`);
             }
         }
+    }
 
-        this.logger.info(`Sync operations completed: ${results.created} created, ${results.updated} updated, ${results.deleted} deleted, ${results.failed} failed`);
-        return results;
+    /**
+     * Load the page body of items as Markdown (item.pageContent)
+     * Reading blocks takes a request per page, so passes over every item only read pages edited
+     * since the last cycle; the Details section of the others is left as it is
+     * @param {Array} items - Notion items
+     * @param {string|null} since - Only load pages edited on or after this ISO timestamp
+     */
+    async loadPageContent(items, since = null) {
+        for (const item of items) {
+            if (item.pageContent !== undefined || !this.notion.hasCapability(item.itemType, 'issues')) {
+                continue;
+            }
+            if (since && item.lastModified && item.lastModified < since) {
+                continue;
+            }
+
+            try {
+                item.pageContent = await this.notion.fetchPageContent(item);
+            } catch (error) {
+                this.logger.warn(`Could not read the page content of ${item.id}: ${error.message}`);
+            }
+        }
     }
 
     /**
@@ -450,11 +1596,38 @@ class SyncManager {
             case 'update_notion_link':
                 return await this.updateNotionBugLink(operation.source, operation.target);
 
+            case 'update_github_content':
+                return await this.updateGitHubIssueContent(operation.source, operation.target);
+
             case 'update_github_branch':
                 return await this.updateGitHubIssueBranchLink(operation.source, operation.target);
 
+            case 'update_github_labels':
+                return await this.updateGitHubIssueLabels(operation.source, operation.target);
+
+            case 'update_github_assignees':
+                return await this.updateGitHubIssueAssignees(operation.source, operation.target);
+
+            case 'update_notion_assignees':
+                return await this.updateNotionBugAssignees(operation.source, operation.target);
+
+            case 'update_github_parent':
+                return await this.updateGitHubIssueParent(operation.source, operation.target);
+
+            case 'update_notion_parent':
+                return await this.updateNotionItemParent(operation.source, operation.target);
+
+            case 'import_github_issue':
+                return await this.importGitHubIssue(operation.source);
+
             case 'delete':
-                return await this.deleteGitHubIssue(operation.target);
+                return await this.handleOrphanedIssue(operation.target);
+
+            case 'restore_github_issue':
+                return await this.restoreOrphanedIssue(operation.source);
+
+            case 'move_github_issue':
+                return await this.moveGitHubIssue(operation.source, operation.target);
 
             case 'update_notion_pr':
                 return await this.updateNotionPRProperties(operation.source, operation.target);
@@ -480,12 +1653,19 @@ class SyncManager {
         
         this.logger.info(`Creating GitHub issue for bug ${bug.id} in ${repository}`);
         
-        // Create the GitHub issue with branch URL if available
-        const issue = await this.github.createIssue(repository, bug, bug.branchUrl);
+        // Create the GitHub issue with branch URL, mapped assignees and managed labels
+        const assignees = this.mapper.mapNotionPeopleToGitHubLogins(bug.assignees || [], this.config.getUserMapping());
+        const labels = this.mapper.generateGitHubLabels(bug);
+        await this.ensureLabelColors(repository, labels);
+        await this.loadPageContent([bug]);
+        const issue = await this.github.createIssue(repository, bug, bug.branchUrl, assignees, labels);
+
+        // Remember the link right away so the next cycle can't create a duplicate
+        this.links.recordIssue(bug.notionId, bug.id, issue);
         
         // Update the Notion bug with the GitHub issue link
         try {
-            await this.notion.updateBugIssueLink(bug.notionId, issue.githubUrl);
+            await this.notion.updateItemProperties(bug.notionId, { issueUrl: issue.githubUrl }, bug.itemType);
             this.logger.info(`Updated Notion bug ${bug.id} with GitHub issue link: ${issue.githubUrl}`);
         } catch (error) {
             this.logger.warn(`Failed to update Notion bug ${bug.id} with issue link:`, error.message);
@@ -497,6 +1677,67 @@ class SyncManager {
         return issue;
     }
 
+    /**
+     * Move an item's issue to the repository its module now maps to
+     * Issues are transferred within the same owner; across owners, where GitHub can't transfer,
+     * the old issue is closed with a cross-link and a new one is created
+     * Branches and PRs stay where they are, so their links are kept and pinned to the old repository
+     * @param {Object} item - Notion item object
+     * @param {Object} issue - GitHub issue object in the old repository
+     * @returns {Object} Issue in the new repository
+     */
+    async moveGitHubIssue(item, issue) {
+        const repository = this.config.getRepositoryForModule(item.module);
+        const oldRepository = issue.repository;
+
+        this.logger.info(`Moving issue #${issue.githubId} of ${item.id} from ${oldRepository} to ${repository}`);
+
+        const labels = this.mapper.generateGitHubLabels(item);
+        await this.ensureLabelColors(repository, labels);
+
+        let moved;
+        if (oldRepository.split('/')[0].toLowerCase() === repository.split('/')[0].toLowerCase()) {
+            // A transfer drops labels the target repository lacks; without notion-sync the issue
+            // would no longer be found as a synced issue
+            for (const label of labels.filter(name => !this.mapper.getLabelColor(name))) {
+                await this.github.ensureLabel(repository, label);
+            }
+
+            moved = await this.github.transferIssue(oldRepository, issue.githubId, repository);
+            await this.github.addLabels(repository, moved.githubId, labels);
+            await this.github.addSyncNote(repository, moved.githubId,
+                `Transferred from ${oldRepository} because the Notion module of ${item.id} changed to "${item.module}".`);
+        } else {
+            const assignees = this.mapper.mapNotionPeopleToGitHubLogins(item.assignees || [], this.config.getUserMapping());
+            moved = await this.github.createIssue(repository, item, item.branchUrl, assignees, labels);
+
+            await this.github.addSyncNote(repository, moved.githubId,
+                `Moved from ${issue.githubUrl} because the Notion module of ${item.id} changed to "${item.module}".`);
+            await this.github.addSyncNote(oldRepository, issue.githubId,
+                `Moved to ${moved.githubUrl} because the Notion module of ${item.id} changed to "${item.module}".`);
+            await this.github.updateIssueState(oldRepository, issue.githubId, 'closed', 'not_planned');
+
+            // The old issue is no longer managed, so it is never matched to the item again
+            await this.github.removeLabel(oldRepository, issue.githubId, 'notion-sync');
+        }
+
+        // A branch without branchRepository lives in the issue's repository, which is about to change
+        const link = this.links.get(item.notionId);
+        this.links.upsert(item.notionId, item.id, {
+            repository: moved.repository,
+            issueNumber: moved.githubId,
+            issueUrl: moved.githubUrl,
+            ...(link?.branchName && !link.branchRepository ? { branchRepository: oldRepository } : {}),
+            // Whether the sub-issue link survived the move is checked again from scratch
+            parentNotionId: undefined
+        });
+
+        await this.notion.updateItemProperties(item.notionId, { issueUrl: moved.githubUrl }, item.itemType);
+
+        this.logger.info(`Issue of ${item.id} is now ${moved.repository}#${moved.githubId}`);
+        return moved;
+    }
+
     /**
      * Update GitHub issue state based on Notion status
      * @param {Object} bug - Notion bug object
@@ -504,14 +1745,21 @@ class SyncManager {
      * @returns {Object} Updated issue
      */
     async updateGitHubIssueState(bug, issue) {
-        const newState = this.mapper.mapNotionStatusToGitHubState(bug.status);
+        const expected = this.mapper.mapNotionStatusToGitHub(bug.status);
+        if (!expected) {
+            return { type: 'skipped', reason: `Status "${bug.status}" is not in the status mapping` };
+        }
+
+        const { state: newState, stateReason } = expected;
         
-        this.logger.info(`Updating GitHub issue #${issue.githubId} state to: ${newState}`);
+        this.logger.info(`Updating GitHub issue #${issue.githubId} state to: ${newState}${stateReason ? ` (${stateReason})` : ''}`);
         
-        const updatedIssue = await this.github.updateIssueState(issue.repository, issue.githubId, newState);
+        const updatedIssue = await this.github.updateIssueState(issue.repository, issue.githubId, newState, stateReason);
+        issue.state = updatedIssue.state;
+        issue.stateReason = updatedIssue.stateReason;
         
         // Add comment explaining the state change
-        await this.github.addComment(
+        await this.github.addSyncNote(
             issue.repository,
             issue.githubId,
             `Issue state updated to "${newState}" based on Notion bug status: "${bug.status}"`
@@ -522,42 +1770,28 @@ class SyncManager {
 
     /**
      * Update Notion item status based on GitHub issue state
-     * @param {Object} item - Notion item object (bug or task)
+     * @param {Object} item - Notion item object (from any database)
      * @param {Object} issue - GitHub issue object
      * @returns {Object} Updated item
      */
     async updateNotionBugStatus(item, issue) {
-        const newStatus = this.mapper.mapGitHubStateToNotionStatus(issue.state, item.status);
+        const newStatus = this.mapper.mapGitHubStateToNotionStatus(issue.state, item.status, issue.stateReason);
         
         this.logger.info(`Updating Notion ${item.itemType || 'item'} ${item.id} status to: ${newStatus}`);
         
-        let updatedItem;
-        if (item.itemType === 'task') {
-            updatedItem = await this.notion.updateTaskStatus(item.notionId, newStatus);
-        } else {
-            updatedItem = await this.notion.updateBugStatus(item.notionId, newStatus);
-        }
-        
-        return updatedItem;
+        return await this.notion.updateItemProperties(item.notionId, { status: newStatus }, item.itemType);
     }
 
     /**
      * Update Notion item issue link
-     * @param {Object} item - Notion item object (bug or task)
+     * @param {Object} item - Notion item object (from any database)
      * @param {Object} issue - GitHub issue object
      * @returns {Object} Updated item
      */
     async updateNotionBugLink(item, issue) {
         this.logger.info(`Updating Notion ${item.itemType || 'item'} ${item.id} issue link to: ${issue.githubUrl}`);
         
-        let updatedItem;
-        if (item.itemType === 'task') {
-            updatedItem = await this.notion.updateTaskIssueLink(item.notionId, issue.githubUrl);
-        } else {
-            updatedItem = await this.notion.updateBugIssueLink(item.notionId, issue.githubUrl);
-        }
-        
-        return updatedItem;
+        return await this.notion.updateItemProperties(item.notionId, { issueUrl: issue.githubUrl }, item.itemType);
     }
 
     /**
@@ -609,7 +1843,8 @@ class SyncManager {
                 }
             }
 
-            await this.github.updateIssueBody(issue.repository, issue.githubId, newBody);
+            const updated = await this.github.updateIssueBody(issue.repository, issue.githubId, newBody);
+            issue.body = updated.body;
 
             this.logger.info(`Successfully updated GitHub issue #${issue.githubId} Development section with branch link`);
             
@@ -627,48 +1862,394 @@ class SyncManager {
     }
 
     /**
-     * Delete/close GitHub issue when bug is deleted from Notion
+     * Rewrite the GitHub issue title and generated body sections from Notion
+     * @param {Object} bug - Notion bug object
      * @param {Object} issue - GitHub issue object
      * @returns {Object} Operation result
      */
-    async deleteGitHubIssue(issue) {
-        this.logger.info(`Deleting orphaned GitHub issue #${issue.githubId} from ${issue.repository}`);
-        
+    async updateGitHubIssueContent(bug, issue) {
+        const fields = {};
+
+        const title = this.github.formatIssueTitle(bug);
+        if (issue.title !== title) {
+            fields.title = title;
+        }
+
+        const generated = this.github.applyGeneratedSections(issue.body, bug);
+        if (Object.keys(generated.changes).length > 0) {
+            fields.body = generated.body;
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return { type: 'skipped', reason: 'Issue content already up to date' };
+        }
+
+        const updated = await this.github.updateIssueContent(issue.repository, issue.githubId, fields);
+
+        // Later operations on the same issue (e.g. the branch link) build on the new body
+        issue.title = updated.title;
+        issue.body = updated.body;
+
+        return {
+            type: 'updated',
+            issueNumber: issue.githubId,
+            fields: Object.keys(fields)
+        };
+    }
+
+    /**
+     * Create a Notion bug from a GitHub issue and mark the issue so later syncs link them
+     * The link is recorded before the issue is touched, so a failure in between is
+     * finished on the next cycle instead of creating a second page
+     * @param {Object} issue - GitHub issue object
+     * @returns {Object} Operation result
+     */
+    async importGitHubIssue(issue) {
+        let link = this.links.findByIssue(issue.repository, issue.githubId);
+
+        if (!link) {
+            const module = this.config.getModuleForRepository(issue.repository);
+            const reporter = issue.author ? `Reported by @${issue.author} in ${issue.githubUrl}` : `Imported from ${issue.githubUrl}`;
+
+            const database = this.notion.getDatabasesWithCapability('issues')[0];
+            const bug = await this.notion.createItem(database.itemType, {
+                title: issue.title,
+                description: issue.body ? `${issue.body}\n\n${reporter}` : reporter,
+                type: this.config.getImportBugType(),
+                module,
+                issueUrl: issue.githubUrl
+            });
+
+            link = this.links.recordIssue(bug.notionId, bug.id, issue);
+            this.logger.info(`Imported ${issue.repository}#${issue.githubId} as ${bug.id}`);
+        }
+
+        // A previous attempt may already have retitled the issue
+        const title = issue.title.startsWith(`${link.itemId}: `)
+            ? issue.title
+            : this.github.formatIssueTitle({ id: link.itemId, title: issue.title });
+        await this.github.markIssueImported(issue.repository, issue.githubId, title);
+
+        return {
+            type: 'imported',
+            itemId: link.itemId,
+            issueNumber: issue.githubId
+        };
+    }
+
+    /**
+     * Add and remove managed labels so the issue matches the Notion Type and Status
+     * @param {Object} bug - Notion bug object
+     * @param {Object} issue - GitHub issue object
+     * @returns {Object} Operation result
+     */
+    async updateGitHubIssueLabels(bug, issue) {
+        const { add, remove } = this.mapper.diffGitHubLabels(bug, issue.labels || []);
+
+        for (const label of remove) {
+            await this.github.removeLabel(issue.repository, issue.githubId, label);
+        }
+
+        if (add.length > 0) {
+            await this.ensureLabelColors(issue.repository, add);
+            await this.github.addLabels(issue.repository, issue.githubId, add);
+        }
+
+        issue.labels = [...issue.labels.filter(label => !remove.includes(label)), ...add];
+
+        return {
+            type: 'updated',
+            issueNumber: issue.githubId,
+            added: add,
+            removed: remove
+        };
+    }
+
+    /**
+     * Create or recolor labels that have a configured color, once per repository per cycle
+     * A failure is logged and doesn't block labelling; GitHub creates missing labels in gray
+     * @param {string} repository - Repository in format "owner/repo"
+     * @param {Array} labels - Label names about to be applied
+     */
+    async ensureLabelColors(repository, labels) {
+        for (const label of labels) {
+            const color = this.mapper.getLabelColor(label);
+            const key = `${repository}:${label}`;
+            if (!color) {
+                continue;
+            }
+
+            // Operations run concurrently, so later ones wait for the check already in flight
+            if (!this.ensuredLabels.has(key)) {
+                this.ensuredLabels.set(key, this.github.ensureLabel(repository, label, color).catch(error => {
+                    this.logger.warn(`Could not set color of label "${label}" in ${repository}: ${error.message}`);
+                }));
+            }
+            await this.ensuredLabels.get(key);
+        }
+    }
+
+    /**
+     * Set the GitHub issue assignees from Notion, keeping assignees not in USER_MAPPING
+     * @param {Object} bug - Notion bug object
+     * @param {Object} issue - GitHub issue object
+     * @returns {Object} Operation result
+     */
+    async updateGitHubIssueAssignees(bug, issue) {
+        const userMapping = this.config.getUserMapping();
+        const unmapped = (issue.assignees || []).filter(login => !this.mapper.isMappedGitHubLogin(login, userMapping));
+        const assignees = [...this.mapper.mapNotionPeopleToGitHubLogins(bug.assignees || [], userMapping), ...unmapped];
+
+        const updated = await this.github.setIssueAssignees(issue.repository, issue.githubId, assignees);
+        issue.assignees = updated.assignees;
+
+        return {
+            type: 'updated',
+            issueNumber: issue.githubId,
+            assignees: updated.assignees
+        };
+    }
+
+    /**
+     * Set the Notion Assignee property from GitHub, keeping people not in USER_MAPPING
+     * @param {Object} bug - Notion bug object
+     * @param {Object} issue - GitHub issue object
+     * @returns {Object} Updated page object
+     */
+    async updateNotionBugAssignees(bug, issue) {
+        const userMapping = this.config.getUserMapping();
+        const people = bug.assignees || [];
+        const assigneeIds = people
+            .filter(person => this.mapper.mapNotionPeopleToGitHubLogins([person], userMapping).length === 0)
+            .map(person => person.id);
+
+        for (const login of issue.assignees || []) {
+            if (!this.mapper.isMappedGitHubLogin(login, userMapping)) {
+                continue;
+            }
+
+            const userId = await this.resolveNotionUserId(login, userMapping, people);
+            if (userId && !assigneeIds.includes(userId)) {
+                assigneeIds.push(userId);
+            } else if (!userId) {
+                this.logger.warn(`No Notion user found for GitHub login ${login}, not assigning it on ${bug.id}`);
+            }
+        }
+
+        return await this.notion.updateItemProperties(bug.notionId, { assigneeIds }, bug.itemType);
+    }
+
+    /**
+     * Make the GitHub issue a sub-issue of the Notion parent's issue, or detach it when the parent was cleared
+     * @param {Object} item - Notion item object
+     * @param {Object} issue - GitHub issue object
+     * @returns {Object} Operation result
+     */
+    async updateGitHubIssueParent(item, issue) {
+        const parentLink = item.parentNotionId ? this.links.get(item.parentNotionId) : null;
+        if (item.parentNotionId && !parentLink?.issueNumber) {
+            return { type: 'skipped', reason: 'Parent has no GitHub issue yet' };
+        }
+
+        if (parentLink) {
+            await this.github.addSubIssue(parentLink.repository, parentLink.issueNumber, issue.repository, issue.githubId);
+            issue.parentIssue = { repository: parentLink.repository, githubId: parentLink.issueNumber };
+        } else if (issue.parentIssue) {
+            await this.github.removeSubIssue(issue.parentIssue.repository, issue.parentIssue.githubId, issue.repository, issue.githubId);
+            issue.parentIssue = null;
+        }
+
+        this.links.upsert(item.notionId, item.id, { parentNotionId: item.parentNotionId || null });
+
+        return {
+            type: 'updated',
+            issueNumber: issue.githubId,
+            parent: parentLink ? `${parentLink.repository}#${parentLink.issueNumber}` : null
+        };
+    }
+
+    /**
+     * Set the Notion Parent relation from the issue's parent in GitHub
+     * @param {Object} item - Notion item object
+     * @param {Object} issue - GitHub issue object
+     * @returns {Object} Operation result
+     */
+    async updateNotionItemParent(item, issue) {
+        const parentLink = issue.parentIssue ? this.links.findByIssue(issue.parentIssue.repository, issue.parentIssue.githubId) : null;
+        if (issue.parentIssue && !parentLink) {
+            return { type: 'skipped', reason: 'GitHub parent is not linked to a Notion item' };
+        }
+
+        const parentNotionId = parentLink?.notionId || null;
+        await this.notion.updateItemProperties(item.notionId, { parentNotionId }, item.itemType);
+        item.parentNotionId = parentNotionId;
+
+        this.links.upsert(item.notionId, item.id, { parentNotionId });
+
+        return {
+            type: 'updated',
+            bugId: item.id,
+            parentNotionId
+        };
+    }
+
+    /**
+     * Find the Notion user ID for a GitHub login through USER_MAPPING
+     * @param {string} login - GitHub login
+     * @param {Object} userMapping - Notion user ID or email to GitHub login
+     * @param {Array} knownPeople - Notion people already on the page ({ id, email })
+     * @returns {string|null} Notion user ID or null if it can't be resolved
+     */
+    async resolveNotionUserId(login, userMapping, knownPeople = []) {
+        const keys = Object.keys(userMapping).filter(key => userMapping[key].toLowerCase() === login.toLowerCase());
+
+        for (const key of keys) {
+            if (!key.includes('@')) {
+                return key;
+            }
+
+            const known = knownPeople.find(person => person.email && person.email.toLowerCase() === key.toLowerCase());
+            const userId = known ? known.id : await this.notion.findUserIdByEmail(key);
+            if (userId) {
+                return userId;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Apply the repository's orphan policy to a GitHub issue whose Notion item is gone
+     * Archived pages are told apart from deleted ones and recorded in the link store, so restoring the page
+     * brings the issue back (see restoreOrphanedIssue)
+     * @param {Object} issue - GitHub issue object
+     * @returns {Object} Operation result
+     */
+    async handleOrphanedIssue(issue) {
+        const link = this.links.findByIssue(issue.repository, issue.githubId);
+        const itemId = link?.itemId || issue.bugId;
+        const { policy, targetRepository } = this.config.getOrphanPolicy(issue.repository);
+
         try {
-            // Add comment explaining why the issue is being deleted
-            await this.github.addComment(
+            const event = link ? await this.notion.getPageState(link.notionId) : 'deleted';
+
+            if (event === 'active') {
+                this.logger.warn(`Not handling issue #${issue.githubId} in ${issue.repository}: Notion page of ${itemId} still exists outside the synced databases`);
+                return { type: 'orphan_skipped', repository: issue.repository, issueNumber: issue.githubId, success: true };
+            }
+
+            this.logger.info(`Applying orphan policy "${policy}" to issue #${issue.githubId} in ${issue.repository} (${itemId} was ${event} in Notion)`);
+
+            const outcomes = {
+                'close-lock': 'The issue will be closed and locked to prevent further interaction.',
+                'close': 'The issue will be closed.',
+                'label-only': `The issue stays open and is labelled \`${ORPHANED_LABEL}\`.`,
+                'transfer': `The issue will be transferred to ${targetRepository}.`
+            };
+
+            await this.github.addSyncNote(
                 issue.repository,
                 issue.githubId,
-                'This issue is being deleted because the corresponding bug was removed from Notion. The issue will be closed and locked to prevent further interaction.'
+                this.config.getOrphanCommentTemplate()
+                    .replace(/\{id\}/g, itemId)
+                    .replace(/\{event\}/g, event)
+                    .replace(/\{outcome\}/g, outcomes[policy])
+                    .trim()
             );
-            
-            // Delete (close and lock) the issue
-            await this.github.deleteIssue(issue.repository, issue.githubId);
-            
-            this.logger.info(`Successfully deleted GitHub issue #${issue.githubId}`);
-            
+
+            let moved = null;
+            switch (policy) {
+                case 'close-lock':
+                    await this.github.addLabels(issue.repository, issue.githubId, [ORPHANED_LABEL]);
+                    await this.github.deleteIssue(issue.repository, issue.githubId);
+                    break;
+                case 'close':
+                    await this.github.addLabels(issue.repository, issue.githubId, [ORPHANED_LABEL]);
+                    await this.github.updateIssueState(issue.repository, issue.githubId, 'closed', 'not_planned');
+                    break;
+                case 'label-only':
+                    await this.github.addLabels(issue.repository, issue.githubId, [ORPHANED_LABEL]);
+                    break;
+                case 'transfer':
+                    moved = await this.github.transferIssue(issue.repository, issue.githubId, targetRepository);
+                    break;
+            }
+
+            // Remember what was done, so the issue is not handled twice and can be restored
+            if (link) {
+                this.links.upsert(link.notionId, link.itemId, {
+                    ...(moved ? { repository: moved.repository, issueNumber: moved.githubId, issueUrl: moved.githubUrl } : {}),
+                    orphaned: {
+                        event,
+                        policy,
+                        repository: issue.repository,
+                        wasOpen: issue.state === 'open',
+                        at: new Date().toISOString()
+                    }
+                });
+            }
+
+            this.logger.info(`Orphan policy "${policy}" applied to issue #${issue.githubId} in ${issue.repository}`);
+
             return {
                 type: 'deleted',
+                policy,
+                event,
                 repository: issue.repository,
                 issueNumber: issue.githubId,
                 success: true
             };
         } catch (error) {
-            this.logger.error(`Failed to delete GitHub issue #${issue.githubId}:`, error);
-            
-            return {
-                type: 'deleted',
-                repository: issue.repository,
-                issueNumber: issue.githubId,
-                success: false,
-                error: error.message
-            };
+            this.logger.error(`Failed to apply orphan policy "${policy}" to issue #${issue.githubId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Undo the orphan policy for an item whose Notion page came back (e.g., restored from the trash)
+     * Transferred issues move back, and issues that were open before are reopened and unlocked
+     * @param {Object} item - Notion item object
+     * @returns {Object} Operation result
+     */
+    async restoreOrphanedIssue(item) {
+        const link = this.links.get(item.notionId);
+        const { orphaned } = link;
+        let repository = link.repository;
+        let issueNumber = link.issueNumber;
+
+        this.logger.info(`${item.id} is back in Notion, restoring ${repository}#${issueNumber} (was ${orphaned.event}, policy "${orphaned.policy}")`);
+
+        if (orphaned.policy === 'transfer') {
+            const moved = await this.github.transferIssue(repository, issueNumber, orphaned.repository);
+            repository = moved.repository;
+            issueNumber = moved.githubId;
+            this.links.upsert(link.notionId, link.itemId, { repository, issueNumber, issueUrl: moved.githubUrl, parentNotionId: undefined });
         }
+
+        if (orphaned.policy === 'close-lock') {
+            await this.github.unlockIssue(repository, issueNumber);
+        }
+
+        if (['close-lock', 'close'].includes(orphaned.policy) && orphaned.wasOpen) {
+            await this.github.updateIssueState(repository, issueNumber, 'open', 'reopened');
+        }
+
+        await this.github.removeLabel(repository, issueNumber, ORPHANED_LABEL);
+        await this.github.addSyncNote(repository, issueNumber, `The Notion item ${item.id} linked to this issue was restored.`);
+
+        this.links.upsert(link.notionId, link.itemId, { orphaned: null });
+
+        return {
+            type: 'restored',
+            repository,
+            issueNumber,
+            success: true
+        };
     }
 
     /**
      * Update Notion item PR properties based on GitHub PR data
-     * @param {Object} item - Notion item object (bug or task)
+     * @param {Object} item - Notion item object (from any database)
      * @param {Object} pr - GitHub pull request object
      * @returns {Object} Updated item
      */
@@ -678,18 +2259,10 @@ class SyncManager {
             
             this.logger.info(`Updating Notion ${item.itemType || 'item'} ${item.id} PR properties - Status: ${prStatus}, Link: ${pr.githubUrl}`);
             
-            let updatedItem;
-            if (item.itemType === 'task') {
-                updatedItem = await this.notion.updateTaskProperties(item.notionId, {
-                    pullRequestStatus: prStatus,
-                    pullRequestLink: pr.githubUrl
-                }, 'task');
-            } else {
-                updatedItem = await this.notion.updateBugProperties(item.notionId, {
-                    pullRequestStatus: prStatus,
-                    pullRequestLink: pr.githubUrl
-                });
-            }
+            const updatedItem = await this.notion.updateItemProperties(item.notionId, {
+                pullRequestStatus: prStatus,
+                pullRequestLink: pr.githubUrl
+            }, item.itemType);
             
             this.logger.info(`Successfully updated PR properties for ${item.itemType || 'item'} ${item.id}`);
             return updatedItem;
@@ -701,7 +2274,7 @@ class SyncManager {
 
     /**
      * Update Notion item PR link only
-     * @param {Object} item - Notion item object (bug or task)
+     * @param {Object} item - Notion item object (from any database)
      * @param {Object} pr - GitHub pull request object
      * @returns {Object} Updated item
      */
@@ -709,14 +2282,9 @@ class SyncManager {
         try {
             this.logger.info(`Updating Notion ${item.itemType || 'item'} ${item.id} PR link to: ${pr.githubUrl}`);
             
-            let updatedItem;
-            if (item.itemType === 'task') {
-                updatedItem = await this.notion.updateTaskProperties(item.notionId, {
-                    pullRequestLink: pr.githubUrl
-                }, 'task');
-            } else {
-                updatedItem = await this.notion.updateBugPullRequestLink(item.notionId, pr.githubUrl);
-            }
+            const updatedItem = await this.notion.updateItemProperties(item.notionId, {
+                pullRequestLink: pr.githubUrl
+            }, item.itemType);
             
             this.logger.info(`Successfully updated PR link for ${item.itemType || 'item'} ${item.id}`);
             return updatedItem;
@@ -728,25 +2296,17 @@ class SyncManager {
 
     /**
      * Clear Notion item PR properties (set status to None, clear link)
-     * @param {Object} item - Notion item object (bug or task)
+     * @param {Object} item - Notion item object (from any database)
      * @returns {Object} Updated item
      */
     async clearNotionPRProperties(item) {
         try {
             this.logger.info(`Clearing PR properties for Notion ${item.itemType || 'item'} ${item.id}`);
             
-            let updatedItem;
-            if (item.itemType === 'task') {
-                updatedItem = await this.notion.updateTaskProperties(item.notionId, {
-                    pullRequestStatus: 'None',
-                    pullRequestLink: null
-                }, 'task');
-            } else {
-                updatedItem = await this.notion.updateBugProperties(item.notionId, {
-                    pullRequestStatus: 'None',
-                    pullRequestLink: null
-                });
-            }
+            const updatedItem = await this.notion.updateItemProperties(item.notionId, {
+                pullRequestStatus: 'None',
+                pullRequestLink: null
+            }, item.itemType);
             
             this.logger.info(`Successfully cleared PR properties for ${item.itemType || 'item'} ${item.id}`);
             return updatedItem;
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PLAN_VERSION = 1;
+
+/**
+ * SyncPlan is a reviewable list of sync operations saved as JSON, together with a hash of the
+ * Notion and GitHub state they were determined from
+ *
+ * A plan is only applied while that state is unchanged, so exactly the reviewed operations run.
+ * Each operation keeps the item and issue snapshots it was planned with, since executing it needs them.
+ */
+class SyncPlan {
+    /**
+     * @param {Object} data - { version, createdAt, stateHash, operations }
+     */
+    constructor(data) {
+        this.version = data.version;
+        this.createdAt = data.createdAt;
+        this.stateHash = data.stateHash;
+        this.operations = data.operations;
+    }
+
+    /**
+     * Create a plan from determined operations
+     * @param {Array} operations - Sync operations
+     * @param {Object} state - Observed state (see hashState)
+     * @returns {SyncPlan} New plan
+     */
+    static create(operations, state) {
+        return new SyncPlan({
+            version: PLAN_VERSION,
+            createdAt: new Date().toISOString(),
+            stateHash: SyncPlan.hashState(state),
+            operations: operations.map(operation => ({
+                action: operation.action,
+                reason: operation.reason,
+                sourceId: SyncPlan.describeRecord(operation.source),
+                targetId: SyncPlan.describeRecord(operation.target),
+                changes: operation.changes || {},
+                source: operation.source,
+                target: operation.target,
+                timestamp: operation.timestamp
+            }))
+        });
+    }
+
+    /**
+     * Hash the observed Notion and GitHub state
+     * Pull requests are reduced to the fields the sync reads, since GitHub recomputes
+     * mergeability in the background without the pull request changing
+     * @param {Object} state - { items, issues, pullRequests, issuesToImport }
+     * @returns {string} SHA-256 hex digest
+     */
+    static hashState(state) {
+        const records = [
+            ...state.items.map(item => [`notion:${item.notionId}`, item]),
+            ...state.issues.map(issue => [`issue:${issue.repository}#${issue.githubId}`, issue]),
+            ...state.issuesToImport.map(issue => [`import:${issue.repository}#${issue.githubId}`, issue]),
+            ...state.pullRequests.map(pr => [`pr:${pr.repository}#${pr.githubId}`, {
+                state: pr.state,
+                merged: pr.merged,
+                headBranch: pr.headBranch,
+                githubUrl: pr.githubUrl,
+                updatedAt: pr.updatedAt
+            }])
+        ];
+
+        records.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+        return crypto.createHash('sha256').update(JSON.stringify(records)).digest('hex');
+    }
+
+    /**
+     * Describe the Notion item, GitHub issue or pull request an operation refers to
+     * @param {Object|null} record - Operation source or target
+     * @returns {string|null} Item ID (e.g., "CBUG-2") or "owner/repo#number"
+     */
+    static describeRecord(record) {
+        if (!record) {
+            return null;
+        }
+        return record.notionId ? record.id : `${record.repository}#${record.githubId}`;
+    }
+
+    /**
+     * Read a plan file
+     * @param {string} filePath - Path to the plan
+     * @returns {SyncPlan} Loaded plan
+     */
+    static load(filePath) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read plan ${filePath}: ${error.message}`);
+        }
+
+        if (data.version !== PLAN_VERSION || !data.stateHash || !Array.isArray(data.operations)) {
+            throw new Error(`${filePath} is not a sync plan of version ${PLAN_VERSION}`);
+        }
+
+        return new SyncPlan(data);
+    }
+
+    /**
+     * Write the plan to a file
+     * @param {string} filePath - Path to write to
+     */
+    save(filePath) {
+        const resolved = path.resolve(filePath);
+        fs.mkdirSync(path.dirname(resolved), { recursive: true });
+        fs.writeFileSync(resolved, JSON.stringify(this, null, 2));
+    }
+
+    /**
+     * Count the planned operations per action
+     * @returns {Object} Map of action to count
+     */
+    getSummary() {
+        return this.operations.reduce((counts, operation) => {
+            counts[operation.action] = (counts[operation.action] || 0) + 1;
+            return counts;
+        }, {});
+    }
+}
+
+module.exports = SyncPlan;
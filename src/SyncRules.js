@@ -0,0 +1,166 @@
+const NotionSchema = require('./NotionSchema');
+
+const DIRECTIONS = ['both', 'notion-to-github', 'github-to-notion'];
+
+// The side each operation carries changes from. Writing the issue link back completes
+// an issue created from Notion, so it goes with Notion to GitHub
+const OPERATION_DIRECTIONS = {
+    create: 'notion-to-github',
+    move_github_issue: 'notion-to-github',
+    restore_github_issue: 'notion-to-github',
+    update_github_state: 'notion-to-github',
+    update_github_content: 'notion-to-github',
+    update_github_branch: 'notion-to-github',
+    update_github_labels: 'notion-to-github',
+    update_github_assignees: 'notion-to-github',
+    update_github_parent: 'notion-to-github',
+    update_notion_link: 'notion-to-github',
+    update_notion_status: 'github-to-notion',
+    update_notion_assignees: 'github-to-notion',
+    update_notion_parent: 'github-to-notion',
+    update_notion_pr: 'github-to-notion',
+    update_notion_pr_link: 'github-to-notion',
+    clear_notion_pr: 'github-to-notion'
+};
+
+// Predicate fields that are named differently on formatted items
+const ITEM_KEYS = {
+    branchLink: 'branchUrl',
+    assignee: 'assignees',
+    parent: 'parentNotionId'
+};
+
+/**
+ * SyncRules decides per Notion item whether it syncs, in which direction and with which operations
+ *
+ * Rules are checked in order and the first whose "when" matches the item applies; items no rule
+ * matches sync fully. A checked "Do Not Sync" property overrides every rule.
+ *
+ * Rule format:
+ * { "name": "...", "when": { "type": "Cosmetic", "status": ["Reported", "Blocked"] },
+ *   "sync": true, "direction": "notion-to-github", "operations": ["create", "update_github_state"] }
+ */
+class SyncRules {
+    /**
+     * @param {Array|Object} config - List of rules, or { rules: [...] }
+     */
+    constructor(config = []) {
+        const rules = Array.isArray(config) ? config : config?.rules;
+        if (!Array.isArray(rules)) {
+            throw new Error('rules must be a list');
+        }
+
+        const fields = ['itemType', ...NotionSchema.getFieldNames()];
+
+        this.rules = rules.map((rule, index) => {
+            const name = rule.name || `rule ${index + 1}`;
+
+            const unknownFields = Object.keys(rule.when || {}).filter(field => !fields.includes(field));
+            if (unknownFields.length > 0) {
+                throw new Error(`${name} matches unknown fields: ${unknownFields.join(', ')} (known: ${fields.join(', ')})`);
+            }
+
+            for (const [field, condition] of Object.entries(rule.when || {})) {
+                if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+                    const operators = Object.keys(condition);
+                    if (operators.length !== 1 || !['not', 'empty'].includes(operators[0])) {
+                        throw new Error(`${name} has an invalid condition for ${field}: use a value, a list of values, { "not": ... } or { "empty": true|false }`);
+                    }
+                }
+            }
+
+            if (rule.direction !== undefined && !DIRECTIONS.includes(rule.direction)) {
+                throw new Error(`${name} has an invalid direction "${rule.direction}" (use ${DIRECTIONS.join(', ')})`);
+            }
+
+            if (rule.operations !== undefined) {
+                const unknownOperations = [].concat(rule.operations).filter(action => !OPERATION_DIRECTIONS[action]);
+                if (unknownOperations.length > 0) {
+                    throw new Error(`${name} allows unknown operations: ${unknownOperations.join(', ')} (known: ${Object.keys(OPERATION_DIRECTIONS).join(', ')})`);
+                }
+            }
+
+            return {
+                name,
+                when: rule.when || {},
+                sync: rule.sync !== false,
+                direction: rule.direction || 'both',
+                operations: rule.operations !== undefined ? [].concat(rule.operations) : null
+            };
+        });
+    }
+
+    /**
+     * Decide how an item syncs
+     * @param {Object} item - Notion item object
+     * @returns {Object} { sync, direction, operations, rule } where operations is null for all
+     *                   and rule names what decided (null if nothing matched)
+     */
+    evaluate(item) {
+        if (item.doNotSync) {
+            return { sync: false, direction: 'both', operations: null, rule: 'Do Not Sync' };
+        }
+
+        const rule = this.rules.find(candidate => this.matches(candidate.when, item));
+        if (!rule) {
+            return { sync: true, direction: 'both', operations: null, rule: null };
+        }
+
+        return { sync: rule.sync, direction: rule.direction, operations: rule.operations, rule: rule.name };
+    }
+
+    /**
+     * Check whether a decision allows an operation
+     * @param {Object} decision - Result of evaluate()
+     * @param {string} action - Operation action
+     * @returns {boolean} True if allowed
+     */
+    allows(decision, action) {
+        if (!decision.sync) {
+            return false;
+        }
+        if (decision.direction !== 'both' && OPERATION_DIRECTIONS[action] !== decision.direction) {
+            return false;
+        }
+        return !decision.operations || decision.operations.includes(action);
+    }
+
+    /**
+     * Check whether every condition of a rule holds for an item
+     * @param {Object} when - Field to condition
+     * @param {Object} item - Notion item object
+     * @returns {boolean} True if the rule applies
+     */
+    matches(when, item) {
+        return Object.entries(when).every(([field, condition]) => {
+            const values = this.getValues(item, field);
+
+            if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+                if ('empty' in condition) {
+                    return (values.length === 0) === Boolean(condition.empty);
+                }
+                return !values.some(value => [].concat(condition.not).includes(value));
+            }
+
+            return values.some(value => [].concat(condition).includes(value));
+        });
+    }
+
+    /**
+     * Get the values of a field; people match by name or email
+     * @param {Object} item - Notion item object
+     * @param {string} field - Predicate field
+     * @returns {Array} Non-empty values
+     */
+    getValues(item, field) {
+        const value = item[ITEM_KEYS[field] || field];
+
+        if (field === 'assignee') {
+            return (value || []).flatMap(person => [person.name, person.email]).filter(Boolean);
+        }
+
+        return value === undefined || value === null || value === '' ? [] : [value];
+    }
+}
+
+module.exports = SyncRules;
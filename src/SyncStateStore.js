@@ -0,0 +1,66 @@
+const JsonFileStore = require('./JsonFileStore');
+
+/**
+ * SyncStateStore persists bookkeeping between sync cycles:
+ * high-water marks per source for incremental sync, the time of the last full reconciliation
+ * and orphaned issues waiting for their deletion to be confirmed
+ */
+class SyncStateStore extends JsonFileStore {
+    constructor(filePath) {
+        super(filePath, { watermarks: {}, lastFullSyncAt: null, pendingOrphans: {} }, 'SyncStateStore');
+    }
+
+    /**
+     * Get the high-water mark for a source
+     * @param {string} source - Source name (e.g., "notion" or "github")
+     * @returns {string|null} ISO timestamp of the last successful sync of that source
+     */
+    getWatermark(source) {
+        return this.data.watermarks[source] || null;
+    }
+
+    /**
+     * Advance the high-water marks for one or more sources
+     * @param {Object} watermarks - Map of source name to ISO timestamp
+     */
+    setWatermarks(watermarks) {
+        this.data.watermarks = { ...this.data.watermarks, ...watermarks };
+        this.save();
+    }
+
+    /**
+     * Get the time of the last successful full reconciliation
+     * @returns {string|null} ISO timestamp or null if none has run yet
+     */
+    getLastFullSync() {
+        return this.data.lastFullSyncAt;
+    }
+
+    /**
+     * Record a successful full reconciliation, which also resets every watermark
+     * @param {string} startedAt - ISO timestamp the full sync started fetching at
+     */
+    recordFullSync(startedAt) {
+        this.data.lastFullSyncAt = startedAt;
+        this.setWatermarks({ notion: startedAt, github: startedAt });
+    }
+
+    /**
+     * Get the orphaned issues seen by previous full reconciliations
+     * @returns {Object} Map of "owner/repo#number" to { itemId, firstSeenAt }
+     */
+    getPendingOrphans() {
+        return this.data.pendingOrphans;
+    }
+
+    /**
+     * Replace the orphaned issues waiting for confirmation
+     * @param {Object} pendingOrphans - Map of "owner/repo#number" to { itemId, firstSeenAt }
+     */
+    setPendingOrphans(pendingOrphans) {
+        this.data.pendingOrphans = pendingOrphans;
+        this.save();
+    }
+}
+
+module.exports = SyncStateStore;
@@ -0,0 +1,341 @@
+const Logger = require('./Logger');
+
+// Fields each kind of undoable change covers, and which side they live on
+const KINDS = {
+    'issue-state': { side: 'github', fields: ['state', 'stateReason'] },
+    'issue-content': { side: 'github', fields: ['title', 'body'] },
+    'issue-labels': { side: 'github', fields: ['labels'] },
+    'issue-assignees': { side: 'github', fields: ['assignees'] },
+    'notion-status': { side: 'notion', fields: ['status'] },
+    'notion-link': { side: 'notion', fields: ['issueLink'] },
+    'notion-pr': { side: 'notion', fields: ['pullRequestStatus', 'pullRequestLink'] },
+    'notion-assignees': { side: 'notion', fields: ['assigneeIds'] }
+};
+
+// Operations that change fields in place and can be reversed by writing the prior values back.
+// Creating, importing, moving and orphan handling change more than fields and are only journaled
+const ACTION_KINDS = {
+    update_github_state: 'issue-state',
+    update_github_content: 'issue-content',
+    update_github_branch: 'issue-content',
+    update_github_labels: 'issue-labels',
+    update_github_assignees: 'issue-assignees',
+    update_notion_status: 'notion-status',
+    update_notion_link: 'notion-link',
+    update_notion_pr: 'notion-pr',
+    update_notion_pr_link: 'notion-pr',
+    clear_notion_pr: 'notion-pr',
+    update_notion_assignees: 'notion-assignees'
+};
+
+/**
+ * UndoManager journals executed sync operations with the fields they changed and reverses whole runs
+ *
+ * The prior values come from the snapshot the operation was determined from; the values after come
+ * from the operation's own result, so journaling costs no extra requests. Undo only writes a field back while it still holds the value the run left,
+ * and skips items that a later run touched again.
+ */
+class UndoManager {
+    constructor(notionClient, githubClient, journal) {
+        this.notion = notionClient;
+        this.github = githubClient;
+        this.journal = journal;
+        this.logger = new Logger('UndoManager');
+    }
+
+    /**
+     * Capture what an operation is about to change, before it runs
+     * @param {Object} operation - Sync operation
+     * @returns {Object} { kind, ref, prior } (kind and prior are null for operations that can't be undone)
+     */
+    capture(operation) {
+        const kind = ACTION_KINDS[operation.action] || null;
+        const issue = operation.target?.githubId && operation.target.repository ? operation.target : operation.source;
+        const item = operation.source?.notionId ? operation.source : null;
+
+        if (!kind) {
+            return { kind: null, ref: this.getRef(item, issue), prior: null };
+        }
+
+        const ref = KINDS[kind].side === 'github'
+            ? { repository: operation.target.repository, issueNumber: operation.target.githubId }
+            : { notionId: item.notionId, itemId: item.id, itemType: item.itemType };
+
+        return { kind, ref, prior: this.pick(kind, KINDS[kind].side === 'github' ? operation.target : item) };
+    }
+
+    /**
+     * Record an executed operation in the journal
+     * @param {string} runId - Run the operation belongs to
+     * @param {Object} operation - Sync operation
+     * @param {Object} captured - Result of capture()
+     * @param {Object} outcome - { success, error, result } where result is what the operation returned
+     */
+    record(runId, operation, captured, outcome) {
+        const after = captured.kind && outcome.success ? this.getStateAfter(captured.kind, operation, outcome.result) : null;
+        if (captured.kind && outcome.success && !after) {
+            this.logger.warn(`No result to journal ${captured.kind} after ${operation.action}, it won't be undoable`);
+        }
+
+        this.journal.append({
+            runId,
+            action: operation.action,
+            reason: operation.reason,
+            sourceId: this.describe(operation.source),
+            targetId: this.describe(operation.target),
+            success: outcome.success,
+            error: outcome.error || null,
+            kind: captured.kind,
+            ref: captured.ref,
+            prior: captured.prior,
+            after
+        });
+    }
+
+    /**
+     * Get the values an operation left without reading them back
+     * GitHub operations keep their target issue up to date; Notion operations return the updated page
+     * @param {string} kind - Key of KINDS
+     * @param {Object} operation - Executed sync operation
+     * @param {*} result - What the operation returned
+     * @returns {Object|null} Field values, or null if the result doesn't tell
+     */
+    getStateAfter(kind, operation, result) {
+        if (KINDS[kind].side === 'github') {
+            return this.pick(kind, operation.target);
+        }
+
+        if (result?.object === 'page') {
+            return this.pick(kind, this.notion.formatItemData(result, operation.source.itemType));
+        }
+
+        return null;
+    }
+
+    /**
+     * Reverse the field changes of a run, newest first
+     * @param {string} runId - Run to undo
+     * @returns {Object} { runId, undone, skipped, failed } where runId is the undo run's own ID
+     */
+    async undoRun(runId) {
+        const entries = this.journal.getRunEntries(runId);
+        if (entries.length === 0) {
+            throw new Error(`No journal entries found for run ${runId}`);
+        }
+        if (this.journal.isUndone(runId)) {
+            throw new Error(`Run ${runId} has already been undone`);
+        }
+
+        // Items touched by any later run (other than undoing this one) belong to that run now
+        const touchedLater = new Set(this.journal.getEntriesAfterRun(runId)
+            .filter(entry => entry.success && entry.ref)
+            .map(entry => this.refKey(entry.ref)));
+
+        const undoRunId = this.journal.startRun();
+        const summary = { runId: undoRunId, undone: 0, skipped: 0, failed: 0 };
+
+        this.logger.info(`Undoing ${entries.length} operations of run ${runId} as run ${undoRunId}`);
+
+        for (const entry of [...entries].reverse()) {
+            const label = `${entry.action} ${[entry.sourceId, entry.targetId].filter(Boolean).join(' -> ')}`;
+            const skip = (reason) => {
+                this.logger.info(`Skipping ${label}: ${reason}`);
+                summary.skipped++;
+            };
+
+            if (!entry.success) {
+                skip('the operation failed');
+                continue;
+            }
+            if (!entry.kind || !entry.after) {
+                skip('this kind of operation cannot be undone automatically');
+                continue;
+            }
+            if (touchedLater.has(this.refKey(entry.ref))) {
+                skip('a later run changed it again');
+                continue;
+            }
+
+            try {
+                const current = await this.readState(entry.kind, entry.ref);
+
+                if (!current) {
+                    skip('it no longer exists');
+                    continue;
+                }
+                // Checked first, since operations of one run on the same fields share their prior values
+                if (this.isSame(entry.kind, current, entry.prior)) {
+                    skip('it already has its prior value');
+                    continue;
+                }
+                if (!this.isSame(entry.kind, current, entry.after)) {
+                    skip('it was modified since the run');
+                    continue;
+                }
+
+                await this.writeState(entry.kind, entry.ref, entry.prior);
+                this.journal.append({
+                    runId: undoRunId,
+                    undoOf: runId,
+                    action: `undo_${entry.action}`,
+                    reason: `Undo of run ${runId}`,
+                    sourceId: entry.sourceId,
+                    targetId: entry.targetId,
+                    success: true,
+                    error: null,
+                    kind: entry.kind,
+                    ref: entry.ref,
+                    prior: current,
+                    after: await this.readState(entry.kind, entry.ref)
+                });
+
+                this.logger.info(`Reverted ${label}`);
+                summary.undone++;
+            } catch (error) {
+                this.logger.error(`Failed to revert ${label}:`, error);
+                this.journal.append({
+                    runId: undoRunId,
+                    undoOf: runId,
+                    action: `undo_${entry.action}`,
+                    reason: `Undo of run ${runId}`,
+                    sourceId: entry.sourceId,
+                    targetId: entry.targetId,
+                    success: false,
+                    error: error.message,
+                    kind: null,
+                    ref: entry.ref,
+                    prior: null,
+                    after: null
+                });
+                summary.failed++;
+            }
+        }
+
+        this.logger.info(`Undo of run ${runId} completed: ${summary.undone} reverted, ${summary.skipped} skipped, ${summary.failed} failed`);
+        return summary;
+    }
+
+    /**
+     * Read the current values of a kind's fields
+     * @param {string} kind - Key of KINDS
+     * @param {Object} ref - { repository, issueNumber } or { notionId, itemType }
+     * @returns {Object|null} Field values or null if the issue or page is gone
+     */
+    async readState(kind, ref) {
+        if (KINDS[kind].side === 'github') {
+            const issue = await this.github.getIssue(ref.repository, ref.issueNumber);
+            return issue ? this.pick(kind, issue) : null;
+        }
+
+        try {
+            return this.pick(kind, await this.notion.getItemByPageId(ref.notionId));
+        } catch (error) {
+            if (error.status === 404 || error.code === 'object_not_found') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write field values back
+     * @param {string} kind - Key of KINDS
+     * @param {Object} ref - { repository, issueNumber } or { notionId, itemType }
+     * @param {Object} values - Field values as returned by pick()
+     */
+    async writeState(kind, ref, values) {
+        switch (kind) {
+            case 'issue-state':
+                return await this.github.updateIssueState(ref.repository, ref.issueNumber, values.state,
+                    values.state === 'open' ? 'reopened' : values.stateReason);
+            case 'issue-content':
+                return await this.github.updateIssueContent(ref.repository, ref.issueNumber, { title: values.title, body: values.body });
+            case 'issue-labels':
+                return await this.github.setLabels(ref.repository, ref.issueNumber, values.labels);
+            case 'issue-assignees':
+                return await this.github.setIssueAssignees(ref.repository, ref.issueNumber, values.assignees);
+            case 'notion-status':
+                return await this.notion.updateItemProperties(ref.notionId, { status: values.status }, ref.itemType);
+            case 'notion-link':
+                return await this.notion.updateItemProperties(ref.notionId, { issueUrl: values.issueLink || null }, ref.itemType);
+            case 'notion-pr':
+                return await this.notion.updateItemProperties(ref.notionId, {
+                    pullRequestStatus: values.pullRequestStatus || 'None',
+                    pullRequestLink: values.pullRequestLink || null
+                }, ref.itemType);
+            case 'notion-assignees':
+                return await this.notion.updateItemProperties(ref.notionId, { assigneeIds: values.assigneeIds }, ref.itemType);
+            default:
+                throw new Error(`Unknown journal kind: ${kind}`);
+        }
+    }
+
+    /**
+     * Pick a kind's fields from an issue or item, normalized for comparison
+     * @param {string} kind - Key of KINDS
+     * @param {Object} record - Formatted GitHub issue or Notion item
+     * @returns {Object} Field values
+     */
+    pick(kind, record) {
+        switch (kind) {
+            case 'issue-state':
+                // GitHub keeps "reopened" as the reason of open issues, which doesn't matter for undo
+                return { state: record.state, stateReason: record.state === 'open' ? null : (record.stateReason || null) };
+            case 'issue-labels':
+                return { labels: [...(record.labels || [])].sort() };
+            case 'issue-assignees':
+                return { assignees: [...(record.assignees || [])].sort() };
+            case 'notion-assignees':
+                return { assigneeIds: (record.assignees || []).map(person => person.id).sort() };
+            default:
+                return Object.fromEntries(KINDS[kind].fields.map(field => [field, record[field] ?? null]));
+        }
+    }
+
+    /**
+     * Compare two sets of field values
+     * @param {string} kind - Key of KINDS
+     * @param {Object} a - Field values
+     * @param {Object} b - Field values
+     * @returns {boolean} True if equal
+     */
+    isSame(kind, a, b) {
+        return KINDS[kind].fields.every(field => JSON.stringify(a?.[field] ?? null) === JSON.stringify(b?.[field] ?? null));
+    }
+
+    /**
+     * Build the journal reference of the item or issue an operation without an undo kind touched
+     * @param {Object|null} item - Notion item
+     * @param {Object|null} issue - GitHub issue or pull request
+     * @returns {Object|null} Reference
+     */
+    getRef(item, issue) {
+        if (item) {
+            return { notionId: item.notionId, itemId: item.id, itemType: item.itemType };
+        }
+        return issue?.githubId ? { repository: issue.repository, issueNumber: issue.githubId } : null;
+    }
+
+    /**
+     * Key identifying the issue or page a reference points to
+     * @param {Object} ref - Journal reference
+     * @returns {string} Key
+     */
+    refKey(ref) {
+        return ref.notionId ? `notion:${ref.notionId}` : `github:${ref.repository}#${ref.issueNumber}`;
+    }
+
+    /**
+     * Describe an operation source or target for the journal
+     * @param {Object|null} record - Notion item, GitHub issue or pull request
+     * @returns {string|null} Item ID (e.g., "CBUG-2") or "owner/repo#number"
+     */
+    describe(record) {
+        if (!record) {
+            return null;
+        }
+        return record.notionId ? record.id : `${record.repository}#${record.githubId}`;
+    }
+}
+
+module.exports = UndoManager;
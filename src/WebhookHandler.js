@@ -1,19 +1,31 @@
  const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const net = require('net');
+
+// GitHub delivery IDs remembered to drop redeliveries of events already being synced
+const MAX_REMEMBERED_DELIVERIES = 1000;
 
 /**
  * WebhookHandler manages Notion webhook actions for branch creation
- * Handles both Bug and Task database webhooks when buttons are pressed
+ * Handles both Bug and Task database webhooks when buttons are pressed,
+ * and GitHub webhook events for real-time GitHub → Notion sync
  */
 class WebhookHandler {
-    constructor(config, githubClient, notionClient, logger) {
+    constructor(config, githubClient, notionClient, logger, syncManager = null, linkStore = null) {
         this.config = config;
         this.github = githubClient;
         this.notion = notionClient;
         this.logger = logger;
+        this.syncManager = syncManager;
+        this.links = linkStore;
+        this.idParser = config.getIdParser();
         this.app = express();
         this.server = null;
+        this.notionActions = new Map();
+        this.githubDeliveries = new Set();
         
+        this.registerDefaultNotionActions();
         this.setupMiddleware();
         this.setupRoutes();
     }
@@ -22,16 +34,24 @@ class WebhookHandler {
      * Setup Express middleware
      */
     setupMiddleware() {
+        // Resolve client IPs from X-Forwarded-For when running behind a tunnel/proxy
+        this.app.set('trust proxy', this.config.getWebhookTrustProxy());
+
         // Enable CORS for webhook endpoint - allow all origins for development
+        // CORS does not protect the endpoint, authenticateNotionWebhook does
         this.app.use(cors({
             origin: true,
             methods: ['POST', 'GET', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-Notion-Action', 'X-Webhook-Token', 'X-Webhook-Signature'],
             credentials: true
         }));
 
-        // Parse JSON bodies
-        this.app.use(express.json());
+        // Parse JSON bodies, keeping the raw payload for signature verification
+        this.app.use(express.json({
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
 
         // Request logging
         this.app.use((req, res, next) => {
@@ -49,7 +69,13 @@ class WebhookHandler {
      */
     setupRoutes() {
         // Main webhook endpoint for Notion webhook actions
-        this.app.post('/webhook/notion', this.handleNotionWebhook.bind(this));
+        // The action is named by the path, the ?action= query parameter or the X-Notion-Action header
+        const authenticate = this.authenticateNotionWebhook.bind(this);
+        this.app.post('/webhook/notion', authenticate, this.handleNotionWebhook.bind(this));
+        this.app.post('/webhook/notion/:action', authenticate, this.handleNotionWebhook.bind(this));
+
+        // GitHub webhook endpoint for real-time GitHub → Notion sync
+        this.app.post('/webhook/github', this.handleGitHubWebhook.bind(this));
         
         // Health check endpoint
         this.app.get('/health', (req, res) => {
@@ -70,9 +96,11 @@ class WebhookHandler {
                 status: 'running',
                 timestamp: new Date().toISOString(),
                 endpoints: {
-                    webhook: 'POST /webhook/notion',
+                    webhook: 'POST /webhook/notion/:action',
+                    actions: Array.from(this.notionActions.keys()),
+                    github: 'POST /webhook/github',
                     health: 'GET /health',
-                    test: 'POST /webhook/test'
+                    test: this.config.isProductionMode() ? 'disabled in production' : 'POST /webhook/test'
                 },
                 webhookUrl: `https://capstonesync.romeluis.com/webhook/notion`,
                 tunnelUrl: `http://localhost:3000`,
@@ -80,15 +108,20 @@ class WebhookHandler {
             });
         });
 
-        // Test endpoint for webhook testing
-        this.app.post('/webhook/test', (req, res) => {
+        // Test endpoint for webhook testing (echoes payloads, so never exposed in production)
+        if (this.config.isProductionMode()) {
+            this.logger.info('Production mode: /webhook/test endpoint disabled');
+            return;
+        }
+
+        this.app.post('/webhook/test', authenticate, (req, res) => {
             this.logger.info('Test webhook received', { 
                 body: req.body,
                 headers: {
                     'content-type': req.get('Content-Type'),
                     'user-agent': req.get('User-Agent')
                 },
-                query: req.query
+                query: { ...req.query, token: req.query.token ? '[redacted]' : undefined }
             });
             res.json({
                 status: 'received',
@@ -99,6 +132,129 @@ class WebhookHandler {
         });
     }
 
+    /**
+     * Express middleware authenticating Notion webhook requests
+     * Applies every configured check: IP allowlist, shared token and HMAC body signature
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Next middleware
+     */
+    authenticateNotionWebhook(req, res, next) {
+        const failure = this.checkNotionWebhookAuth(req);
+
+        if (!failure) {
+            return next();
+        }
+
+        this.logger.warn(`Rejected ${req.method} ${req.path}: ${failure.message}`, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        return res.status(failure.status).json({
+            status: 'error',
+            error: failure.error,
+            message: failure.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Run the configured authentication checks against a request
+     * @param {Object} req - Express request object
+     * @returns {Object|null} Failure with status, error code and message, or null if authenticated
+     */
+    checkNotionWebhookAuth(req) {
+        // start() refuses to run like this; the check also covers handlers mounted without it
+        if (!this.hasNotionWebhookAuth() && !this.allowsUnauthenticatedNotionWebhooks()) {
+            return { status: 503, error: 'WEBHOOK_AUTH_NOT_CONFIGURED', message: 'Notion webhook authentication is not configured' };
+        }
+
+        const allowlist = this.config.getWebhookIpAllowlist();
+        if (allowlist.length > 0 && !this.isIpAllowed(req.ip, allowlist)) {
+            return { status: 403, error: 'IP_NOT_ALLOWED', message: `IP ${req.ip} is not in the webhook allowlist` };
+        }
+
+        const token = this.config.getNotionWebhookToken();
+        if (token) {
+            const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+            const provided = req.get('X-Webhook-Token') || bearer || (typeof req.query?.token === 'string' ? req.query.token : '');
+
+            if (!provided || !this.safeEqual(provided, token)) {
+                return { status: 401, error: 'INVALID_TOKEN', message: 'Missing or invalid webhook token' };
+            }
+        }
+
+        const signingSecret = this.config.getNotionWebhookSigningSecret();
+        if (signingSecret && !this.verifyHmacSignature(req.rawBody, req.get('X-Webhook-Signature'), signingSecret)) {
+            return { status: 401, error: 'INVALID_SIGNATURE', message: 'Missing or invalid X-Webhook-Signature' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether at least one Notion webhook authentication method is configured
+     * @returns {boolean} True if a token, signing secret or IP allowlist is set
+     */
+    hasNotionWebhookAuth() {
+        return Boolean(this.config.getNotionWebhookToken() || this.config.getNotionWebhookSigningSecret() ||
+            this.config.getWebhookIpAllowlist().length > 0);
+    }
+
+    /**
+     * Check whether the Notion webhook may run without authentication
+     * Only outside production, and only when explicitly opted out with ALLOW_UNAUTHENTICATED_WEBHOOKS
+     * @returns {boolean} True if unauthenticated requests are accepted
+     */
+    allowsUnauthenticatedNotionWebhooks() {
+        return !this.config.isProductionMode() && this.config.allowsUnauthenticatedWebhooks();
+    }
+
+    /**
+     * Check whether an IP address matches an allowlist of IPs and CIDR ranges
+     * @param {string} ip - Client IP address
+     * @param {Array} allowlist - Allowed IPs or CIDR ranges (e.g., "10.0.0.0/8")
+     * @returns {boolean} True if the IP is allowed
+     */
+    isIpAllowed(ip, allowlist) {
+        if (!ip) return false;
+
+        // Express reports IPv4 clients on dual-stack sockets as IPv4-mapped IPv6
+        const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+        const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        const blockList = new net.BlockList();
+
+        for (const entry of allowlist) {
+            const [range, prefix] = entry.split('/');
+            const entryFamily = net.isIPv6(range) ? 'ipv6' : 'ipv4';
+
+            try {
+                if (prefix !== undefined) {
+                    blockList.addSubnet(range, parseInt(prefix, 10), entryFamily);
+                } else {
+                    blockList.addAddress(range, entryFamily);
+                }
+            } catch (error) {
+                this.logger.warn(`Ignoring invalid WEBHOOK_IP_ALLOWLIST entry: ${entry}`);
+            }
+        }
+
+        return blockList.check(address, family);
+    }
+
+    /**
+     * Compare two secrets in constant time
+     * @param {string} provided - Value supplied by the caller
+     * @param {string} expected - Configured value
+     * @returns {boolean} True if equal
+     */
+    safeEqual(provided, expected) {
+        const a = Buffer.from(String(provided));
+        const b = Buffer.from(String(expected));
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
     /**
      * Handle incoming Notion webhook actions
      * @param {Object} req - Express request object
@@ -106,19 +262,20 @@ class WebhookHandler {
      */
     async handleNotionWebhook(req, res) {
         try {
-            this.logger.info('Received Notion webhook action', { 
-                body: req.body,
+            // The path leaves out ?token=, and payloads only go to the debug log
+            this.logger.info('Received Notion webhook action', {
                 headers: {
                     'content-type': req.get('Content-Type'),
                     'user-agent': req.get('User-Agent'),
                     'content-length': req.get('Content-Length')
                 },
                 method: req.method,
-                url: req.url,
-                bodyType: typeof req.body,
-                bodyKeys: req.body ? Object.keys(req.body) : [],
-                // Log the actual properties structure
-                fullProperties: req.body?.data?.properties ? JSON.stringify(req.body.data.properties, null, 2) : 'No properties'
+                path: req.path,
+                bodyKeys: req.body ? Object.keys(req.body) : []
+            });
+            this.logger.debug('Notion webhook payload', {
+                body: req.body,
+                properties: req.body?.data?.properties ? JSON.stringify(req.body.data.properties, null, 2) : 'No properties'
             });
 
             // Validate request has body
@@ -132,7 +289,8 @@ class WebhookHandler {
 
             // Process webhook synchronously to return proper error responses
             try {
-                const result = await this.processWebhook(req.body, req.headers);
+                const action = this.resolveNotionAction(req);
+                const result = await this.processWebhook(req.body, req.headers, action);
                 
                 if (result.success) {
                     res.status(200).json({ 
@@ -174,166 +332,409 @@ class WebhookHandler {
     }
 
     /**
-     * Process webhook data synchronously with error handling
-     * @param {Object} webhookData - Notion webhook action data
-     * @param {Object} headers - Request headers
-     * @returns {Object} Result object with success/error status
+     * Handle incoming GitHub webhook events
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
      */
-    async processWebhook(webhookData, headers = {}) {
+    async handleGitHubWebhook(req, res) {
+        const event = req.get('X-GitHub-Event');
+        const deliveryId = req.get('X-GitHub-Delivery');
+
         try {
-            this.logger.info('Processing webhook action', { 
-                webhookData,
-                userAgent: headers['user-agent'],
-                contentType: headers['content-type']
+            this.logger.info('Received GitHub webhook event', {
+                event,
+                deliveryId,
+                action: req.body?.action,
+                repository: req.body?.repository?.full_name
             });
 
-            // Check if this is a branch creation action
-            if (!this.isBranchCreationAction(webhookData) && !this.isPullRequestCreationAction(webhookData) && !this.isMergeChangesAction(webhookData)) {
-                const availableFields = Object.keys(webhookData || {});
-                this.logger.info('Webhook action not recognized', {
-                    reason: 'Missing required fields',
-                    availableFields
+            const secret = this.config.getGitHubWebhookSecret();
+            if (!secret) {
+                this.logger.warn('Rejecting GitHub webhook: GITHUB_WEBHOOK_SECRET is not configured');
+                return res.status(503).json({
+                    status: 'error',
+                    error: 'WEBHOOK_NOT_CONFIGURED',
+                    message: 'GitHub webhook secret is not configured',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!this.verifyHmacSignature(req.rawBody, req.get('X-Hub-Signature-256'), secret)) {
+                this.logger.warn('Rejecting GitHub webhook with invalid signature', { event, deliveryId });
+                return res.status(401).json({
+                    status: 'error',
+                    error: 'INVALID_SIGNATURE',
+                    message: 'X-Hub-Signature-256 does not match the payload',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (deliveryId && this.githubDeliveries.has(deliveryId)) {
+                this.logger.info(`Ignoring redelivery of GitHub ${event} event ${deliveryId}`);
+                return res.status(200).json({
+                    status: 'duplicate',
+                    event,
+                    deliveryId,
+                    timestamp: new Date().toISOString()
                 });
+            }
+            this.rememberGitHubDelivery(deliveryId);
+
+            // GitHub gives up on a delivery after 10 seconds, which a rate-limited sync can exceed,
+            // so answer first and sync afterwards
+            res.status(202).json({
+                status: 'accepted',
+                event,
+                deliveryId,
+                timestamp: new Date().toISOString()
+            });
+
+            this.processGitHubEventAsync(event, req.body || {}, deliveryId);
+
+        } catch (error) {
+            this.logger.error('Error handling GitHub webhook:', error);
+
+            if (!res.headersSent) {
+                res.status(500).json({
+                    status: 'error',
+                    error: 'Webhook processing failed',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+    }
+
+    /**
+     * Remember a GitHub delivery ID, forgetting the oldest beyond MAX_REMEMBERED_DELIVERIES
+     * @param {string} deliveryId - X-GitHub-Delivery header value
+     */
+    rememberGitHubDelivery(deliveryId) {
+        if (!deliveryId) return;
+
+        this.githubDeliveries.add(deliveryId);
+        if (this.githubDeliveries.size > MAX_REMEMBERED_DELIVERIES) {
+            this.githubDeliveries.delete(this.githubDeliveries.values().next().value);
+        }
+    }
+
+    /**
+     * Process a GitHub event after the delivery has been answered
+     * A failed delivery is forgotten, so redelivering it from GitHub retries the sync
+     * @param {string} event - GitHub event name
+     * @param {Object} payload - GitHub webhook payload
+     * @param {string} deliveryId - X-GitHub-Delivery header value
+     */
+    async processGitHubEventAsync(event, payload, deliveryId) {
+        const result = await this.processGitHubEvent(event, payload);
+
+        if (result.success) {
+            this.logger.info(`GitHub ${event} delivery ${deliveryId || '(no ID)'}: ${result.message}`);
+        } else {
+            this.logger.error(`GitHub ${event} delivery ${deliveryId || '(no ID)'} failed:`, result);
+            this.githubDeliveries.delete(deliveryId);
+        }
+    }
+
+    /**
+     * Verify an HMAC-SHA256 body signature in GitHub's "sha256=<hex>" format
+     * Used for GitHub's X-Hub-Signature-256 and the optional Notion X-Webhook-Signature
+     * @param {Buffer} rawBody - Raw request body
+     * @param {string} signatureHeader - Signature header value
+     * @param {string} secret - Shared signing secret
+     * @returns {boolean} True if the signature is valid
+     */
+    verifyHmacSignature(rawBody, signatureHeader, secret) {
+        if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+            return false;
+        }
+
+        const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+        return this.safeEqual(signatureHeader, expected);
+    }
+
+    /**
+     * Route a GitHub event to a targeted sync of the affected Notion item
+     * @param {string} event - GitHub event name (X-GitHub-Event header)
+     * @param {Object} payload - GitHub webhook payload
+     * @returns {Object} Result object with success/error status
+     */
+    async processGitHubEvent(event, payload) {
+        try {
+            if (event === 'ping') {
+                return { success: true, ignored: true, message: 'pong' };
+            }
+
+            if (!this.syncManager) {
+                return {
+                    success: false,
+                    error: 'SYNC_UNAVAILABLE',
+                    message: 'Sync manager is not available for GitHub webhook processing'
+                };
+            }
+
+            const repository = payload.repository?.full_name;
+            if (!repository) {
                 return {
                     success: false,
                     error: 'INVALID_WEBHOOK',
-                    message: `Webhook does not contain required fields for any supported action. Available fields: ${availableFields.join(', ')}`
+                    message: 'GitHub webhook payload does not contain a repository'
                 };
             }
 
-            // Determine which action to take based on priority
-            // Note: This is a simplified detection - in practice, you might want to add
-            // a specific field or parameter to distinguish between PR creation and merge
-            if (this.isMergeChangesAction(webhookData)) {
-                this.logger.info('Webhook identified as merge changes action');
-                return await this.mergeChangesFromWebhook(webhookData);
-            } else if (this.isPullRequestCreationAction(webhookData)) {
-                this.logger.info('Webhook identified as pull request creation action');
-                return await this.createPullRequestFromWebhook(webhookData);
-            } else {
-                this.logger.info('Webhook identified as branch creation action');
-                return await this.createBranchFromWebhook(webhookData);
+            const target = this.resolveGitHubEventTarget(event, payload, repository);
+            if (!target.itemId) {
+                this.logger.info(`Ignoring GitHub ${event} event: ${target.reason}`);
+                return { success: true, ignored: true, message: target.reason };
             }
 
+            this.logger.info(`GitHub ${event} event maps to ${target.itemId}, running targeted sync`);
+
+            const results = await this.syncManager.performTargetedSync(target.itemId, {
+                repository,
+                issue: target.issue
+            });
+
+            return {
+                success: results.failed === 0,
+                itemId: target.itemId,
+                operations: results.operations.map(op => ({
+                    action: op.action,
+                    success: op.success,
+                    error: op.error
+                })),
+                message: `Targeted sync for ${target.itemId}: ${results.operations.length} operations, ${results.failed} failed`,
+                error: results.failed > 0 ? 'SYNC_OPERATIONS_FAILED' : undefined
+            };
+
         } catch (error) {
-            this.logger.error('Error processing webhook:', error);
+            this.logger.error(`Error processing GitHub ${event} event:`, error);
             return {
                 success: false,
                 error: 'PROCESSING_ERROR',
-                message: `Failed to process webhook: ${error.message}`
+                message: `Failed to process GitHub event: ${error.message}`
             };
         }
     }
 
     /**
-     * Process webhook data asynchronously (deprecated - kept for backward compatibility)
-     * @param {Object} webhookData - Notion webhook action data
-     * @param {Object} headers - Request headers
+     * Work out which Notion item a GitHub event refers to
+     * The link store is asked first, so renamed issues and branches still resolve; titles and
+     * branch names are only parsed for objects it doesn't know
+     * @param {string} event - GitHub event name
+     * @param {Object} payload - GitHub webhook payload
+     * @param {string} repository - Repository name (owner/repo)
+     * @returns {Object} Target with itemId and optional issue, or a reason for ignoring
      */
-    async processWebhookAsync(webhookData, headers = {}) {
-        const result = await this.processWebhook(webhookData, headers);
-        if (!result.success) {
-            this.logger.error('Async webhook processing failed:', result);
+    resolveGitHubEventTarget(event, payload, repository) {
+        switch (event) {
+            case 'issues':
+            case 'issue_comment': {
+                if (!payload.issue) {
+                    return { itemId: null, reason: 'Payload has no issue' };
+                }
+                if (payload.issue.pull_request) {
+                    return { itemId: null, reason: 'Comment is on a pull request, not an issue' };
+                }
+
+                const issue = this.github.formatIssueData(payload.issue, repository);
+
+                const link = this.links?.findByIssue(repository, issue.githubId);
+                if (link?.itemId) {
+                    return { itemId: link.itemId, issue };
+                }
+
+                if (!issue.isNotionSync) {
+                    return { itemId: null, reason: `Issue #${issue.githubId} is not managed by notion-sync` };
+                }
+
+                const itemId = this.extractBugIdFromIssueTitle(issue.title);
+                return itemId
+                    ? { itemId, issue }
+                    : { itemId: null, reason: `Issue #${issue.githubId} title has no Notion ID` };
+            }
+
+            case 'pull_request': {
+                if (!payload.pull_request) {
+                    return { itemId: null, reason: 'Payload has no pull request' };
+                }
+
+                const pr = this.github.formatPullRequestData(payload.pull_request, repository);
+
+                const link = this.links?.findByPullRequest(repository, pr.githubId) ||
+                    this.links?.findByBranch(repository, pr.headBranch);
+                if (link?.itemId) {
+                    return { itemId: link.itemId };
+                }
+
+                return pr.bugId
+                    ? { itemId: pr.bugId }
+                    : { itemId: null, reason: `PR #${pr.githubId} branch ${pr.branchName} has no Notion ID` };
+            }
+
+            case 'push': {
+                const ref = payload.ref || '';
+                if (!ref.startsWith('refs/heads/')) {
+                    return { itemId: null, reason: `Push to ${ref} is not a branch` };
+                }
+
+                const branchName = ref.replace('refs/heads/', '');
+
+                const link = this.links?.findByBranch(repository, branchName);
+                if (link?.itemId) {
+                    return { itemId: link.itemId };
+                }
+
+                const itemId = this.github.extractBugIdFromBranchName(branchName);
+                return itemId
+                    ? { itemId }
+                    : { itemId: null, reason: `Branch ${branchName} has no Notion ID` };
+            }
+
+            default:
+                return { itemId: null, reason: `Unsupported event type: ${event}` };
         }
     }
 
     /**
-     * Check if webhook action is for branch creation
-     * @param {Object} webhookData - Webhook payload
-     * @returns {boolean} True if this is a branch creation action
+     * Register the built-in Notion button actions
      */
-    isBranchCreationAction(webhookData) {
-        // Notion webhook data structure: { source: {...}, data: { properties: {...} } }
-        const pageData = webhookData.data;
-        
-        this.logger.info('Analyzing webhook payload structure', { 
-            keys: Object.keys(webhookData || {}),
-            dataKeys: pageData ? Object.keys(pageData) : [],
-            properties: pageData?.properties || null,
-            availableProperties: pageData?.properties ? Object.keys(pageData.properties) : []
-        });
+    registerDefaultNotionActions() {
+        this.registerNotionAction('create-branch', this.createBranchFromWebhook);
+        this.registerNotionAction('create-pr', this.createPullRequestFromWebhook);
+        this.registerNotionAction('merge', this.mergeChangesFromWebhook);
+    }
 
-        if (!pageData || !pageData.properties) {
-            this.logger.info('No page data or properties found in webhook');
-            return false;
+    /**
+     * Register a handler for a Notion button action
+     * @param {string} name - Action name used in the webhook URL (e.g., "create-branch")
+     * @param {Function} handler - Handler receiving the webhook data and returning a result object
+     */
+    registerNotionAction(name, handler) {
+        this.notionActions.set(name.toLowerCase(), handler.bind(this));
+    }
+
+    /**
+     * Determine which action a Notion webhook request asks for
+     * Sources, in any combination: /webhook/notion/:action, ?action= and the X-Notion-Action header
+     * @param {Object} req - Express request object
+     * @returns {Object} Resolution with action name, or an error code and message
+     */
+    resolveNotionAction(req) {
+        const requested = [
+            req.params?.action,
+            typeof req.query?.action === 'string' ? req.query.action : null,
+            req.get('X-Notion-Action')
+        ]
+            .filter(value => value && value.trim())
+            .map(value => value.trim().toLowerCase());
+
+        const distinct = [...new Set(requested)];
+
+        if (distinct.length > 1) {
+            return {
+                error: 'AMBIGUOUS_ACTION',
+                message: `Conflicting actions requested: ${distinct.join(', ')}`
+            };
         }
 
-        // Use the proper extraction methods
-        const title = this.extractTitle(webhookData);
-        const id = this.extractId(webhookData);
-        const module = this.extractModule(webhookData);
-        
-        this.logger.info('Webhook property analysis', {
-            hasTitle: !!title,
-            hasId: !!id,
-            hasModule: !!module,
-            titleValue: title,
-            idValue: id,
-            moduleValue: module,
-            availableProperties: Object.keys(pageData.properties)
-        });
+        if (distinct.length === 1) {
+            return { action: distinct[0] };
+        }
+
+        // Migration aid for buttons set up before actions were named: only while opted in,
+        // and only as branch creation while no branch exists yet
+        if (this.config.isLegacyNotionActionFallbackEnabled() && !this.extractBranchUrl(req.body || {})) {
+            this.logger.warn('No action specified, treating webhook as create-branch because NOTION_WEBHOOK_LEGACY_ACTION_FALLBACK is set');
+            return { action: 'create-branch' };
+        }
 
-        return !!(title && id);
+        return {
+            error: 'MISSING_ACTION',
+            message: `No action specified. Use /webhook/notion/<action>, ?action= or the X-Notion-Action header with one of: ${Array.from(this.notionActions.keys()).join(', ')}`
+        };
     }
 
     /**
-     * Check if webhook action is for pull request creation
-     * @param {Object} webhookData - Webhook payload
-     * @returns {boolean} True if this is a PR creation action
+     * Process webhook data synchronously with error handling
+     * @param {Object} webhookData - Notion webhook action data
+     * @param {Object} headers - Request headers
+     * @param {Object} resolution - Result of resolveNotionAction
+     * @returns {Object} Result object with success/error status
      */
-    isPullRequestCreationAction(webhookData) {
-        const pageData = webhookData.data;
-        
-        if (!pageData || !pageData.properties) {
-            this.logger.info('No page data or properties found in webhook for PR creation');
-            return false;
-        }
+    async processWebhook(webhookData, headers = {}, resolution = {}) {
+        try {
+            this.logger.info('Processing webhook action', { 
+                action: resolution.action,
+                webhookData,
+                userAgent: headers['user-agent'],
+                contentType: headers['content-type']
+            });
 
-        const title = this.extractTitle(webhookData);
-        const id = this.extractId(webhookData);
-        const branchUrl = this.extractBranchUrl(webhookData);
-        
-        this.logger.info('PR webhook property analysis', {
-            hasTitle: !!title,
-            hasId: !!id,
-            hasBranchUrl: !!branchUrl,
-            titleValue: title,
-            idValue: id,
-            branchUrlValue: branchUrl
-        });
+            if (resolution.error) {
+                this.logger.warn('Rejecting webhook action', resolution);
+                return {
+                    success: false,
+                    error: resolution.error,
+                    message: resolution.message
+                };
+            }
 
-        // Need title, id, and branch URL to create PR
-        return !!(title && id && branchUrl);
+            const handler = this.notionActions.get(resolution.action);
+            if (!handler) {
+                return {
+                    success: false,
+                    error: 'UNKNOWN_ACTION',
+                    message: `Unknown action "${resolution.action}". Supported actions: ${Array.from(this.notionActions.keys()).join(', ')}`
+                };
+            }
+
+            if (!webhookData?.data?.properties) {
+                const availableFields = Object.keys(webhookData || {});
+                this.logger.info('Webhook payload has no page properties', { availableFields });
+                return {
+                    success: false,
+                    error: 'INVALID_WEBHOOK',
+                    message: `Webhook does not contain page properties. Available fields: ${availableFields.join(', ')}`
+                };
+            }
+
+            // Branch and PR buttons are only enabled on databases with the branches capability
+            const itemType = this.notion.getItemTypeForPage(webhookData.data);
+            if (!this.notion.hasCapability(itemType, 'branches')) {
+                return {
+                    success: false,
+                    error: 'UNSUPPORTED_DATABASE',
+                    message: itemType
+                        ? `Branch actions are not enabled for the ${itemType} database`
+                        : 'Page does not belong to a configured Notion database'
+                };
+            }
+
+            this.logger.info(`Dispatching webhook to ${resolution.action} action`);
+            return await handler(webhookData);
+
+        } catch (error) {
+            this.logger.error('Error processing webhook:', error);
+            return {
+                success: false,
+                error: 'PROCESSING_ERROR',
+                message: `Failed to process webhook: ${error.message}`
+            };
+        }
     }
 
     /**
-     * Check if webhook action is for merging changes
-     * @param {Object} webhookData - Webhook payload
-     * @returns {boolean} True if this is a merge action
+     * Process webhook data asynchronously (deprecated - kept for backward compatibility)
+     * @param {Object} webhookData - Notion webhook action data
+     * @param {Object} headers - Request headers
+     * @param {Object} resolution - Result of resolveNotionAction
      */
-    isMergeChangesAction(webhookData) {
-        const pageData = webhookData.data;
-        
-        if (!pageData || !pageData.properties) {
-            this.logger.info('No page data or properties found in webhook for merge action');
-            return false;
+    async processWebhookAsync(webhookData, headers = {}, resolution = {}) {
+        const result = await this.processWebhook(webhookData, headers, resolution);
+        if (!result.success) {
+            this.logger.error('Async webhook processing failed:', result);
         }
-
-        const title = this.extractTitle(webhookData);
-        const id = this.extractId(webhookData);
-        const branchUrl = this.extractBranchUrl(webhookData);
-        
-        this.logger.info('Merge webhook property analysis', {
-            hasTitle: !!title,
-            hasId: !!id,
-            hasBranchUrl: !!branchUrl,
-            titleValue: title,
-            idValue: id,
-            branchUrlValue: branchUrl
-        });
-
-        // Need title, id, and branch URL to merge changes
-        return !!(title && id && branchUrl);
     }
 
     /**
@@ -400,6 +801,11 @@ class WebhookHandler {
                 branchUrl: branchResult.url
             });
 
+            // Remember the branch so renaming it later doesn't break the link
+            if (this.links) {
+                this.links.recordBranch(pageId, id, repository, branchResult.name, branchResult.url);
+            }
+
             // Update Notion with branch link
             const notionUpdatePromise = this.updateNotionWithBranchLink(pageId, branchResult.url, id);
             
@@ -548,6 +954,10 @@ class WebhookHandler {
                 prUrl: pullRequest.githubUrl
             });
 
+            if (this.links) {
+                this.links.recordPullRequest(pageId, id, pullRequest);
+            }
+
             // Update Notion with PR information
             await this.updateNotionWithPRInfo(pageId, id, pullRequest.githubUrl, 'Open');
 
@@ -672,6 +1082,10 @@ class WebhookHandler {
                 }
             }
 
+            if (this.links) {
+                this.links.recordPullRequest(pageId, id, pullRequest);
+            }
+
             // Check if PR is mergeable
             const mergeableStatus = await this.checkPRMergeability(repository, pullRequest.githubId);
             if (!mergeableStatus.mergeable) {
@@ -732,17 +1146,26 @@ class WebhookHandler {
         return webhookData.data?.id || null;
     }
 
+    /**
+     * Get a logical field's raw property from the webhook page, using the schema of the page's database
+     * @param {Object} webhookData - Webhook payload
+     * @param {string} field - Logical field name (see NotionSchema)
+     * @returns {Object|null} Raw Notion property or null
+     */
+    getPageProperty(webhookData, field) {
+        const page = webhookData.data;
+        if (!page?.properties) return null;
+
+        return this.notion.schema.read(page.properties, this.notion.getItemTypeForPage(page), field);
+    }
+
     /**
      * Extract title from webhook data (Notion format)
      * @param {Object} webhookData - Webhook payload
      * @returns {string|null} Title value
      */
     extractTitle(webhookData) {
-        const properties = webhookData.data?.properties;
-        if (!properties) return null;
-
-        // Try different title field names
-        const titleProp = properties['Bug Title'] || properties['Task Title'] || properties['Title'] || properties['Name'];
+        const titleProp = this.getPageProperty(webhookData, 'title');
         
         if (titleProp && titleProp.title && Array.isArray(titleProp.title)) {
             // Notion title is an array of text objects
@@ -758,11 +1181,7 @@ class WebhookHandler {
      * @returns {string|null} ID value (e.g., "CBUG-2")
      */
     extractId(webhookData) {
-        const properties = webhookData.data?.properties;
-        if (!properties) return null;
-
-        // Try different ID field names
-        const idProp = properties['ID'] || properties['Bug ID'] || properties['Task ID'];
+        const idProp = this.getPageProperty(webhookData, 'id');
         
         if (idProp && idProp.unique_id) {
             // Notion unique_id format: {prefix: "CBUG", number: 2} -> "CBUG-2"
@@ -783,11 +1202,9 @@ class WebhookHandler {
      * @returns {string|null} Module value
      */
     extractModule(webhookData) {
-        const properties = webhookData.data?.properties;
-        if (!properties) return null;
+        if (!webhookData.data?.properties) return null;
 
-        // Try different module field names  
-        const moduleProp = properties['Module'] || properties['Component'] || properties['Area'];
+        const moduleProp = this.getPageProperty(webhookData, 'module');
         
         if (moduleProp && moduleProp.select) {
             // Notion select format: {select: {name: "Application"}}
@@ -803,11 +1220,9 @@ class WebhookHandler {
      * @returns {string|null} Type value
      */
     extractType(webhookData) {
-        const properties = webhookData.data?.properties;
-        if (!properties) return null;
+        if (!webhookData.data?.properties) return null;
 
-        // Try different type field names
-        const typeProp = properties['Type'] || properties['Category'];
+        const typeProp = this.getPageProperty(webhookData, 'type');
         
         if (typeProp && typeProp.select) {
             // Notion select format: {select: {name: "Cosmetic"}}
@@ -823,11 +1238,7 @@ class WebhookHandler {
      * @returns {string|null} Branch URL value
      */
     extractBranchUrl(webhookData) {
-        const properties = webhookData.data?.properties;
-        if (!properties) return null;
-
-        // Try different branch URL field names
-        const branchProp = properties['Branch Link'] || properties['Branch URL'] || properties['Branch'];
+        const branchProp = this.getPageProperty(webhookData, 'branchLink');
         
         if (branchProp && branchProp.url) {
             return branchProp.url;
@@ -861,14 +1272,10 @@ class WebhookHandler {
      * @returns {string|null} Description value
      */
     extractDescription(webhookData) {
-        const properties = webhookData.data?.properties;
-        if (!properties) return null;
-
-        // Try different description field names
-        const descProp = properties['Description'] || properties['Details'] || properties['Notes'];
+        const descProp = this.getPageProperty(webhookData, 'description');
         
         if (descProp && descProp.rich_text && descProp.rich_text.length > 0) {
-            return descProp.rich_text.map(text => text.plain_text).join('');
+            return this.notion.markdown.richTextToMarkdown(descProp.rich_text);
         }
         
         return null;
@@ -880,10 +1287,7 @@ class WebhookHandler {
      * @returns {string|null} Priority value
      */
     extractPriority(webhookData) {
-        const properties = webhookData.data?.properties;
-        if (!properties) return null;
-
-        const priorityProp = properties['Priority'];
+        const priorityProp = this.getPageProperty(webhookData, 'priority');
         
         if (priorityProp && priorityProp.select) {
             return priorityProp.select.name;
@@ -898,10 +1302,7 @@ class WebhookHandler {
      * @returns {string|null} Assignee value
      */
     extractAssignee(webhookData) {
-        const properties = webhookData.data?.properties;
-        if (!properties) return null;
-
-        const assigneeProp = properties['Assignee'] || properties['Assigned To'];
+        const assigneeProp = this.getPageProperty(webhookData, 'assignee');
         
         if (assigneeProp && assigneeProp.people && assigneeProp.people.length > 0) {
             return assigneeProp.people[0].name;
@@ -928,28 +1329,14 @@ class WebhookHandler {
      * Update Notion with branch link
      * @param {string} pageId - Notion page ID
      * @param {string} branchUrl - GitHub branch URL
-     * @param {string} id - Bug/Task ID for logging
+     * @param {string} id - Item ID, which selects the database schema
      */
     async updateNotionWithBranchLink(pageId, branchUrl, id) {
         try {
             this.logger.info('Updating Notion with branch link', { pageId, branchUrl, id });
 
-            // Determine if this is a Bug or Task based on ID format
-            const isTask = id.startsWith('TSK-');
-            const isBug = id.startsWith('CBUG-') || id.startsWith('BUG-');
-
-            if (isBug) {
-                // Use existing NotionClient method for bugs
-                await this.notion.updateBugProperties(pageId, {
-                    branchUrl: branchUrl
-                });
-            } else if (isTask) {
-                // For tasks, we need to update the Task database directly
-                await this.updateTaskBranchLink(pageId, branchUrl);
-            } else {
-                // Generic update for other types
-                await this.updatePageBranchLink(pageId, branchUrl);
-            }
+            // The configured ID prefixes tell which database's schema applies
+            await this.notion.updateItemProperties(pageId, { branchUrl }, this.idParser.getItemType(id));
 
             this.logger.info('Successfully updated Notion with branch link', { pageId, id, branchUrl });
 
@@ -959,108 +1346,6 @@ class WebhookHandler {
         }
     }
 
-    /**
-     * Update Task database with branch link
-     * @param {string} pageId - Notion page ID
-     * @param {string} branchUrl - GitHub branch URL
-     */
-    async updateTaskBranchLink(pageId, branchUrl) {
-        try {
-            const response = await this.notion.notion.pages.update({
-                page_id: pageId,
-                properties: {
-                    'Branch Link': {
-                        url: branchUrl
-                    }
-                }
-            });
-            return response;
-        } catch (error) {
-            this.logger.error('Error updating task branch link:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Update Task database with PR properties
-     * @param {string} pageId - Notion page ID
-     * @param {Object} updates - Object containing PR status and/or link
-     */
-    async updateTaskPRProperties(pageId, updates) {
-        try {
-            const properties = {};
-            
-            if (updates.branchUrl) {
-                properties['Branch Link'] = {
-                    url: updates.branchUrl
-                };
-            }
-
-            if (updates.pullRequestStatus) {
-                properties['Pull Request Status'] = {
-                    status: {
-                        name: updates.pullRequestStatus
-                    }
-                };
-            }
-
-            if (updates.pullRequestLink) {
-                properties['Pull Request Link'] = {
-                    url: updates.pullRequestLink
-                };
-            }
-
-            const response = await this.notion.notion.pages.update({
-                page_id: pageId,
-                properties
-            });
-            return response;
-        } catch (error) {
-            this.logger.error('Error updating task PR properties:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Generic method to update any page with branch/PR properties
-     * @param {string} pageId - Notion page ID
-     * @param {Object} updates - Object containing properties to update
-     */
-    async updatePageBranchLink(pageId, updates) {
-        try {
-            const properties = {};
-            
-            if (updates.branchUrl) {
-                properties['Branch Link'] = {
-                    url: updates.branchUrl
-                };
-            }
-
-            if (updates.pullRequestStatus) {
-                properties['Pull Request Status'] = {
-                    status: {
-                        name: updates.pullRequestStatus
-                    }
-                };
-            }
-
-            if (updates.pullRequestLink) {
-                properties['Pull Request Link'] = {
-                    url: updates.pullRequestLink
-                };
-            }
-
-            const response = await this.notion.notion.pages.update({
-                page_id: pageId,
-                properties
-            });
-            return response;
-        } catch (error) {
-            this.logger.error('Error updating page properties:', error);
-            throw error;
-        }
-    }
-
     /**
      * Update GitHub issue with branch link information
      * @param {string} bugId - Bug ID (e.g., "CBUG-2")
@@ -1083,16 +1368,16 @@ class WebhookHandler {
                 throw error;
             }
 
-            this.logger.info(`Found GitHub issue #${issue.number} for bug ${bugId}`);
+            this.logger.info(`Found GitHub issue #${issue.githubId} for bug ${bugId}`);
 
             // Update the issue body to include branch information in the Development section
-            await this.updateGitHubIssueBody(repository, issue.number, issue.body, branchUrl, branchName);
+            await this.updateGitHubIssueBody(repository, issue.githubId, issue.body, branchUrl, branchName);
 
-            this.logger.info(`Successfully updated GitHub issue #${issue.number} Development section with branch information`);
+            this.logger.info(`Successfully updated GitHub issue #${issue.githubId} Development section with branch information`);
             
             return {
                 success: true,
-                issueNumber: issue.number,
+                issueNumber: issue.githubId,
                 branchUrl,
                 branchName
             };
@@ -1114,6 +1399,15 @@ class WebhookHandler {
      */
     async findGitHubIssueByBugId(bugId, repository) {
         try {
+            // Prefer the recorded link - it survives issue renames
+            const link = this.links?.findByItemId(bugId);
+            if (link?.issueNumber && link.repository === repository) {
+                const linkedIssue = await this.github.getIssue(repository, link.issueNumber);
+                if (linkedIssue) {
+                    return linkedIssue;
+                }
+            }
+
             // Fetch all synced issues from the repository
             const issues = await this.github.fetchSyncedIssues(repository);
             
@@ -1138,21 +1432,8 @@ class WebhookHandler {
      * @returns {string|null} Extracted bug ID or null
      */
     extractBugIdFromIssueTitle(title) {
-        // Match formats: 
-        // New format: "[Bug]/CBUG-2 Test Title" or "[Cosmetic]/CBUG-2 Test Title"
-        // Alternative: "CBUG-2: Test Title"
-        
-        const newFormatMatch = title.match(/^\[.*?\]\/(CBUG-\d+|TSK-\d+)\s+(.+)$/);
-        if (newFormatMatch) {
-            return newFormatMatch[1]; // Return CBUG-2 or TSK-1
-        }
-
-        const alternativeMatch = title.match(/^(CBUG-\d+|TSK-\d+):\s+(.+)$/);
-        if (alternativeMatch) {
-            return alternativeMatch[1]; // Return CBUG-2 or TSK-1
-        }
-        
-        return null;
+        // "CBUG-2: Test Title" or "[Cosmetic]/CBUG-2 Test Title"
+        return this.idParser.fromIssueTitle(title);
     }
 
     /**
@@ -1224,15 +1505,10 @@ class WebhookHandler {
     parseBranchUrl(branchUrl) {
         try {
             // Expected format: https://github.com/owner/repo/tree/branch-name
-            const urlPattern = /^https:\/\/github\.com\/([^\/]+)\/([^\/]+)\/tree\/(.+)$/;
-            const match = branchUrl.match(urlPattern);
+            const branchInfo = this.github.parseBranchUrl(branchUrl);
             
-            if (match) {
-                const [, owner, repo, branchName] = match;
-                return {
-                    repository: `${owner}/${repo}`,
-                    branchName: branchName
-                };
+            if (branchInfo) {
+                return branchInfo;
             }
             
             this.logger.warn(`Could not parse branch URL: ${branchUrl}`);
@@ -1314,7 +1590,7 @@ class WebhookHandler {
         
         body += `## Type\n${type || 'Feature'}\n\n`;
         body += `## Changes\n- [ ] Implementation complete\n- [ ] Testing complete\n- [ ] Documentation updated\n\n`;
-        body += `---\n*This pull request was automatically created from Notion ${id.startsWith('TSK-') ? 'task' : 'bug'} ${id}*`;
+        body += `---\n*This pull request was automatically created from Notion ${this.idParser.getItemType(id) || 'item'} ${id}*`;
         
         return body;
     }
@@ -1330,25 +1606,10 @@ class WebhookHandler {
         try {
             this.logger.info('Updating Notion with PR info', { pageId, id, prUrl, prStatus });
 
-            // Determine if this is a Bug or Task based on ID format
-            const isTask = id.startsWith('TSK-');
-            const isBug = id.startsWith('CBUG-') || id.startsWith('BUG-');
-
-            const updates = {
+            await this.notion.updateItemProperties(pageId, {
                 pullRequestStatus: prStatus,
                 pullRequestLink: prUrl
-            };
-
-            if (isBug) {
-                // Use existing NotionClient method for bugs
-                await this.notion.updateBugProperties(pageId, updates);
-            } else if (isTask) {
-                // For tasks, use the task-specific method
-                await this.notion.updateTaskProperties(pageId, updates, 'task');
-            } else {
-                // Generic update for other types
-                await this.updatePageBranchLink(pageId, updates);
-            }
+            }, this.idParser.getItemType(id));
 
             this.logger.info('Successfully updated Notion with PR info', { pageId, id, prUrl, prStatus });
 
@@ -1424,12 +1685,26 @@ class WebhookHandler {
      * @returns {Promise} Resolves when server is ready
      */
     start(port = 3000) {
+        // The Notion endpoint creates branches and merges pull requests, so it never runs open by accident
+        if (!this.hasNotionWebhookAuth()) {
+            if (this.config.isProductionMode()) {
+                throw new Error('Notion webhook authentication is required in production - set NOTION_WEBHOOK_TOKEN, NOTION_WEBHOOK_SIGNING_SECRET or WEBHOOK_IP_ALLOWLIST');
+            }
+            if (!this.allowsUnauthenticatedNotionWebhooks()) {
+                throw new Error('Notion webhook endpoint would be unauthenticated - set NOTION_WEBHOOK_TOKEN, NOTION_WEBHOOK_SIGNING_SECRET or WEBHOOK_IP_ALLOWLIST, or ALLOW_UNAUTHENTICATED_WEBHOOKS=true for local development');
+            }
+            this.logger.warn('Notion webhook endpoint is unauthenticated because ALLOW_UNAUTHENTICATED_WEBHOOKS=true - never use this in production');
+        }
+
         return new Promise((resolve) => {
             this.server = this.app.listen(port, () => {
                 this.logger.info(`Webhook server listening on port ${port}`);
                 this.logger.info(`Health check: http://localhost:${port}/health`);
-                this.logger.info(`Webhook URL: http://localhost:${port}/webhook/notion`);
-                this.logger.info(`Test endpoint: http://localhost:${port}/webhook/test`);
+                this.logger.info(`Webhook URL: http://localhost:${port}/webhook/notion/<action> (${Array.from(this.notionActions.keys()).join(', ')})`);
+                this.logger.info(`GitHub webhook URL: http://localhost:${port}/webhook/github`);
+                if (!this.config.isProductionMode()) {
+                    this.logger.info(`Test endpoint: http://localhost:${port}/webhook/test`);
+                }
                 resolve();
             });
         });
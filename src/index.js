@@ -7,6 +7,12 @@ const SyncManager = require('./SyncManager');
 const ConfigManager = require('./ConfigManager');
 const Logger = require('./Logger');
 const WebhookHandler = require('./WebhookHandler');
+const LinkStore = require('./LinkStore');
+const SyncStateStore = require('./SyncStateStore');
+const RateLimiter = require('./RateLimiter');
+const SyncPlan = require('./SyncPlan');
+const OperationJournal = require('./OperationJournal');
+const NotionSchema = require('./NotionSchema');
 
 class GitHubNotionSync {
     constructor() {
@@ -16,37 +22,71 @@ class GitHubNotionSync {
         this.github = null;
         this.syncManager = null;
         this.webhookHandler = null;
+        this.linkStore = null;
+        this.syncState = null;
+        this.journal = null;
+        this.rateLimiters = null;
+        this.notionSchema = null;
     }
 
     /**
      * Initialize all components
+     * Clients, stores and the sync manager are built once and shared by every cycle and the
+     * webhook server, so all passes see the same link store, sync state and rate limits
      */
     async initialize() {
+        if (this.syncManager) {
+            return;
+        }
+
         try {
             this.logger.info('Initializing GitHub-Notion Sync Plus...');
 
             // Initialize configuration
             this.config = new ConfigManager();
+            this.notionSchema = new NotionSchema(this.config.getNotionDatabases());
+
+            const maxRetries = this.config.getMaxRetries();
+            this.rateLimiters = {
+                notion: new RateLimiter('Notion', { requestsPerSecond: this.config.getNotionRequestsPerSecond(), maxRetries }),
+                github: new RateLimiter('GitHub', { requestsPerSecond: this.config.getGitHubRequestsPerSecond(), maxRetries })
+            };
 
             // Initialize clients
             this.notion = new NotionClient(
                 this.config.getNotionToken(),
-                this.config.getBugDatabaseId(),
-                this.config.getTaskDatabaseId()
+                this.config.getNotionDatabases(),
+                { maxPages: this.config.getMaxPages(), idParser: this.config.getIdParser(), schema: this.notionSchema, rateLimiter: this.rateLimiters.notion }
             );
 
             this.github = new GitHubClient(
                 this.config.getGitHubToken(),
-                this.logger
+                this.logger,
+                { maxPages: this.config.getMaxPages(), idParser: this.config.getIdParser(), issueTemplates: this.config.getIssueTemplates(), rateLimiter: this.rateLimiters.github }
             );
 
+            // Load local stores
+            this.linkStore = new LinkStore(this.config.getLinkStorePath());
+            this.syncState = new SyncStateStore(this.config.getSyncStatePath());
+            this.journal = new OperationJournal(this.config.getJournalPath());
+
             // Initialize sync manager
-            this.syncManager = new SyncManager(
+            const syncManager = new SyncManager(
                 this.notion,
                 this.github,
-                this.config
+                this.config,
+                this.linkStore,
+                this.syncState,
+                this.journal
             );
 
+            // Check the property schema and status mapping against Notion
+            await this.notion.validateSchema();
+            await syncManager.validateStatusMapping();
+
+            // Only set once validated, so a failed start is retried on the next call
+            this.syncManager = syncManager;
+
             this.logger.info('Initialization completed successfully');
 
         } catch (error) {
@@ -111,8 +151,8 @@ class GitHubNotionSync {
 
             this.logger.info('Starting synchronization process...');
 
-            // Perform the sync
-            const results = await this.syncManager.performFullSync();
+            // Perform the sync (incremental or full, depending on SYNC_MODE)
+            const results = await this.syncManager.performSync();
 
             // Log summary
             this.logSyncSummary(results);
@@ -154,6 +194,10 @@ class GitHubNotionSync {
                 });
         }
 
+        if (results.runId) {
+            this.logger.info(`Journal run: ${results.runId} (run "undo ${results.runId}" to reverse it)`);
+        }
+
         this.logger.info('=== END SUMMARY ===\n');
     }
 
@@ -167,20 +211,22 @@ class GitHubNotionSync {
             this.logger.info('Starting dry run (no changes will be made)...');
 
             // Fetch data from both sources
-            const [notionData, githubIssues] = await Promise.all([
+            const [allItems, githubIssues, issuesToImport] = await Promise.all([
                 this.notion.fetchAllItems(),
-                this.github.fetchAllSyncedIssues(this.config.getAllRepositories())
+                this.github.fetchAllSyncedIssues(this.config.getAllRepositories()),
+                this.syncManager.fetchIssuesToImport()
             ]);
 
-            const allItems = [...notionData.bugs, ...notionData.tasks];
-
             // Create mappings and determine operations
-            const { bugMap, issueMap } = this.syncManager.createMappings(allItems, githubIssues);
-            const operations = this.syncManager.determineSyncOperations(bugMap, issueMap);
+            const { bugMap, issueMap } = this.syncManager.createMappings(allItems, githubIssues, [], { dryRun: true });
+            const operations = [
+                ...this.syncManager.determineSyncOperations(bugMap, issueMap, new Map(), { dryRun: true }),
+                ...this.syncManager.determineImportOperations(issuesToImport)
+            ];
 
             // Log what would be done
             this.logger.info('\n=== DRY RUN RESULTS ===');
-            this.logger.info(`Found ${notionData.bugs.length} bugs and ${notionData.tasks.length} tasks in Notion`);
+            this.logger.info(`Found ${allItems.length} items in ${this.notion.databases.length} Notion databases`);
             this.logger.info(`Found ${githubIssues.length} synced issues in GitHub`);
             this.logger.info(`Would perform ${operations.length} operations:`);
 
@@ -198,6 +244,9 @@ class GitHubNotionSync {
                 this.logger.info('\nDetailed operations:');
                 operations.forEach((op, index) => {
                     this.logger.info(`${index + 1}. ${op.action}: ${op.reason}`);
+                    if (op.changes) {
+                        this.logChanges(op.changes);
+                    }
                 });
             }
 
@@ -210,6 +259,117 @@ class GitHubNotionSync {
         }
     }
 
+    /**
+     * Save the operations a full reconciliation would run to a plan file for review
+     * @param {string} planPath - Where to write the plan
+     * @returns {SyncPlan} Saved plan
+     */
+    async plan(planPath) {
+        try {
+            await this.initialize();
+
+            this.logger.info('Creating sync plan (no changes will be made)...');
+
+            const plan = await this.syncManager.createPlan();
+            plan.save(planPath);
+
+            this.logger.info('\n=== SYNC PLAN ===');
+            this.logger.info(`State hash: ${plan.stateHash}`);
+            this.logger.info(`Planned ${plan.operations.length} operations:`);
+
+            Object.entries(plan.getSummary()).forEach(([action, count]) => {
+                this.logger.info(`  - ${action}: ${count}`);
+            });
+
+            plan.operations.forEach((op, index) => {
+                this.logger.info(`${index + 1}. ${op.action} ${[op.sourceId, op.targetId].filter(Boolean).join(' -> ')}: ${op.reason}`);
+                this.logChanges(op.changes);
+            });
+
+            this.logger.info(`Plan saved to ${planPath}; run "apply ${planPath}" to execute it`);
+            this.logger.info('=== END SYNC PLAN ===\n');
+            return plan;
+
+        } catch (error) {
+            this.logger.error('Planning failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a saved plan if Notion and GitHub are still in the state it was made from
+     * @param {string} planPath - Plan file written by plan()
+     * @returns {Object} Sync results summary
+     */
+    async apply(planPath) {
+        try {
+            await this.initialize();
+
+            const plan = SyncPlan.load(planPath);
+            this.logger.info(`Applying plan ${planPath} (${plan.operations.length} operations, made at ${plan.createdAt})...`);
+
+            const results = await this.syncManager.applyPlan(plan);
+            this.logSyncSummary(results);
+
+            this.logger.info('Plan applied successfully');
+            return results;
+
+        } catch (error) {
+            this.logger.error('Applying plan failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reverse the field changes a sync run made, or list recent runs when no run is given
+     * @param {string} runId - Journal run ID (see the sync summary)
+     * @returns {Object|Array} Undo summary, or the recent runs
+     */
+    async undo(runId) {
+        try {
+            await this.initialize();
+
+            if (!runId) {
+                const runs = this.journal.listRuns();
+                this.logger.info('\n=== RECENT RUNS ===');
+                runs.forEach(run => {
+                    const undoNote = run.undoOf ? ` (undo of ${run.undoOf})` : '';
+                    this.logger.info(`${run.runId}  ${run.startedAt}  ${run.operations} operations, ${run.failed} failed${undoNote}`);
+                });
+                this.logger.info(runs.length > 0 ? 'Run "undo <runId>" to reverse a run' : 'The journal is empty');
+                return runs;
+            }
+
+            const summary = await this.syncManager.undo.undoRun(runId);
+
+            this.logger.info('\n=== UNDO SUMMARY ===');
+            this.logger.info(`↩️ Reverted: ${summary.undone} operations`);
+            this.logger.info(`⏭️ Skipped: ${summary.skipped} operations`);
+            this.logger.info(`🚨 Failed: ${summary.failed} operations`);
+            this.logger.info(`Undo recorded as run ${summary.runId}`);
+            this.logger.info('=== END UNDO SUMMARY ===\n');
+            return summary;
+
+        } catch (error) {
+            this.logger.error('Undo failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Log field changes of an operation as a line diff
+     * @param {Object} changes - Field changes as { field: { before, after } }
+     */
+    logChanges(changes) {
+        for (const [field, { before, after }] of Object.entries(changes)) {
+            const lines = [
+                ...(before ? String(before).split('\n').map(line => `      - ${line}`) : []),
+                ...(after ? String(after).split('\n').map(line => `      + ${line}`) : [])
+            ];
+            this.logger.info(`    ${field}:\n${lines.join('\n')}`);
+        }
+    }
+
     /**
      * Start webhook server alongside scheduled sync
      * @param {number} intervalMinutes - Sync interval in minutes
@@ -226,7 +386,9 @@ class GitHubNotionSync {
                 this.config,
                 this.github,
                 this.notion,
-                this.logger
+                this.logger,
+                this.syncManager,
+                this.linkStore
             );
 
             // Start webhook server
@@ -264,6 +426,22 @@ if (require.main === module) {
         app.dryRun()
             .then(() => process.exit(0))
             .catch(() => process.exit(1));
+    } else if (command === 'plan') {
+        app.plan(process.argv[3] || 'sync-plan.json')
+            .then(() => process.exit(0))
+            .catch(() => process.exit(1));
+    } else if (command === 'apply') {
+        if (!process.argv[3]) {
+            console.error('Usage: node src/index.js apply <plan-file>');
+            process.exit(1);
+        }
+        app.apply(process.argv[3])
+            .then(() => process.exit(0))
+            .catch(() => process.exit(1));
+    } else if (command === 'undo') {
+        app.undo(process.argv[3])
+            .then(() => process.exit(0))
+            .catch(() => process.exit(1));
     } else if (command === 'schedule') {
         app.runScheduled(interval)
             .catch(() => process.exit(1));
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const DataMapper = require('../src/DataMapper');
+
+describe('DataMapper status mapping', () => {
+    const mapper = new DataMapper();
+
+    it('maps Notion statuses to GitHub state and state_reason', () => {
+        assert.deepStrictEqual(mapper.mapNotionStatusToGitHub('In Progress'), { state: 'open', stateReason: null });
+        assert.deepStrictEqual(mapper.mapNotionStatusToGitHub('Fixed'), { state: 'closed', stateReason: 'completed' });
+        assert.deepStrictEqual(mapper.mapNotionStatusToGitHub('Rejected'), { state: 'closed', stateReason: 'not_planned' });
+        assert.strictEqual(mapper.mapNotionStatusToGitHubState('Fixed'), 'closed');
+    });
+
+    it('leaves the issue state alone for unmapped statuses', () => {
+        assert.strictEqual(mapper.isStatusMapped('Duplicate'), false);
+        assert.strictEqual(mapper.mapNotionStatusToGitHub('Duplicate'), null);
+        assert.strictEqual(mapper.mapNotionStatusToGitHubState('Duplicate'), null);
+        assert.strictEqual(mapper.needsGitHubStateUpdate('Duplicate', { state: 'closed' }), false);
+        assert.strictEqual(mapper.needsGitHubStateUpdate(null, { state: 'closed' }), false);
+    });
+
+    it('detects state and close reason changes', () => {
+        assert.strictEqual(mapper.needsGitHubStateUpdate('Fixed', { state: 'open' }), true);
+        assert.strictEqual(mapper.needsGitHubStateUpdate('Fixed', { state: 'closed', stateReason: 'completed' }), false);
+        assert.strictEqual(mapper.needsGitHubStateUpdate('Fixed', { state: 'closed', stateReason: 'not_planned' }), true);
+        assert.strictEqual(mapper.needsGitHubStateUpdate('Fixed', { state: 'closed', stateReason: null }), false);
+        assert.strictEqual(mapper.needsGitHubStateUpdate('Reported', { state: 'open' }), false);
+    });
+
+    it('maps GitHub state back to a Notion status', () => {
+        assert.strictEqual(mapper.mapGitHubStateToNotionStatus('closed', 'In Progress'), 'Fixed');
+        assert.strictEqual(mapper.mapGitHubStateToNotionStatus('closed', 'In Progress', 'not_planned'), 'Rejected');
+        assert.strictEqual(mapper.mapGitHubStateToNotionStatus('closed', 'Rejected', 'not_planned'), 'Rejected');
+        assert.strictEqual(mapper.mapGitHubStateToNotionStatus('closed', 'Rejected', 'completed'), 'Fixed');
+        assert.strictEqual(mapper.mapGitHubStateToNotionStatus('open', 'Fixed'), 'Reported');
+        assert.strictEqual(mapper.mapGitHubStateToNotionStatus('open', 'In Review'), 'In Review');
+    });
+
+    it('uses a configured status mapping', () => {
+        const custom = new DataMapper({
+            statusMapping: {
+                'Todo': { state: 'open', reason: null },
+                'Reopened': { state: 'open', reason: 'reopened' },
+                'Done': { state: 'closed', reason: 'completed' },
+                "Won't Do": { state: 'closed', reason: 'not_planned' }
+            }
+        });
+
+        assert.deepStrictEqual(custom.getMappedStatuses(), ['Todo', 'Reopened', 'Done', "Won't Do"]);
+        assert.strictEqual(custom.isStatusMapped('Fixed'), false);
+        assert.strictEqual(custom.mapGitHubStateToNotionStatus('closed', 'Todo', 'not_planned'), "Won't Do");
+        assert.strictEqual(custom.mapGitHubStateToNotionStatus('open', 'Done'), 'Reopened');
+    });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const GitHubClient = require('../src/GitHubClient');
+
+describe('GitHubClient', () => {
+    const client = new GitHubClient('ghp_test', console);
+
+    describe('isIdempotentRequest', () => {
+        it('treats every method but POST as safe to repeat', () => {
+            for (const method of ['GET', 'PATCH', 'PUT', 'DELETE']) {
+                assert.strictEqual(client.isIdempotentRequest({ method, url: '/repos/{owner}/{repo}/issues' }), true);
+            }
+        });
+
+        it('does not repeat REST POSTs', () => {
+            assert.strictEqual(client.isIdempotentRequest({ method: 'POST', url: '/repos/{owner}/{repo}/issues' }), false);
+        });
+
+        it('repeats GraphQL queries but not mutations', () => {
+            const query = (text, url = '/graphql') => client.isIdempotentRequest({ method: 'POST', url, query: text });
+
+            assert.strictEqual(query('\n    query($owner: String!) { repository(owner: $owner) { id } }'), true);
+            assert.strictEqual(query('{ viewer { login } }'), true);
+            assert.strictEqual(query('query { viewer { login } }', 'https://github.example.com/api/graphql'), true);
+            assert.strictEqual(query('\n    mutation($issueId: ID!) { closeIssue(input: { issueId: $issueId }) { issue { id } } }'), false);
+            assert.strictEqual(client.isIdempotentRequest({ method: 'POST', url: '/graphql' }), false);
+        });
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const IdParser = require('../src/IdParser');
+
+describe('IdParser', () => {
+    const parser = new IdParser();
+
+    it('uses the CBUG and TSK prefixes by default', () => {
+        assert.deepStrictEqual(parser.getPrefixes(), { CBUG: 'bug', TSK: 'task' });
+        assert.deepStrictEqual(new IdParser({}).getPrefixes(), { CBUG: 'bug', TSK: 'task' });
+    });
+
+    it('validates complete IDs with a configured prefix', () => {
+        assert.strictEqual(parser.isValidId('CBUG-2'), true);
+        assert.strictEqual(parser.isValidId('TSK-10'), true);
+        assert.strictEqual(parser.isValidId('FOO-2'), false);
+        assert.strictEqual(parser.isValidId('CBUG-2a'), false);
+        assert.strictEqual(parser.isValidId('CBUG-'), false);
+        assert.strictEqual(parser.isValidId(null), false);
+    });
+
+    it('gets the item type and number of an ID', () => {
+        assert.strictEqual(parser.getItemType('TSK-1'), 'task');
+        assert.strictEqual(parser.getItemType('FOO-1'), null);
+        assert.strictEqual(parser.getNumber('CBUG-12'), 12);
+        assert.ok(Number.isNaN(parser.getNumber('CBUG')));
+    });
+
+    it('parses current and legacy issue titles', () => {
+        assert.deepStrictEqual(parser.parseIssueTitle('CBUG-2: Button misaligned'), { id: 'CBUG-2', type: null, title: 'Button misaligned' });
+        assert.deepStrictEqual(parser.parseIssueTitle('[Cosmetic]/CBUG-3 Button misaligned'), { id: 'CBUG-3', type: 'Cosmetic', title: 'Button misaligned' });
+        assert.strictEqual(parser.parseIssueTitle('Button misaligned'), null);
+        assert.strictEqual(parser.parseIssueTitle('FOO-2: Button misaligned'), null);
+        assert.strictEqual(parser.fromIssueTitle('TSK-4: Write docs'), 'TSK-4');
+        assert.strictEqual(parser.fromIssueTitle(undefined), null);
+    });
+
+    it('extracts IDs from branch names', () => {
+        assert.strictEqual(parser.fromBranchName('CBUG-2/cosmetic-test-bug-fix'), 'CBUG-2');
+        assert.strictEqual(parser.fromBranchName('feature/CBUG-2'), null);
+        assert.strictEqual(parser.fromBranchName('CBUG-2'), null);
+        assert.strictEqual(parser.fromBranchName(null), null);
+    });
+
+    it('matches configured prefixes only, escaping regex characters', () => {
+        const custom = new IdParser({ 'OPS.X': 'incident' });
+
+        assert.strictEqual(custom.getItemType('OPS.X-5'), 'incident');
+        assert.strictEqual(custom.isValidId('OPSAX-5'), false);
+        assert.strictEqual(custom.isValidId('CBUG-5'), false);
+        assert.strictEqual(custom.fromBranchName('OPS.X-5/fix-alerts'), 'OPS.X-5');
+    });
+});
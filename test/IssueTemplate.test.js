@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const IssueTemplate = require('../src/IssueTemplate');
+
+describe('IssueTemplate', () => {
+    const template = new IssueTemplate('task');
+
+    describe('renderChecklist', () => {
+        it('turns plain, bulleted and numbered lines into unchecked boxes', () => {
+            assert.strictEqual(
+                template.renderChecklist('Export works\n- Shows progress\n2. Handles errors\n\n'),
+                '- [ ] Export works\n- [ ] Shows progress\n- [ ] Handles errors'
+            );
+        });
+
+        it('keeps boxes ticked in Notion', () => {
+            assert.strictEqual(
+                template.renderChecklist('- [x] Export works\n- [ ] Shows progress'),
+                '- [x] Export works\n- [ ] Shows progress'
+            );
+        });
+
+        it('keeps boxes ticked on GitHub while the line text is unchanged', () => {
+            const existing = '- [x] Export works\n- [X] Shows progress\n- [ ] Handles errors';
+
+            assert.strictEqual(
+                template.renderChecklist('Export works\nShows a progress bar\nHandles errors', existing),
+                '- [x] Export works\n- [ ] Shows a progress bar\n- [ ] Handles errors'
+            );
+        });
+
+        it('renders nothing for empty text', () => {
+            assert.strictEqual(template.renderChecklist(''), '');
+        });
+    });
+
+    it('renders checklist sections from the item field', () => {
+        const section = template.sections.find(candidate => candidate.key === 'acceptance');
+
+        assert.strictEqual(
+            template.renderSection(section, { stepsToReproduce: 'Export works\r\nShows progress' }, '- [x] Shows progress'),
+            '- [ ] Export works\n- [x] Shows progress'
+        );
+    });
+
+    it('formats titles and lists missing required fields', () => {
+        const bug = new IssueTemplate();
+
+        assert.strictEqual(bug.formatTitle({ id: 'CBUG-2', title: 'Button misaligned' }), 'CBUG-2: Button misaligned');
+        assert.deepStrictEqual(bug.getMissingFields({ id: 'CBUG-2' }), ['type']);
+        assert.deepStrictEqual(template.getMissingFields({ id: 'TSK-1' }), []);
+    });
+
+    it('adds a sub-issues section to templates without one', () => {
+        assert.strictEqual(template.sections[template.sections.length - 1].field, 'subIssues');
+    });
+
+    it('rejects unknown presets, titles without the ID and invalid sections', () => {
+        assert.throws(() => new IssueTemplate('epic'), /Unknown issue template preset "epic"/);
+        assert.throws(() => new IssueTemplate({ title: '{title} ({id})' }), /must start with "\{id\}: "/);
+        assert.throws(() => new IssueTemplate({ sections: [{ key: 'notes', heading: 'Notes', field: 'notes' }] }), /needs a key, a heading/);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const NotionMarkdown = require('../src/NotionMarkdown');
+
+/**
+ * Build a plain Notion rich text object
+ * @param {string} content - Text
+ * @param {Object} annotations - Annotations to set
+ * @param {string} url - Link URL
+ * @returns {Object} Rich text object
+ */
+function text(content, annotations = {}, url = null) {
+    return { type: 'text', plain_text: content, text: { content, link: url ? { url } : null }, annotations };
+}
+
+/**
+ * Build a Notion block with rich text
+ * @param {string} type - Block type
+ * @param {string} content - Block text
+ * @param {Object} extra - Additional block values
+ * @returns {Object} Block object
+ */
+function block(type, content, extra = {}) {
+    return { id: 'b1c2-d3', type, [type]: { rich_text: [text(content)], ...extra } };
+}
+
+describe('NotionMarkdown', () => {
+    const markdown = new NotionMarkdown();
+
+    describe('richTextToMarkdown', () => {
+        it('applies annotations and links', () => {
+            assert.strictEqual(
+                markdown.richTextToMarkdown([
+                    text('Crash ', { bold: true }),
+                    text('on', { italic: true, strikethrough: true }),
+                    text(' start', { underline: true }),
+                    text('docs', {}, '/0a1b2c')
+                ]),
+                '**Crash** ~~*on*~~ <ins>start</ins>[docs](https://www.notion.so/0a1b2c)'
+            );
+        });
+
+        it('escapes Markdown characters but keeps typed bullets', () => {
+            assert.strictEqual(markdown.richTextToMarkdown([text('* item with *stars* and [brackets]')]), '* item with \\*stars\\* and \\[brackets\\]');
+        });
+
+        it('formats code spans, equations and mentions', () => {
+            assert.strictEqual(markdown.richTextToMarkdown([text('a `b`', { code: true })]), '`` a `b` ``');
+            assert.strictEqual(markdown.richTextToMarkdown([{ type: 'equation', plain_text: 'x^2', equation: { expression: 'x^2' } }]), '$x^2$');
+            assert.strictEqual(markdown.richTextToMarkdown([{ type: 'mention', plain_text: '@Ada', mention: { type: 'user' }, annotations: {} }]), 'Ada');
+            assert.strictEqual(
+                markdown.richTextToMarkdown([{ type: 'mention', plain_text: 'Spec', href: '/spec', mention: { type: 'page' }, annotations: {} }]),
+                '[Spec](https://www.notion.so/spec)'
+            );
+        });
+    });
+
+    describe('blocksToMarkdown', () => {
+        it('joins list items without blank lines and numbers them', () => {
+            assert.strictEqual(
+                markdown.blocksToMarkdown([
+                    block('paragraph', 'Steps:'),
+                    block('numbered_list_item', 'Open app'),
+                    block('numbered_list_item', 'Tap export'),
+                    block('to_do', 'Verify', { checked: true })
+                ]),
+                'Steps:\n\n1. Open app\n2. Tap export\n- [x] Verify'
+            );
+        });
+
+        it('nests children and shifts headings down', () => {
+            const item = { ...block('bulleted_list_item', 'Parent'), children: [block('bulleted_list_item', 'Child')] };
+
+            assert.strictEqual(markdown.blocksToMarkdown([block('heading_1', 'Notes'), item]), '### Notes\n\n- Parent\n  - Child');
+        });
+
+        it('formats quotes, callouts, toggles and code blocks', () => {
+            assert.strictEqual(markdown.blocksToMarkdown([block('quote', 'Quoted\nline')]), '> Quoted\n> line');
+            assert.strictEqual(markdown.blocksToMarkdown([block('callout', 'Careful', { icon: { type: 'emoji', emoji: '⚠️' } })]), '> ⚠️ Careful');
+            assert.strictEqual(markdown.blocksToMarkdown([block('toggle', 'More')]), '<details>\n<summary>More</summary>\n\n</details>');
+            assert.strictEqual(
+                markdown.blocksToMarkdown([{ type: 'code', code: { language: 'java script', rich_text: [text('a ``` b')] } }]),
+                '````javascript\na ``` b\n````'
+            );
+        });
+
+        it('formats tables with a header row', () => {
+            const row = (...cells) => ({ type: 'table_row', table_row: { cells: cells.map(cell => [text(cell)]) } });
+            const table = { type: 'table', table: { table_width: 2, has_column_header: false }, children: [row('a|b', 'c\nd')] };
+
+            assert.strictEqual(markdown.blocksToMarkdown([table]), '|  |  |\n| --- | --- |\n| a\\|b | c<br>d |');
+        });
+
+        it('links files hosted by Notion to the page instead of their expiring URL', () => {
+            const external = { id: 'f-1', type: 'image', image: { type: 'external', external: { url: 'https://example.com/a.png' }, caption: [] } };
+            const hosted = { id: 'f-2', type: 'pdf', pdf: { type: 'file', file: { url: 'https://s3.example.com/signed' }, caption: [text('Spec')] } };
+
+            assert.strictEqual(markdown.blocksToMarkdown([external]), '![image](https://example.com/a.png)');
+            assert.strictEqual(markdown.blocksToMarkdown([hosted], 'https://www.notion.so/page'), '📄 [Spec](https://www.notion.so/page#f2) (in Notion)');
+            assert.strictEqual(markdown.blocksToMarkdown([hosted]), '📄 Spec');
+        });
+
+        it('skips blocks without a Markdown equivalent', () => {
+            assert.strictEqual(markdown.blocksToMarkdown([{ type: 'table_of_contents', table_of_contents: {} }, block('paragraph', 'Text')]), 'Text');
+        });
+    });
+});
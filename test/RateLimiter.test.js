@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../src/RateLimiter');
+
+/**
+ * Create an API client error
+ * @param {number|null} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @param {string} code - Network error code
+ * @returns {Error} Error like the ones Octokit and the Notion client throw
+ */
+function apiError(status, headers = {}, code = undefined) {
+    const error = new Error(`HTTP ${status || code}`);
+    error.status = status;
+    error.code = code;
+    error.response = { headers };
+    return error;
+}
+
+/**
+ * Create a request that fails with the given errors before succeeding
+ * @param {Array} errors - Errors to throw, one per attempt
+ * @returns {Function} Request with an attempts counter
+ */
+function failingRequest(errors) {
+    const request = async () => {
+        request.attempts++;
+        if (request.attempts <= errors.length) {
+            throw errors[request.attempts - 1];
+        }
+        return 'ok';
+    };
+    request.attempts = 0;
+    return request;
+}
+
+/**
+ * Create a fast limiter for tests
+ * @param {Object} options - Limiter options
+ * @returns {RateLimiter} Limiter
+ */
+function createLimiter(options = {}) {
+    return new RateLimiter('Test', { requestsPerSecond: 1000, maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1000, ...options });
+}
+
+describe('RateLimiter', () => {
+    describe('schedule', () => {
+        it('retries server errors of idempotent requests until maxRetries', async () => {
+            const limiter = createLimiter();
+            const recovering = failingRequest([apiError(502), apiError(503)]);
+            const failing = failingRequest([apiError(502), apiError(502), apiError(502)]);
+
+            assert.strictEqual(await limiter.schedule(recovering, 'GET test'), 'ok');
+            assert.strictEqual(recovering.attempts, 3);
+
+            await assert.rejects(limiter.schedule(failing, 'GET test'), /HTTP 502/);
+            assert.strictEqual(failing.attempts, 3);
+        });
+
+        it('retries network errors of idempotent requests', async () => {
+            const request = failingRequest([apiError(undefined, {}, 'ECONNRESET')]);
+
+            assert.strictEqual(await createLimiter().schedule(request, 'GET test'), 'ok');
+            assert.strictEqual(request.attempts, 2);
+        });
+
+        it('only retries non-idempotent requests when rate limited', async () => {
+            const limiter = createLimiter();
+            const serverError = failingRequest([apiError(502)]);
+            const networkError = failingRequest([apiError(undefined, {}, 'ETIMEDOUT')]);
+            const rateLimited = failingRequest([apiError(429)]);
+
+            await assert.rejects(limiter.schedule(serverError, 'POST test', { idempotent: false }), /HTTP 502/);
+            await assert.rejects(limiter.schedule(networkError, 'POST test', { idempotent: false }), /ETIMEDOUT/);
+            assert.strictEqual(await limiter.schedule(rateLimited, 'POST test', { idempotent: false }), 'ok');
+            assert.deepStrictEqual([serverError.attempts, networkError.attempts, rateLimited.attempts], [1, 1, 2]);
+        });
+
+        it('does not retry client errors', async () => {
+            const request = failingRequest([apiError(404)]);
+
+            await assert.rejects(createLimiter().schedule(request, 'GET test'), /HTTP 404/);
+            assert.strictEqual(request.attempts, 1);
+        });
+
+        it('waits the delay the API asks for and holds other requests meanwhile', async () => {
+            const limiter = createLimiter();
+            const request = failingRequest([apiError(429, { 'retry-after': '0.05' })]);
+            const startedAt = Date.now();
+
+            assert.strictEqual(await limiter.schedule(request, 'GET test'), 'ok');
+            assert.ok(Date.now() - startedAt >= 45);
+            assert.ok(limiter.pausedUntil >= startedAt + 50);
+        });
+
+        it('fails instead of waiting longer than maxDelayMs', async () => {
+            const request = failingRequest([apiError(429, { 'retry-after': '120' })]);
+
+            await assert.rejects(createLimiter({ maxDelayMs: 60000 }).schedule(request, 'GET test'), /HTTP 429/);
+            assert.strictEqual(request.attempts, 1);
+        });
+
+        it('paces requests to requestsPerSecond', async () => {
+            const limiter = createLimiter({ requestsPerSecond: 20, burst: 1 });
+            const startedAt = Date.now();
+
+            await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => 'ok', 'GET test')));
+
+            assert.ok(Date.now() - startedAt >= 90);
+        });
+    });
+
+    it('retries GitHub 403s only when they are rate limits', () => {
+        const limiter = createLimiter();
+
+        assert.strictEqual(limiter.isRetryable(apiError(403, { 'x-ratelimit-remaining': '0' }), false), true);
+        assert.strictEqual(limiter.isRetryable(apiError(403, { 'retry-after': '60' }), false), true);
+        assert.strictEqual(limiter.isRetryable(apiError(403, { 'x-ratelimit-remaining': '12' })), false);
+    });
+
+    it('reads server delays from Retry-After and x-ratelimit-reset', () => {
+        const limiter = createLimiter();
+        const reset = Math.floor(Date.now() / 1000) + 30;
+        const headers = new Map([['retry-after', '2']]);
+
+        assert.strictEqual(limiter.getServerDelay(apiError(429, { 'retry-after': '3' })), 3000);
+        assert.strictEqual(limiter.getServerDelay(apiError(429, headers)), 2000);
+        assert.ok(limiter.getServerDelay(apiError(429, { 'retry-after': new Date(Date.now() + 10000).toUTCString() })) > 8000);
+        assert.ok(limiter.getServerDelay(apiError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) })) > 28000);
+        assert.strictEqual(limiter.getServerDelay(apiError(403, { 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': String(reset) })), null);
+        assert.strictEqual(limiter.getServerDelay(apiError(502)), null);
+    });
+
+    it('backs off exponentially with jitter up to maxDelayMs', () => {
+        const limiter = createLimiter({ baseDelayMs: 100, maxDelayMs: 1000 });
+
+        for (let i = 0; i < 20; i++) {
+            const first = limiter.getBackoffDelay(0);
+            const third = limiter.getBackoffDelay(2);
+            const capped = limiter.getBackoffDelay(10);
+
+            assert.ok(first >= 50 && first <= 100);
+            assert.ok(third >= 200 && third <= 400);
+            assert.ok(capped >= 500 && capped <= 1000);
+        }
+    });
+
+    it('counts the retries of a tracked function', async () => {
+        const limiter = createLimiter();
+
+        const { result, retries } = await RateLimiter.track(() => limiter.schedule(failingRequest([apiError(503)]), 'GET test'));
+        assert.deepStrictEqual([result, retries], ['ok', 1]);
+
+        await assert.rejects(
+            RateLimiter.track(() => limiter.schedule(failingRequest([apiError(503), apiError(503), apiError(503)]), 'GET test')),
+            error => error.retries === 2
+        );
+    });
+});
@@ -0,0 +1,416 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SyncManager = require('../src/SyncManager');
+const IdParser = require('../src/IdParser');
+
+/**
+ * Create a SyncManager with the default configuration and the given collaborators
+ * @param {Object} overrides - { notion, github, config, links, syncState } stubs
+ * @returns {SyncManager} Sync manager
+ */
+function createManager({ notion = {}, github = {}, config = {}, links = {}, syncState = null } = {}) {
+    const defaults = {
+        getLabelConfig: () => null,
+        getIdParser: () => new IdParser(),
+        getStatusMapping: () => null,
+        getIssueTemplates: () => new Map(),
+        getSyncRules: () => null,
+        getSyncConcurrency: () => 1
+    };
+    return new SyncManager(notion, github, { ...defaults, ...config }, links, syncState);
+}
+
+describe('SyncManager.executeOperation', () => {
+    /**
+     * Create a GitHub client stub recording each call and answering from the given responses
+     * @param {Object} responses - Method name to the value it resolves with
+     * @returns {Object} Client stub with the calls it received
+     */
+    function createGitHub(responses = {}) {
+        const calls = [];
+        const client = { calls };
+        for (const [method, response] of Object.entries(responses)) {
+            client[method] = async (...args) => {
+                calls.push([method, ...args]);
+                return typeof response === 'function' ? response(...args) : response;
+            };
+        }
+        return client;
+    }
+
+    it('closes the issue with the mapped reason for update_github_state', async () => {
+        const github = createGitHub({
+            updateIssueState: { state: 'closed', stateReason: 'not_planned' },
+            addSyncNote: null
+        });
+        const manager = createManager({ github });
+        const issue = { repository: 'owner/repo', githubId: 7, state: 'open', stateReason: null };
+
+        await manager.executeOperation(
+            manager.mapper.createSyncOperation('update_github_state', { id: 'CBUG-1', status: 'Rejected' }, issue, 'Status changed')
+        );
+
+        assert.deepStrictEqual(github.calls, [
+            ['updateIssueState', 'owner/repo', 7, 'closed', 'not_planned'],
+            ['addSyncNote', 'owner/repo', 7, 'Issue state updated to "closed" based on Notion bug status: "Rejected"']
+        ]);
+        assert.strictEqual(issue.state, 'closed');
+        assert.strictEqual(issue.stateReason, 'not_planned');
+    });
+
+    it('skips update_github_state for statuses missing from the status mapping', async () => {
+        const github = createGitHub({ updateIssueState: null, addSyncNote: null });
+        const manager = createManager({ github });
+
+        const result = await manager.executeOperation(
+            manager.mapper.createSyncOperation('update_github_state', { id: 'CBUG-1', status: 'Triage' }, { repository: 'owner/repo', githubId: 7 }, 'Status changed')
+        );
+
+        assert.strictEqual(result.type, 'skipped');
+        assert.deepStrictEqual(github.calls, []);
+    });
+
+    it('sets the status matching the close reason for update_notion_status', async () => {
+        const updates = [];
+        const manager = createManager({ notion: {
+            updateItemProperties: async (pageId, properties, itemType) => {
+                updates.push([pageId, properties, itemType]);
+                return { object: 'page', id: pageId };
+            }
+        } });
+        const item = { notionId: 'page-1', id: 'CBUG-1', itemType: 'bug', status: 'In Progress' };
+
+        const result = await manager.executeOperation(
+            manager.mapper.createSyncOperation('update_notion_status', item, { state: 'closed', stateReason: 'completed' }, 'Issue closed')
+        );
+
+        assert.deepStrictEqual(result, { object: 'page', id: 'page-1' });
+        assert.deepStrictEqual(updates, [['page-1', { status: 'Fixed' }, 'bug']]);
+    });
+
+    it('writes the issue URL to Notion for update_notion_link', async () => {
+        const updates = [];
+        const manager = createManager({ notion: {
+            updateItemProperties: async (pageId, properties, itemType) => updates.push([pageId, properties, itemType])
+        } });
+        const item = { notionId: 'page-1', id: 'TSK-1', itemType: 'task' };
+
+        await manager.executeOperation(
+            manager.mapper.createSyncOperation('update_notion_link', item, { githubUrl: 'https://github.com/owner/repo/issues/7' }, 'Issue created')
+        );
+
+        assert.deepStrictEqual(updates, [['page-1', { issueUrl: 'https://github.com/owner/repo/issues/7' }, 'task']]);
+    });
+
+    it('sends only the changed fields for update_github_content', async () => {
+        const github = createGitHub({
+            updateIssueContent: (repository, number, fields) => ({ title: fields.title || 'Old title', body: fields.body || 'Old body' })
+        });
+        github.formatIssueTitle = (bug) => `[Bug]/${bug.id} ${bug.title}`;
+        github.applyGeneratedSections = (body) => ({ body, changes: {} });
+        const manager = createManager({ github });
+        const issue = { repository: 'owner/repo', githubId: 7, title: 'Old title', body: 'Old body' };
+
+        const result = await manager.executeOperation(
+            manager.mapper.createSyncOperation('update_github_content', { id: 'CBUG-1', title: 'Crash on save' }, issue, 'Title changed')
+        );
+
+        assert.deepStrictEqual(result, { type: 'updated', issueNumber: 7, fields: ['title'] });
+        assert.deepStrictEqual(github.calls, [['updateIssueContent', 'owner/repo', 7, { title: '[Bug]/CBUG-1 Crash on save' }]]);
+        assert.strictEqual(issue.title, '[Bug]/CBUG-1 Crash on save');
+        assert.strictEqual(issue.body, 'Old body');
+    });
+
+    it('assigns mapped people and keeps unmapped assignees for update_github_assignees', async () => {
+        const github = createGitHub({ setIssueAssignees: (repository, number, assignees) => ({ assignees }) });
+        const manager = createManager({
+            github,
+            config: { getUserMapping: () => ({ 'user-1': 'alice', 'bob@example.com': 'bob' }) }
+        });
+        const bug = { id: 'CBUG-1', assignees: [{ id: 'user-9', email: 'bob@example.com' }] };
+        const issue = { repository: 'owner/repo', githubId: 7, assignees: ['alice', 'outside-contributor'] };
+
+        const result = await manager.executeOperation(
+            manager.mapper.createSyncOperation('update_github_assignees', bug, issue, 'Assignees changed')
+        );
+
+        assert.deepStrictEqual(github.calls, [['setIssueAssignees', 'owner/repo', 7, ['bob', 'outside-contributor']]]);
+        assert.deepStrictEqual(result.assignees, ['bob', 'outside-contributor']);
+        assert.deepStrictEqual(issue.assignees, ['bob', 'outside-contributor']);
+    });
+
+    it('counts a delete whose orphan policy fails as a failed operation', async () => {
+        const github = createGitHub({
+            addSyncNote: null,
+            addLabels: null,
+            deleteIssue: () => { throw new Error('Resource not accessible by integration'); }
+        });
+        const manager = createManager({
+            github,
+            config: {
+                getOrphanPolicy: () => ({ policy: 'close-lock' }),
+                getOrphanCommentTemplate: () => '{id} was {event} in Notion. {outcome}'
+            },
+            links: { findByIssue: () => null }
+        });
+        const issue = { repository: 'owner/repo', githubId: 9, bugId: 'CBUG-9', state: 'open' };
+
+        const results = await manager.executeSyncOperations([
+            manager.mapper.createSyncOperation('delete', null, issue, 'Notion page deleted')
+        ]);
+
+        assert.strictEqual(results.failed, 1);
+        assert.strictEqual(results.deleted, 0);
+        assert.strictEqual(results.operations[0].error, 'Resource not accessible by integration');
+        assert.deepStrictEqual(github.calls.map(([method]) => method), ['addSyncNote', 'addLabels', 'deleteIssue']);
+    });
+
+    it('rejects unknown actions', async () => {
+        const manager = createManager();
+        await assert.rejects(
+            manager.executeOperation({ action: 'rename_repository', reason: 'test' }),
+            /Unknown operation: rename_repository/
+        );
+    });
+
+    it('replaces managed labels for update_github_labels', async () => {
+        const calls = [];
+        const manager = createManager({ github: {
+            removeLabel: async (repository, number, label) => calls.push(['remove', repository, number, label]),
+            addLabels: async (repository, number, labels) => calls.push(['add', repository, number, labels]),
+            ensureLabel: async (repository, label, color) => calls.push(['ensure', repository, label, color])
+        } });
+        const bug = { id: 'CBUG-1', type: 'Fatal', status: 'In Review' };
+        const issue = { repository: 'owner/repo', githubId: 7, labels: ['bug', 'notion-sync', 'fatal', 'in-progress', 'help wanted'] };
+
+        const result = await manager.executeOperation(
+            manager.mapper.createSyncOperation('update_github_labels', bug, issue, 'Status changed')
+        );
+
+        assert.deepStrictEqual(result, { type: 'updated', issueNumber: 7, added: ['in-review'], removed: ['in-progress'] });
+        assert.deepStrictEqual(calls, [
+            ['remove', 'owner/repo', 7, 'in-progress'],
+            ['ensure', 'owner/repo', 'in-review', '0e8a16'],
+            ['add', 'owner/repo', 7, ['in-review']]
+        ]);
+        assert.deepStrictEqual(issue.labels, ['bug', 'notion-sync', 'fatal', 'help wanted', 'in-review']);
+    });
+});
+
+describe('SyncManager.determineOrphanOperations', () => {
+    /**
+     * Create a sync manager whose sync state keeps pending orphans in memory
+     * @param {Object} options - { truncated } Notion fetches reported as truncated
+     * @returns {Object} { manager, state }
+     */
+    function createOrphanManager({ truncated = [] } = {}) {
+        const state = { pendingOrphans: {} };
+        const manager = createManager({
+            notion: { getTruncatedFetches: () => truncated },
+            config: {
+                getOrphanPolicy: () => ({ policy: 'close-lock' }),
+                getOrphanMaxCount: () => 2,
+                getOrphanMaxPercent: () => 50,
+                getOrphanGraceMinutes: () => 0
+            },
+            links: { findByIssue: () => null },
+            syncState: {
+                getPendingOrphans: () => state.pendingOrphans,
+                setPendingOrphans: (pending) => { state.pendingOrphans = pending; }
+            }
+        });
+        return { manager, state };
+    }
+
+    const items = [{ id: 'CBUG-1', itemType: 'bug' }, { id: 'TSK-1', itemType: 'task' }];
+    const orphan = { itemId: 'CBUG-9', issue: { repository: 'owner/repo', githubId: 9, state: 'open', labels: [] } };
+
+    it('holds an orphan for one cycle and closes it once the next cycle confirms it', () => {
+        const { manager, state } = createOrphanManager();
+
+        assert.deepStrictEqual(manager.determineOrphanOperations([orphan], items, 10), []);
+        assert.deepStrictEqual(Object.keys(state.pendingOrphans), ['owner/repo#9']);
+
+        const operations = manager.determineOrphanOperations([orphan], items, 10);
+        assert.deepStrictEqual(operations.map(operation => [operation.action, operation.target]), [['delete', orphan.issue]]);
+    });
+
+    it('leaves pending orphans alone in a dry run', () => {
+        const { manager, state } = createOrphanManager();
+
+        manager.determineOrphanOperations([orphan], items, 10, { dryRun: true });
+        assert.deepStrictEqual(state.pendingOrphans, {});
+    });
+
+    it('forgets pending orphans when an orphan has a Notion item again', () => {
+        const { manager, state } = createOrphanManager();
+        manager.determineOrphanOperations([orphan], items, 10);
+
+        manager.determineOrphanOperations([], items, 10);
+        assert.deepStrictEqual(state.pendingOrphans, {});
+    });
+
+    for (const [name, setup, orphanItems, issueCount, orphans] of [
+        ['Notion results were truncated', { truncated: ['bug database'] }, items, 10, [orphan]],
+        ['Notion returned no items', {}, [], 10, [orphan]],
+        ['the database of an orphan returned no items', {}, [{ id: 'TSK-1', itemType: 'task' }], 10, [orphan]],
+        ['the orphans exceed ORPHAN_MAX_COUNT', {}, items, 100, [1, 2, 3].map(githubId => ({ itemId: `CBUG-${githubId + 10}`, issue: { ...orphan.issue, githubId } }))],
+        ['the orphans exceed ORPHAN_MAX_PERCENT', {}, items, 1, [orphan]]
+    ]) {
+        it(`trips the breaker and forgets pending orphans when ${name}`, () => {
+            const { manager, state } = createOrphanManager(setup);
+            state.pendingOrphans = { 'owner/repo#9': { itemId: 'CBUG-9', firstSeenAt: '2024-01-01T00:00:00.000Z' } };
+
+            assert.deepStrictEqual(manager.determineOrphanOperations(orphans, orphanItems, issueCount), []);
+            assert.deepStrictEqual(state.pendingOrphans, {});
+        });
+    }
+
+    it('needs two healthy cycles in a row after the breaker tripped', () => {
+        const { manager, state } = createOrphanManager();
+        manager.determineOrphanOperations([orphan], items, 10);
+
+        manager.determineOrphanOperations([orphan], [], 10);
+        assert.deepStrictEqual(manager.determineOrphanOperations([orphan], items, 10), []);
+        assert.strictEqual(manager.determineOrphanOperations([orphan], items, 10).length, 1);
+        assert.ok(state.pendingOrphans['owner/repo#9']);
+    });
+});
+
+describe('SyncManager.executeJournaledOperation', () => {
+    /**
+     * Create a sync manager whose undo manager records entries in memory
+     * @param {Function} record - Replacement for UndoManager.record
+     * @returns {Object} { manager, entries }
+     */
+    function createJournaledManager(record = null) {
+        const entries = [];
+        const manager = createManager();
+        manager.undo = {
+            capture: () => ({ kind: null, ref: null, prior: null }),
+            record: record || ((runId, operation, captured, outcome) => entries.push({ runId, action: operation.action, ...outcome }))
+        };
+        return { manager, entries };
+    }
+
+    const operation = { action: 'update_notion_link', reason: 'Issue created', source: { id: 'CBUG-1' }, target: { githubId: 12 } };
+
+    it('journals the operation with its result', async () => {
+        const { manager, entries } = createJournaledManager();
+        manager.updateNotionBugLink = async () => ({ object: 'page' });
+
+        assert.deepStrictEqual(await manager.executeJournaledOperation(operation, 'run-1'), { object: 'page' });
+        assert.deepStrictEqual(entries, [{ runId: 'run-1', action: 'update_notion_link', success: true, result: { object: 'page' } }]);
+    });
+
+    it('journals failed operations once and rethrows', async () => {
+        const { manager, entries } = createJournaledManager();
+        manager.updateNotionBugLink = async () => { throw new Error('Not Found'); };
+
+        await assert.rejects(manager.executeJournaledOperation(operation, 'run-1'), /Not Found/);
+        assert.deepStrictEqual(entries, [{ runId: 'run-1', action: 'update_notion_link', success: false, error: 'Not Found' }]);
+    });
+
+    it('keeps an applied operation successful when the journal cannot be written', async () => {
+        const { manager } = createJournaledManager(() => { throw new Error('ENOSPC'); });
+        let runs = 0;
+        manager.updateNotionBugLink = async () => { runs++; return { object: 'page' }; };
+
+        assert.deepStrictEqual(await manager.executeJournaledOperation(operation, 'run-1'), { object: 'page' });
+        assert.strictEqual(runs, 1);
+    });
+});
+
+describe('SyncManager incremental sync', () => {
+    /**
+     * Create a sync manager with in-memory watermarks and clients returning no changes
+     * @param {Object} options - { watermarks, lastFullSync, truncated } starting state and truncated GitHub fetches
+     * @returns {Object} { manager, state, queries }
+     */
+    function createIncrementalManager({ watermarks = {}, lastFullSync = null, truncated = [] } = {}) {
+        const state = { watermarks: { ...watermarks }, lastFullSync };
+        const queries = [];
+        const manager = createManager({
+            notion: {
+                clearTruncatedFetches: () => {},
+                getTruncatedFetches: () => [],
+                fetchAllItems: async (options) => { queries.push(['notion', options.since]); return []; }
+            },
+            github: {
+                clearTruncatedFetches: () => {},
+                getTruncatedFetches: () => truncated,
+                fetchAllSyncedIssues: async (repositories, options) => { queries.push(['issues', options.since]); return []; },
+                fetchAllPullRequests: async (repositories, options) => { queries.push(['pulls', options.since]); return []; }
+            },
+            config: {
+                isIncrementalSyncEnabled: () => true,
+                getFullSyncIntervalMinutes: () => 60,
+                getAllRepositories: () => ['owner/repo'],
+                getImportLabel: () => null,
+                isCommentSyncEnabled: () => false
+            },
+            syncState: {
+                getWatermark: (source) => state.watermarks[source] || null,
+                setWatermarks: (updated) => { state.watermarks = { ...state.watermarks, ...updated }; },
+                getLastFullSync: () => state.lastFullSync
+            }
+        });
+        return { manager, state, queries };
+    }
+
+    it('re-reads two minutes before each watermark', () => {
+        const { manager } = createIncrementalManager({
+            watermarks: { notion: '2026-10-01T10:00:00.000Z', github: '2026-10-01T10:30:00.000Z' }
+        });
+
+        assert.strictEqual(manager.getChangedSince('notion'), '2026-10-01T09:58:00.000Z');
+        assert.strictEqual(manager.getChangedSince('github'), '2026-10-01T10:28:00.000Z');
+    });
+
+    it('reads everything before the first watermark', () => {
+        const { manager } = createIncrementalManager();
+
+        assert.ok(new Date(manager.getChangedSince('notion')).getTime() <= 0);
+    });
+
+    it('queries both sources since their watermarks and advances them to the start of the pass', async () => {
+        const { manager, state, queries } = createIncrementalManager({
+            watermarks: { notion: '2026-10-01T10:00:00.000Z', github: '2026-10-01T10:00:00.000Z' }
+        });
+        const before = new Date().toISOString();
+
+        await manager.performIncrementalSync();
+
+        assert.deepStrictEqual(queries, [
+            ['notion', '2026-10-01T09:58:00.000Z'],
+            ['issues', '2026-10-01T09:58:00.000Z'],
+            ['pulls', '2026-10-01T09:58:00.000Z']
+        ]);
+        assert.strictEqual(state.watermarks.notion, state.watermarks.github);
+        assert.ok(state.watermarks.notion >= before && state.watermarks.notion <= new Date().toISOString());
+    });
+
+    it('keeps the watermarks when a fetch was truncated', async () => {
+        const watermarks = { notion: '2026-10-01T10:00:00.000Z', github: '2026-10-01T10:00:00.000Z' };
+        const { manager, state } = createIncrementalManager({ watermarks, truncated: ['owner/repo issues'] });
+
+        await manager.performIncrementalSync();
+
+        assert.deepStrictEqual(state.watermarks, watermarks);
+    });
+
+    it('falls back to a full pass before the first reconciliation and once the interval has passed', async () => {
+        const recent = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+        const stale = new Date(Date.now() - 61 * 60 * 1000).toISOString();
+        const passes = [];
+
+        for (const lastFullSync of [null, stale, recent]) {
+            const { manager } = createIncrementalManager({ lastFullSync });
+            manager.performFullSync = async () => passes.push('full');
+            manager.performIncrementalSync = async () => passes.push('incremental');
+            await manager.runSyncCycle();
+        }
+
+        assert.deepStrictEqual(passes, ['full', 'full', 'incremental']);
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncPlan = require('../src/SyncPlan');
+
+/**
+ * Build an observed state with one item, issue and pull request
+ * @returns {Object} { items, issues, pullRequests, issuesToImport }
+ */
+function createState() {
+    return {
+        items: [{ notionId: 'page-1', id: 'CBUG-1', title: 'Button misaligned', status: 'Reported' }],
+        issues: [{ repository: 'owner/repo', githubId: 12, title: 'CBUG-1: Button misaligned', state: 'open' }],
+        pullRequests: [{ repository: 'owner/repo', githubId: 13, state: 'open', merged: false, headBranch: 'CBUG-1/fix', githubUrl: 'https://github.com/owner/repo/pull/13', updatedAt: '2024-01-01T00:00:00Z', mergeable: true }],
+        issuesToImport: []
+    };
+}
+
+describe('SyncPlan', () => {
+    describe('hashState', () => {
+        it('does not depend on the order records were fetched in', () => {
+            const state = createState();
+            state.items.push({ notionId: 'page-2', id: 'TSK-1', title: 'Write docs', status: 'Reported' });
+            const reordered = { ...state, items: [...state.items].reverse() };
+
+            assert.strictEqual(SyncPlan.hashState(reordered), SyncPlan.hashState(state));
+        });
+
+        it('changes when an item or issue changes', () => {
+            const hash = SyncPlan.hashState(createState());
+
+            const editedItem = createState();
+            editedItem.items[0].status = 'Fixed';
+            assert.notStrictEqual(SyncPlan.hashState(editedItem), hash);
+
+            const closedIssue = createState();
+            closedIssue.issues[0].state = 'closed';
+            assert.notStrictEqual(SyncPlan.hashState(closedIssue), hash);
+
+            const newImport = createState();
+            newImport.issuesToImport.push({ repository: 'owner/repo', githubId: 14, title: 'Crash on start' });
+            assert.notStrictEqual(SyncPlan.hashState(newImport), hash);
+        });
+
+        it('ignores pull request fields the sync does not read', () => {
+            const hash = SyncPlan.hashState(createState());
+
+            const recomputed = createState();
+            recomputed.pullRequests[0].mergeable = false;
+            assert.strictEqual(SyncPlan.hashState(recomputed), hash);
+
+            const merged = createState();
+            merged.pullRequests[0].merged = true;
+            assert.notStrictEqual(SyncPlan.hashState(merged), hash);
+        });
+    });
+
+    it('describes operations by item ID and issue reference', () => {
+        const state = createState();
+        const plan = SyncPlan.create([
+            { action: 'update_github_state', reason: 'Status changed', source: state.items[0], target: state.issues[0] },
+            { action: 'update_github_state', reason: 'Status changed', source: state.items[0], target: state.issues[0] },
+            { action: 'import_github_issue', reason: 'New issue', source: state.issues[0], target: null }
+        ], state);
+
+        assert.strictEqual(plan.stateHash, SyncPlan.hashState(state));
+        assert.strictEqual(plan.operations[0].sourceId, 'CBUG-1');
+        assert.strictEqual(plan.operations[0].targetId, 'owner/repo#12');
+        assert.strictEqual(plan.operations[2].targetId, null);
+        assert.deepStrictEqual(plan.getSummary(), { update_github_state: 2, import_github_issue: 1 });
+    });
+
+    it('saves and loads plan files', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-plan-'));
+        const filePath = path.join(directory, 'plans', 'sync-plan.json');
+
+        try {
+            const plan = SyncPlan.create([], createState());
+            plan.save(filePath);
+
+            assert.deepStrictEqual(SyncPlan.load(filePath), plan);
+
+            fs.writeFileSync(filePath, JSON.stringify({ version: 0, operations: [] }));
+            assert.throws(() => SyncPlan.load(filePath), /is not a sync plan of version 1/);
+            assert.throws(() => SyncPlan.load(path.join(directory, 'missing.json')), /Could not read plan/);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SyncRules = require('../src/SyncRules');
+
+describe('SyncRules', () => {
+    it('syncs everything without rules', () => {
+        const rules = new SyncRules();
+        const decision = rules.evaluate({ id: 'CBUG-1', status: 'Reported' });
+
+        assert.deepStrictEqual(decision, { sync: true, direction: 'both', operations: null, rule: null });
+        assert.strictEqual(rules.allows(decision, 'update_notion_status'), true);
+    });
+
+    it('lets Do Not Sync override every rule', () => {
+        const rules = new SyncRules([{ name: 'all', when: {}, sync: true }]);
+        const decision = rules.evaluate({ id: 'CBUG-1', doNotSync: true });
+
+        assert.strictEqual(decision.rule, 'Do Not Sync');
+        assert.strictEqual(rules.allows(decision, 'create'), false);
+    });
+
+    it('applies the first matching rule', () => {
+        const rules = new SyncRules({
+            rules: [
+                { name: 'cosmetic', when: { type: 'Cosmetic', status: ['Reported', 'Blocked'] }, direction: 'notion-to-github' },
+                { name: 'tasks', when: { itemType: 'task' }, sync: false },
+                { when: {}, operations: ['create'] }
+            ]
+        });
+
+        assert.strictEqual(rules.evaluate({ itemType: 'bug', type: 'Cosmetic', status: 'Blocked' }).rule, 'cosmetic');
+        assert.strictEqual(rules.evaluate({ itemType: 'bug', type: 'Cosmetic', status: 'Fixed' }).rule, 'rule 3');
+        assert.strictEqual(rules.evaluate({ itemType: 'task', type: 'Cosmetic', status: 'Fixed' }).sync, false);
+    });
+
+    it('limits operations by direction and operation list', () => {
+        const rules = new SyncRules([
+            { name: 'one way', when: { module: 'Firmware' }, direction: 'notion-to-github' },
+            { name: 'create only', when: { module: 'Docs' }, operations: 'create' }
+        ]);
+        const oneWay = rules.evaluate({ module: 'Firmware' });
+        const createOnly = rules.evaluate({ module: 'Docs' });
+
+        assert.strictEqual(rules.allows(oneWay, 'update_github_state'), true);
+        assert.strictEqual(rules.allows(oneWay, 'update_notion_status'), false);
+        assert.strictEqual(rules.allows(createOnly, 'create'), true);
+        assert.strictEqual(rules.allows(createOnly, 'update_github_content'), false);
+    });
+
+    it('matches not and empty conditions', () => {
+        const rules = new SyncRules();
+
+        assert.strictEqual(rules.matches({ status: { not: ['Fixed', 'Rejected'] } }, { status: 'Reported' }), true);
+        assert.strictEqual(rules.matches({ status: { not: 'Fixed' } }, { status: 'Fixed' }), false);
+        assert.strictEqual(rules.matches({ priority: { empty: true } }, { priority: '' }), true);
+        assert.strictEqual(rules.matches({ priority: { empty: false } }, { priority: 'High' }), true);
+    });
+
+    it('matches fields named differently on formatted items', () => {
+        const rules = new SyncRules();
+        const item = {
+            branchUrl: 'https://github.com/owner/repo/tree/CBUG-1/fix',
+            assignees: [{ name: 'Ada Lovelace', email: 'ada@example.com' }],
+            parentNotionId: 'page-1'
+        };
+
+        assert.strictEqual(rules.matches({ branchLink: { empty: false } }, item), true);
+        assert.strictEqual(rules.matches({ assignee: 'ada@example.com' }, item), true);
+        assert.strictEqual(rules.matches({ assignee: 'Ada Lovelace' }, item), true);
+        assert.strictEqual(rules.matches({ parent: { empty: false } }, item), true);
+        assert.strictEqual(rules.matches({ parent: { empty: true } }, {}), true);
+    });
+
+    it('rejects invalid rules', () => {
+        assert.throws(() => new SyncRules({}), /rules must be a list/);
+        assert.throws(() => new SyncRules([{ when: { colour: 'red' } }]), /rule 1 matches unknown fields: colour/);
+        assert.throws(() => new SyncRules([{ when: { status: { in: ['Fixed'] } } }]), /invalid condition for status/);
+        assert.throws(() => new SyncRules([{ name: 'sideways', direction: 'sideways' }]), /sideways has an invalid direction/);
+        assert.throws(() => new SyncRules([{ operations: ['rename'] }]), /allows unknown operations: rename/);
+    });
+});
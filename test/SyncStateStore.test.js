@@ -0,0 +1,50 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncStateStore = require('../src/SyncStateStore');
+
+describe('SyncStateStore', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+        filePath = path.join(directory, 'sync-state.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('starts without watermarks or a full reconciliation', () => {
+        const store = new SyncStateStore(filePath);
+
+        assert.strictEqual(store.getWatermark('notion'), null);
+        assert.strictEqual(store.getWatermark('github'), null);
+        assert.strictEqual(store.getLastFullSync(), null);
+    });
+
+    it('advances watermarks per source and keeps them across restarts', () => {
+        const store = new SyncStateStore(filePath);
+        store.setWatermarks({ notion: '2026-10-01T10:00:00.000Z', github: '2026-10-01T10:00:00.000Z' });
+        store.setWatermarks({ github: '2026-10-01T10:05:00.000Z' });
+
+        const reloaded = new SyncStateStore(filePath);
+        assert.strictEqual(reloaded.getWatermark('notion'), '2026-10-01T10:00:00.000Z');
+        assert.strictEqual(reloaded.getWatermark('github'), '2026-10-01T10:05:00.000Z');
+    });
+
+    it('resets every watermark to the start of a full reconciliation', () => {
+        const store = new SyncStateStore(filePath);
+        store.setWatermarks({ notion: '2026-10-01T10:05:00.000Z', github: '2026-10-01T10:07:00.000Z' });
+
+        store.recordFullSync('2026-10-01T11:00:00.000Z');
+
+        const reloaded = new SyncStateStore(filePath);
+        assert.strictEqual(reloaded.getLastFullSync(), '2026-10-01T11:00:00.000Z');
+        assert.strictEqual(reloaded.getWatermark('notion'), '2026-10-01T11:00:00.000Z');
+        assert.strictEqual(reloaded.getWatermark('github'), '2026-10-01T11:00:00.000Z');
+    });
+});
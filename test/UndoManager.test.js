@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OperationJournal = require('../src/OperationJournal');
+const UndoManager = require('../src/UndoManager');
+
+/**
+ * Create a GitHub client stub backed by an in-memory issue
+ * @param {Object} stored - Formatted GitHub issue kept "on GitHub"
+ * @returns {Object} Client stub with the calls it received
+ */
+function createGitHub(stored) {
+    const calls = [];
+    return {
+        calls,
+        getIssue: async (repository, number) => {
+            calls.push(['getIssue', repository, number]);
+            return { ...stored, labels: [...stored.labels] };
+        },
+        setLabels: async (repository, number, labels) => {
+            calls.push(['setLabels', repository, number, labels]);
+            stored.labels = [...labels];
+            return labels;
+        }
+    };
+}
+
+/**
+ * Create a Notion client stub whose pages hold only a status
+ * @param {Object} pages - Page ID to status
+ * @returns {Object} Client stub
+ */
+function createNotion(pages) {
+    const formatItemData = (page) => ({ notionId: page.id, status: page.status });
+    return {
+        formatItemData,
+        getItemByPageId: async (pageId) => formatItemData({ id: pageId, status: pages[pageId] }),
+        updateItemProperties: async (pageId, updates) => {
+            pages[pageId] = updates.status;
+            return { object: 'page', id: pageId, status: updates.status };
+        }
+    };
+}
+
+describe('UndoManager', () => {
+    let directory;
+    let journal;
+    let stored;
+    let pages;
+    let github;
+    let undo;
+
+    const item = { notionId: 'page-1', id: 'CBUG-1', itemType: 'bug', status: 'Reported' };
+
+    /**
+     * Journal a labels operation the way SyncManager runs one: capture, change the issue, record
+     * @param {string} runId - Run ID
+     * @param {Array} labels - Labels the operation sets
+     * @returns {Object} Journaled operation
+     */
+    function runLabelsOperation(runId, labels) {
+        const issue = { repository: 'owner/repo', githubId: 7, labels: [...stored.labels] };
+        const operation = { action: 'update_github_labels', reason: 'Status changed', source: item, target: issue };
+        const captured = undo.capture(operation);
+
+        stored.labels = [...labels];
+        issue.labels = [...labels];
+        undo.record(runId, operation, captured, { success: true, result: { type: 'updated' } });
+        return operation;
+    }
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'undo-'));
+        journal = new OperationJournal(path.join(directory, 'journal.jsonl'));
+        stored = { repository: 'owner/repo', githubId: 7, labels: ['bug'] };
+        pages = { 'page-1': 'Reported' };
+        github = createGitHub(stored);
+        undo = new UndoManager(createNotion(pages), github, journal);
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('record', () => {
+        it('journals GitHub changes from the updated issue without reading it back', () => {
+            const runId = journal.startRun();
+            runLabelsOperation(runId, ['bug', 'in-review']);
+
+            const [entry] = journal.getRunEntries(runId);
+            assert.deepStrictEqual(entry.prior, { labels: ['bug'] });
+            assert.deepStrictEqual(entry.after, { labels: ['bug', 'in-review'] });
+            assert.deepStrictEqual(github.calls, []);
+        });
+
+        it('journals Notion changes from the returned page', () => {
+            const runId = journal.startRun();
+            const operation = { action: 'update_notion_status', reason: 'Issue closed', source: item, target: stored };
+            const captured = undo.capture(operation);
+
+            undo.record(runId, operation, captured, { success: true, result: { object: 'page', id: 'page-1', status: 'Fixed' } });
+
+            const [entry] = journal.getRunEntries(runId);
+            assert.deepStrictEqual(entry.ref, { notionId: 'page-1', itemId: 'CBUG-1', itemType: 'bug' });
+            assert.deepStrictEqual([entry.prior, entry.after], [{ status: 'Reported' }, { status: 'Fixed' }]);
+        });
+
+        it('journals failures without values after', () => {
+            const runId = journal.startRun();
+            const operation = { action: 'update_github_labels', reason: 'Status changed', source: item, target: stored };
+
+            undo.record(runId, operation, undo.capture(operation), { success: false, error: 'Not Found' });
+
+            const [entry] = journal.getRunEntries(runId);
+            assert.strictEqual(entry.success, false);
+            assert.strictEqual(entry.error, 'Not Found');
+            assert.strictEqual(entry.after, null);
+        });
+    });
+
+    describe('undoRun', () => {
+        it('writes prior values back and journals the undo as a new run', async () => {
+            const runId = journal.startRun();
+            runLabelsOperation(runId, ['bug', 'in-review']);
+
+            const summary = await undo.undoRun(runId);
+
+            assert.deepStrictEqual({ ...summary, runId: undefined }, { runId: undefined, undone: 1, skipped: 0, failed: 0 });
+            assert.deepStrictEqual(stored.labels, ['bug']);
+            assert.deepStrictEqual(journal.getRunEntries(summary.runId).map(entry => [entry.action, entry.undoOf]), [['undo_update_github_labels', runId]]);
+            assert.strictEqual(journal.isUndone(runId), true);
+        });
+
+        it('reverts Notion changes', async () => {
+            const runId = journal.startRun();
+            const operation = { action: 'update_notion_status', reason: 'Issue closed', source: item, target: stored };
+            const captured = undo.capture(operation);
+            pages['page-1'] = 'Fixed';
+            undo.record(runId, operation, captured, { success: true, result: { object: 'page', id: 'page-1', status: 'Fixed' } });
+
+            assert.strictEqual((await undo.undoRun(runId)).undone, 1);
+            assert.strictEqual(pages['page-1'], 'Reported');
+        });
+
+        it('skips fields changed since the run', async () => {
+            const runId = journal.startRun();
+            runLabelsOperation(runId, ['bug', 'in-review']);
+            stored.labels = ['bug', 'wontfix'];
+
+            const summary = await undo.undoRun(runId);
+
+            assert.strictEqual(summary.skipped, 1);
+            assert.deepStrictEqual(stored.labels, ['bug', 'wontfix']);
+        });
+
+        it('skips items a later run touched', async () => {
+            const runId = journal.startRun();
+            runLabelsOperation(runId, ['bug', 'in-review']);
+            runLabelsOperation(journal.startRun(), ['bug', 'in-review', 'fatal']);
+
+            const summary = await undo.undoRun(runId);
+
+            assert.strictEqual(summary.skipped, 1);
+            assert.deepStrictEqual(stored.labels, ['bug', 'in-review', 'fatal']);
+        });
+
+        it('skips failed operations and operations it cannot reverse', async () => {
+            const runId = journal.startRun();
+            for (const [action, success] of [['update_github_labels', false], ['create', true]]) {
+                const operation = { action, reason: 'test', source: item, target: stored };
+                undo.record(runId, operation, undo.capture(operation), { success, error: success ? null : 'Not Found' });
+            }
+
+            const summary = await undo.undoRun(runId);
+
+            assert.deepStrictEqual([summary.undone, summary.skipped], [0, 2]);
+            assert.deepStrictEqual(github.calls, []);
+        });
+
+        it('refuses unknown runs and runs already undone', async () => {
+            const runId = journal.startRun();
+            runLabelsOperation(runId, ['bug', 'in-review']);
+            await undo.undoRun(runId);
+
+            await assert.rejects(undo.undoRun(runId), /has already been undone/);
+            await assert.rejects(undo.undoRun('20240101T000000-000000'), /No journal entries found/);
+        });
+    });
+});
@@ -0,0 +1,279 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const WebhookHandler = require('../src/WebhookHandler');
+const IdParser = require('../src/IdParser');
+
+const GITHUB_SECRET = 'github-webhook-secret';
+
+// Logger that keeps the test output quiet
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Create a WebhookHandler with stub configuration and clients
+ * @param {Object} config - Configuration getters overriding the defaults
+ * @returns {WebhookHandler} Webhook handler
+ */
+function createHandler(config = {}) {
+    const defaults = {
+        getIdParser: () => new IdParser(),
+        getWebhookTrustProxy: () => false,
+        isProductionMode: () => false,
+        getGitHubWebhookSecret: () => GITHUB_SECRET,
+        getNotionWebhookToken: () => null,
+        getNotionWebhookSigningSecret: () => null,
+        getWebhookIpAllowlist: () => [],
+        allowsUnauthenticatedWebhooks: () => false
+    };
+    return new WebhookHandler({ ...defaults, ...config }, {}, {}, silentLogger);
+}
+
+/**
+ * Sign a body the way GitHub signs X-Hub-Signature-256
+ * @param {string} body - Raw request body
+ * @param {string} secret - Signing secret
+ * @returns {string} "sha256=<hex>" signature
+ */
+function sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * POST a raw JSON body to the handler's Express app on an ephemeral port
+ * @param {WebhookHandler} handler - Webhook handler
+ * @param {string} path - Request path
+ * @param {string} body - Raw JSON body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} Response status and parsed JSON body
+ */
+async function post(handler, path, body, headers = {}) {
+    const server = await new Promise(resolve => {
+        const listening = handler.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+describe('WebhookHandler GitHub signature verification', () => {
+    const body = JSON.stringify({ action: 'closed', issue: { number: 7 }, repository: { full_name: 'owner/repo' } });
+
+    /**
+     * Create a handler whose GitHub event processing only records the events it receives
+     * @returns {Object} Handler and the list of processed events
+     */
+    function createRecordingHandler() {
+        const handler = createHandler();
+        const processed = [];
+        handler.processGitHubEvent = async (event, payload) => {
+            processed.push([event, payload]);
+            return { success: true, message: 'synced' };
+        };
+        return { handler, processed };
+    }
+
+    it('accepts a delivery signed with the webhook secret', async () => {
+        const { handler, processed } = createRecordingHandler();
+
+        const response = await post(handler, '/webhook/github', body, {
+            'X-GitHub-Event': 'issues',
+            'X-GitHub-Delivery': 'delivery-1',
+            'X-Hub-Signature-256': sign(body, GITHUB_SECRET)
+        });
+
+        assert.strictEqual(response.status, 202);
+        assert.strictEqual(response.body.status, 'accepted');
+        assert.deepStrictEqual(processed, [['issues', JSON.parse(body)]]);
+    });
+
+    it('rejects a delivery without a signature', async () => {
+        const { handler, processed } = createRecordingHandler();
+
+        const response = await post(handler, '/webhook/github', body, { 'X-GitHub-Event': 'issues' });
+
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.body.error, 'INVALID_SIGNATURE');
+        assert.deepStrictEqual(processed, []);
+    });
+
+    it('rejects a delivery signed with another secret', async () => {
+        const { handler, processed } = createRecordingHandler();
+
+        const response = await post(handler, '/webhook/github', body, {
+            'X-GitHub-Event': 'issues',
+            'X-Hub-Signature-256': sign(body, 'someone-elses-secret')
+        });
+
+        assert.strictEqual(response.status, 401);
+        assert.deepStrictEqual(processed, []);
+    });
+
+    it('rejects a signature computed over a different payload', async () => {
+        const { handler, processed } = createRecordingHandler();
+        const tampered = body.replace('closed', 'reopened');
+
+        const response = await post(handler, '/webhook/github', tampered, {
+            'X-GitHub-Event': 'issues',
+            'X-Hub-Signature-256': sign(body, GITHUB_SECRET)
+        });
+
+        assert.strictEqual(response.status, 401);
+        assert.deepStrictEqual(processed, []);
+    });
+
+    it('refuses deliveries when no webhook secret is configured', async () => {
+        const handler = createHandler({ getGitHubWebhookSecret: () => null });
+
+        const response = await post(handler, '/webhook/github', body, {
+            'X-GitHub-Event': 'issues',
+            'X-Hub-Signature-256': sign(body, GITHUB_SECRET)
+        });
+
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(response.body.error, 'WEBHOOK_NOT_CONFIGURED');
+    });
+
+    it('answers redeliveries without syncing them again', async () => {
+        const { handler, processed } = createRecordingHandler();
+        const headers = {
+            'X-GitHub-Event': 'issues',
+            'X-GitHub-Delivery': 'delivery-2',
+            'X-Hub-Signature-256': sign(body, GITHUB_SECRET)
+        };
+
+        await post(handler, '/webhook/github', body, headers);
+        const response = await post(handler, '/webhook/github', body, headers);
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.status, 'duplicate');
+        assert.strictEqual(processed.length, 1);
+    });
+
+    it('forgets failed deliveries so GitHub can redeliver them', async () => {
+        const handler = createHandler();
+        let attempts = 0;
+        handler.processGitHubEvent = async () => {
+            attempts++;
+            return { success: attempts > 1, message: 'synced', error: 'Notion unavailable' };
+        };
+        const headers = {
+            'X-GitHub-Event': 'issues',
+            'X-GitHub-Delivery': 'delivery-3',
+            'X-Hub-Signature-256': sign(body, GITHUB_SECRET)
+        };
+
+        await post(handler, '/webhook/github', body, headers);
+        await new Promise(resolve => setImmediate(resolve));
+        const response = await post(handler, '/webhook/github', body, headers);
+
+        assert.strictEqual(response.status, 202);
+        assert.strictEqual(attempts, 2);
+    });
+});
+
+describe('WebhookHandler Notion authentication', () => {
+    const body = JSON.stringify({ data: { id: 'page-1' } });
+
+    it('accepts the shared token from X-Webhook-Token, a Bearer header or ?token=', async () => {
+        const handler = createHandler({ getNotionWebhookToken: () => 'notion-token' });
+
+        const responses = [
+            await post(handler, '/webhook/test', body, { 'X-Webhook-Token': 'notion-token' }),
+            await post(handler, '/webhook/test', body, { Authorization: 'Bearer notion-token' }),
+            await post(handler, '/webhook/test?token=notion-token', body)
+        ];
+
+        assert.deepStrictEqual(responses.map(response => response.status), [200, 200, 200]);
+    });
+
+    it('rejects a missing or wrong token', async () => {
+        const handler = createHandler({ getNotionWebhookToken: () => 'notion-token' });
+
+        const missing = await post(handler, '/webhook/test', body);
+        const wrong = await post(handler, '/webhook/test', body, { 'X-Webhook-Token': 'notion-tokem' });
+
+        assert.strictEqual(missing.status, 401);
+        assert.strictEqual(wrong.status, 401);
+        assert.strictEqual(wrong.body.error, 'INVALID_TOKEN');
+    });
+
+    it('requires X-Webhook-Signature to match the body when a signing secret is set', async () => {
+        const handler = createHandler({ getNotionWebhookSigningSecret: () => 'notion-secret' });
+
+        const signed = await post(handler, '/webhook/test', body, { 'X-Webhook-Signature': sign(body, 'notion-secret') });
+        const unsigned = await post(handler, '/webhook/test', body);
+        const forged = await post(handler, '/webhook/test', body, { 'X-Webhook-Signature': sign(body, 'guess') });
+
+        assert.strictEqual(signed.status, 200);
+        assert.strictEqual(unsigned.status, 401);
+        assert.strictEqual(forged.status, 401);
+        assert.strictEqual(forged.body.error, 'INVALID_SIGNATURE');
+    });
+
+    it('applies every configured check', async () => {
+        const handler = createHandler({
+            getNotionWebhookToken: () => 'notion-token',
+            getNotionWebhookSigningSecret: () => 'notion-secret'
+        });
+
+        const tokenOnly = await post(handler, '/webhook/test', body, { 'X-Webhook-Token': 'notion-token' });
+        const both = await post(handler, '/webhook/test', body, {
+            'X-Webhook-Token': 'notion-token',
+            'X-Webhook-Signature': sign(body, 'notion-secret')
+        });
+
+        assert.strictEqual(tokenOnly.status, 401);
+        assert.strictEqual(both.status, 200);
+    });
+
+    it('only lets allowlisted IPs through', async () => {
+        const allowed = createHandler({ getWebhookIpAllowlist: () => ['10.0.0.0/8', '127.0.0.1'] });
+        const blocked = createHandler({ getWebhookIpAllowlist: () => ['10.0.0.0/8'] });
+
+        assert.strictEqual((await post(allowed, '/webhook/test', body)).status, 200);
+        const response = await post(blocked, '/webhook/test', body);
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual(response.body.error, 'IP_NOT_ALLOWED');
+    });
+
+    it('matches IPv4-mapped IPv6 addresses and CIDR ranges', () => {
+        const handler = createHandler();
+
+        assert.strictEqual(handler.isIpAllowed('::ffff:10.1.2.3', ['10.0.0.0/8']), true);
+        assert.strictEqual(handler.isIpAllowed('192.168.1.10', ['10.0.0.0/8', '192.168.1.0/24']), true);
+        assert.strictEqual(handler.isIpAllowed('192.168.2.10', ['192.168.1.0/24']), false);
+        assert.strictEqual(handler.isIpAllowed('2001:db8::1', ['2001:db8::/32']), true);
+        assert.strictEqual(handler.isIpAllowed(undefined, ['10.0.0.0/8']), false);
+    });
+
+    it('refuses requests with 503 when no authentication is configured', async () => {
+        const handler = createHandler();
+
+        const response = await post(handler, '/webhook/test', body);
+
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(response.body.error, 'WEBHOOK_AUTH_NOT_CONFIGURED');
+        assert.throws(() => handler.start(0), /would be unauthenticated/);
+    });
+
+    it('runs unauthenticated only when opted out outside production', async () => {
+        const development = createHandler({ allowsUnauthenticatedWebhooks: () => true });
+        const production = createHandler({ allowsUnauthenticatedWebhooks: () => true, isProductionMode: () => true });
+
+        assert.strictEqual((await post(development, '/webhook/test', body)).status, 200);
+        assert.deepStrictEqual(production.checkNotionWebhookAuth({ ip: '127.0.0.1', get: () => undefined }), {
+            status: 503,
+            error: 'WEBHOOK_AUTH_NOT_CONFIGURED',
+            message: 'Notion webhook authentication is not configured'
+        });
+        assert.throws(() => production.start(0), /required in production/);
+    });
+});